@@ -3,6 +3,16 @@ import * as Utilities from "../helpers/utilities.js";
 import * as PileUtilities from "../helpers/pile-utilities.js";
 import * as SharingUtilities from "../helpers/sharing-utilities.js";
 import * as CompendiumUtilities from "../helpers/compendium-utilities.js";
+import * as LedgerUtilities from "../helpers/ledger-utilities.js";
+import * as BankUtilities from "../helpers/bank-utilities.js";
+import * as AuctionUtilities from "../helpers/auction-utilities.js";
+import * as CraftingUtilities from "../helpers/crafting-utilities.js";
+import * as FactionUtilities from "../helpers/faction-utilities.js";
+import * as ClaimUtilities from "../helpers/claim-utilities.js";
+import * as EncumbranceUtilities from "../helpers/encumbrance-utilities.js";
+import * as IdentificationUtilities from "../helpers/identification-utilities.js";
+import * as TradeOfferUtilities from "../helpers/trade-offer-utilities.js";
+import * as EscrowUtilities from "../helpers/escrow-utilities.js";
 import CONSTANTS from "../constants/constants.js";
 import SETTINGS from "../constants/settings.js";
 import ItemPileSocket from "../socket.js";
@@ -117,6 +127,15 @@ class API {
 		return Helpers.getSetting(SETTINGS.QUANTITY_FOR_PRICE_ATTRIBUTE);
 	}
 
+	/**
+	 * The attribute used to track the weight of items in this system
+	 *
+	 * @returns {string}
+	 */
+	static get ITEM_WEIGHT_ATTRIBUTE() {
+		return Helpers.getSetting(SETTINGS.ITEM_WEIGHT_ATTRIBUTE);
+	}
+
 	/**
 	 * The attribute used to track the quantity of items in this system
 	 *
@@ -308,6 +327,19 @@ class API {
 		return Helpers.setSetting(SETTINGS.QUANTITY_FOR_PRICE_ATTRIBUTE, inAttribute);
 	}
 
+	/**
+	 * Sets the attribute used to track the weight of items in this system
+	 *
+	 * @param {string} inAttribute
+	 * @returns {Promise}
+	 */
+	static async setItemWeightAttribute(inAttribute) {
+		if (typeof inAttribute !== "string") {
+			throw Helpers.custom_error("setItemWeightAttribute | inAttribute must be of type string");
+		}
+		return Helpers.setSetting(SETTINGS.ITEM_WEIGHT_ATTRIBUTE, inAttribute);
+	}
+
 	/**
 	 * Sets the items filters for interaction within this system
 	 *
@@ -411,6 +443,7 @@ class API {
 	 *   ITEM_QUANTITY_ATTRIBUTE: string,
 	 *   ITEM_PRICE_ATTRIBUTE: string,
 	 *   QUANTITY_FOR_PRICE_ATTRIBUTE: string,
+	 *   ITEM_WEIGHT_ATTRIBUTE: string,
 	 *   ITEM_FILTERS: Array<{path: string, filters: string}>,
 	 *   ITEM_SIMILARITIES: Array<string>,
 	 *   UNSTACKABLE_ITEM_TYPES: Array<string>,
@@ -418,6 +451,13 @@ class API {
 	 *   TOKEN_FLAG_DEFAULTS: Object,
 	 *   ITEM_TRANSFORMER: undefined/Function,
 	 *   PRICE_MODIFIER_TRANSFORMER: undefined/Function,
+	 *   HAGGLE_ROLL: undefined/Function,
+	 *   UNLOCK_ROLL: undefined/Function,
+	 *   ACTOR_CAPACITY: undefined/Function,
+	 *   IS_ITEM_IDENTIFIED: undefined/Function,
+	 *   UNIDENTIFIED_ITEM_DATA: undefined/Function,
+	 *   IDENTIFY_ITEM: undefined/Function,
+	 *   RESTORE_RESOURCES: undefined/Function,
 	 *   SYSTEM_HOOKS: undefined/Function,
 	 *   SHEET_OVERRIDES: undefined/Function,
 	 *   CURRENCIES: Array<{
@@ -448,6 +488,7 @@ class API {
 			ITEM_QUANTITY_ATTRIBUTE: "",
 			ITEM_PRICE_ATTRIBUTE: "",
 			QUANTITY_FOR_PRICE_ATTRIBUTE: "flags.item-piles.system.quantityForPrice",
+			ITEM_WEIGHT_ATTRIBUTE: "",
 			ITEM_FILTERS: [],
 			ITEM_SIMILARITIES: [],
 			UNSTACKABLE_ITEM_TYPES: [],
@@ -455,6 +496,13 @@ class API {
 			TOKEN_FLAG_DEFAULTS: {},
 			ITEM_TRANSFORMER: null,
 			PRICE_MODIFIER_TRANSFORMER: null,
+			HAGGLE_ROLL: null,
+			UNLOCK_ROLL: null,
+			ACTOR_CAPACITY: null,
+			IS_ITEM_IDENTIFIED: null,
+			UNIDENTIFIED_ITEM_DATA: null,
+			IDENTIFY_ITEM: null,
+			RESTORE_RESOURCES: null,
 			SYSTEM_HOOKS: null,
 			SHEET_OVERRIDES: null,
 			CURRENCIES: [],
@@ -494,6 +542,10 @@ class API {
 			throw Helpers.custom_error("addSystemIntegration | data.QUANTITY_FOR_PRICE_ATTRIBUTE must be of type string");
 		}
 
+		if (data["ITEM_WEIGHT_ATTRIBUTE"] && typeof data["ITEM_WEIGHT_ATTRIBUTE"] !== "string") {
+			throw Helpers.custom_error("addSystemIntegration | data.ITEM_WEIGHT_ATTRIBUTE must be of type string");
+		}
+
 		if (!Array.isArray(data["ITEM_FILTERS"])) {
 			throw Helpers.custom_error("addSystemIntegration | data.ITEM_FILTERS must be of type array");
 		}
@@ -525,6 +577,36 @@ class API {
 			}
 		}
 
+		if (data['HAGGLE_ROLL']) {
+			if (!Helpers.isFunction(data['HAGGLE_ROLL'])) {
+				throw Helpers.custom_error("addSystemIntegration | data.HAGGLE_ROLL must be of type function");
+			}
+		}
+
+		if (data['UNLOCK_ROLL']) {
+			if (!Helpers.isFunction(data['UNLOCK_ROLL'])) {
+				throw Helpers.custom_error("addSystemIntegration | data.UNLOCK_ROLL must be of type function");
+			}
+		}
+
+		if (data['ACTOR_CAPACITY']) {
+			if (!Helpers.isFunction(data['ACTOR_CAPACITY'])) {
+				throw Helpers.custom_error("addSystemIntegration | data.ACTOR_CAPACITY must be of type function");
+			}
+		}
+
+		for (const key of ["IS_ITEM_IDENTIFIED", "UNIDENTIFIED_ITEM_DATA", "IDENTIFY_ITEM"]) {
+			if (data[key] && !Helpers.isFunction(data[key])) {
+				throw Helpers.custom_error(`addSystemIntegration | data.${key} must be of type function`);
+			}
+		}
+
+		if (data['RESTORE_RESOURCES']) {
+			if (!Helpers.isFunction(data['RESTORE_RESOURCES'])) {
+				throw Helpers.custom_error("addSystemIntegration | data.RESTORE_RESOURCES must be of type function");
+			}
+		}
+
 		if (data['SYSTEM_HOOKS']) {
 			if (!Helpers.isFunction(data['SYSTEM_HOOKS'])) {
 				throw Helpers.custom_error("addSystemIntegration | data.SYSTEM_HOOKS must be of type function");
@@ -897,7 +979,7 @@ class API {
 	}
 
 	/**
-	 * Locks a pile if it is enabled and a container
+	 * Locks a pile if it is enabled and a container or vault
 	 *
 	 * @param {Token/TokenDocument} target          Target pile to lock
 	 * @param {Token/TokenDocument/boolean} [interactingToken=false]
@@ -906,7 +988,7 @@ class API {
 	 */
 	static lockItemPile(target, interactingToken = false) {
 		const targetActor = Utilities.getActor(target);
-		if (!PileUtilities.isItemPileContainer(target)) return false;
+		if (!PileUtilities.isItemPileLockable(target)) return false;
 		const interactingTokenDocument = interactingToken ? Utilities.getActor(interactingToken) : false;
 		const pileData = PileUtilities.getActorFlagData(targetActor);
 		const wasClosed = pileData.closed;
@@ -929,7 +1011,7 @@ class API {
 	}
 
 	/**
-	 * Unlocks a pile if it is enabled and a container
+	 * Unlocks a pile if it is enabled and a container or vault
 	 *
 	 * @param {Token/TokenDocument} target          Target pile to unlock
 	 * @param {Token/TokenDocument/boolean} [interactingToken=false]
@@ -938,16 +1020,17 @@ class API {
 	 */
 	static unlockItemPile(target, interactingToken = false) {
 		const targetActor = Utilities.getActor(target);
-		if (!PileUtilities.isItemPileContainer(target)) return false;
+		if (!PileUtilities.isItemPileLockable(target)) return false;
 		const interactingTokenDocument = interactingToken ? Utilities.getActor(interactingToken) : false;
 		const pileData = PileUtilities.getActorFlagData(targetActor);
 		pileData.locked = false;
-		Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_UNLOCK, targetActor, pileData, interactingTokenDocument);
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_UNLOCK, targetActor, pileData, interactingTokenDocument);
+		if (hookResult === false) return false;
 		return this.updateItemPile(targetActor, pileData, { interactingToken: interactingTokenDocument });
 	}
 
 	/**
-	 * Toggles a pile's locked state if it is enabled and a container
+	 * Toggles a pile's locked state if it is enabled and a container or vault
 	 *
 	 * @param {Token/TokenDocument} target          Target pile to lock or unlock
 	 * @param {Token/TokenDocument/boolean} [interactingToken=false]
@@ -956,7 +1039,7 @@ class API {
 	 */
 	static toggleItemPileLocked(target, interactingToken = false) {
 		const targetActor = Utilities.getActor(target);
-		if (!PileUtilities.isItemPileContainer(target)) return false;
+		if (!PileUtilities.isItemPileLockable(target)) return false;
 		const interactingTokenDocument = interactingToken ? Utilities.getActor(interactingToken) : false;
 		const pileData = PileUtilities.getActorFlagData(targetActor);
 		if (pileData.locked) {
@@ -993,7 +1076,54 @@ class API {
 	}
 
 	/**
-	 * Whether an item pile is locked. If it is not enabled or not a container, it is always false.
+	 * Makes an actor attempt to unlock a locked container by rolling one of the container's unlock checks, using the
+	 * system's unlock roll or the check's formula. The check is rolled by a GM, so that the total can be trusted. If the
+	 * roll meets the check's DC the container is unlocked, otherwise the container's trap macro is executed, if it has one.
+	 *
+	 * @param {Token/TokenDocument} target                        The container to unlock
+	 * @param {Actor/Token/TokenDocument} actor                   The actor that is attempting to unlock it
+	 * @param {string} checkId                                    The ID of the container's unlock check to roll
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         An object containing whether the attempt succeeded, the roll total and the DC, or false if it was cancelled
+	 */
+	static async attemptUnlockItemPile(target, actor, checkId, { interactionId = false } = {}) {
+
+		const targetActor = Utilities.getActor(target);
+		if (!PileUtilities.isItemPileContainer(targetActor)) {
+			throw Helpers.custom_error(`attemptUnlockItemPile | target must be an item pile of the container type`, true);
+		}
+
+		const pileData = PileUtilities.getActorFlagData(targetActor);
+		if (!pileData.locked) {
+			throw Helpers.custom_error(`attemptUnlockItemPile | ${targetActor.name} is not locked`, true);
+		}
+
+		const check = pileData.unlockChecks.find(check => check.id === checkId);
+		if (!check) {
+			throw Helpers.custom_error(`attemptUnlockItemPile | ${targetActor.name} has no unlock check with the ID "${checkId}"`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`attemptUnlockItemPile | Could not determine the actor that is attempting to unlock ${targetActor.name}`, true);
+		}
+
+		if (!game.user.isGM && !actorDocument.isOwner) {
+			throw Helpers.custom_error(`attemptUnlockItemPile | You do not own ${actorDocument.name}`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`attemptUnlockItemPile | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.ATTEMPT_UNLOCK_PILE, Utilities.getUuid(target), Utilities.getUuid(actorDocument), check.id, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Whether an item pile is locked. If it is not enabled or not a container or vault, it is always false.
 	 *
 	 * @param {Token/TokenDocument} target
 	 * @param {Object/boolean} [data=false] data existing flags data to use
@@ -1088,12 +1218,6 @@ class API {
 	 * @return {boolean}
 	 */
 	static isItemPileBanker(target, data = false) {
-		if (!game.modules.get("item_piles_bankers")?.active) {
-			let word = "install and activate";
-			if (game.modules.get('item_piles_bankers')) word = "activate";
-			Helpers.custom_warning(`This api method from Item Piles requires the 'item_piles_bankers' module. Please ${word} it.`, true);
-			return false;
-		}
 		return PileUtilities.isItemPileBanker(target, data);
 	}
 
@@ -1105,12 +1229,6 @@ class API {
 	 * @return {boolean}
 	 */
 	static isItemPileAuctioneer(target, data = false) {
-		if (!game.modules.get("item_piles_auctioneer")?.active) {
-			let word = "install and activate";
-			if (game.modules.get('item_piles_auctioneer')) word = "activate";
-			Helpers.custom_warning(`This api method from Item Piles requires the 'item_piles_auctioneer' module. Please ${word} it.`, true);
-			return false;
-		}
 		return PileUtilities.isItemPileAuctioneer(target, data);
 	}
 
@@ -1168,7 +1286,8 @@ class API {
 	}
 
 	/**
-	 * Splits an item pile's content between all players (or a specified set of target actors).
+	 * Splits an item pile's content between all players (or a specified set of target actors), following the pile's
+	 * split policy and giving the pile's party fund actor its cut first.
 	 *
 	 * @param target {Token/TokenDocument/Actor}                                                  The item pile to split
 	 * @param {object} options                                                                    Options to pass to the function
@@ -1186,6 +1305,11 @@ class API {
 
 		const itemPileActor = Utilities.getActor(target);
 
+		if (ClaimUtilities.requiresApproval(itemPileUuid, game.user.id)) {
+			Helpers.custom_warning(game.i18n.format("ITEM-PILES.Errors.SplitRequiresApproval", { pile_name: itemPileActor.name }), true);
+			return false;
+		}
+
 		if (targets) {
 			if (!Array.isArray(targets)) {
 				targets = [targets]
@@ -1210,6 +1334,108 @@ class API {
 
 	}
 
+	/**
+	 * Puts the items in an item pile up for a need/greed/pass loot roll between the characters of the players that can
+	 * interact with the pile. Each player is prompted to vote on every item, and the winner of each item receives it.
+	 * This returns as soon as the roll has started; the results are posted to chat and passed to the lootRoll hook.
+	 *
+	 * @param {Token/TokenDocument/Actor} target                      The item pile to roll for
+	 * @param {object} options                                        Options to pass to the function
+	 * @param {Array<Item/string>/boolean} [options.items=false]      The items (or item IDs) to roll for, defaults to every item in the pile
+	 * @param {string/boolean} [options.interactionId=false]          The ID of this interaction
+	 *
+	 * @returns {Promise<boolean>}                                    Whether the roll was started
+	 */
+	static async startLootRoll(target, { items = false, interactionId = false } = {}) {
+
+		if (!PileUtilities.isItemPileLootable(target)) {
+			throw Helpers.custom_error(`startLootRoll | target must be a lootable item pile`, true);
+		}
+
+		const itemPileUuid = Utilities.getUuid(target);
+		if (!itemPileUuid) throw Helpers.custom_error(`startLootRoll | Could not determine the UUID, please provide a valid item pile`, true);
+
+		const pileData = PileUtilities.getActorFlagData(target);
+		if (!pileData.lootRollEnabled) {
+			throw Helpers.custom_error(`startLootRoll | This item pile does not have loot rolls enabled`, true);
+		}
+
+		if (items) {
+			if (!Array.isArray(items)) {
+				items = [items];
+			}
+			items = items.map(item => {
+				if (typeof item === "string") return item;
+				if (item instanceof Item) return item.id;
+				throw Helpers.custom_error(`startLootRoll | Each of the entries in items must be of type Item or string`, true);
+			});
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`startLootRoll | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.START_LOOT_ROLL, itemPileUuid, items, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Retrieves the claims that players have made on item piles that require GM approval, and that are still waiting
+	 * to be approved or denied
+	 *
+	 * @param {object} options                                            Options to pass to the function
+	 * @param {Token/TokenDocument/Actor/boolean} [options.target=false]  An item pile to only get the claims on
+	 *
+	 * @returns {Array<object>}                                           The pending claims, oldest first
+	 */
+	static getPendingClaims({ target = false } = {}) {
+		const claims = ClaimUtilities.getClaims();
+		if (!target) return claims;
+		const targetUuid = Utilities.getUuid(target);
+		if (!targetUuid) throw Helpers.custom_error(`getPendingClaims | Could not determine the UUID, please provide a valid target`);
+		return claims.filter(claim => claim.source.uuid === targetUuid);
+	}
+
+	/**
+	 * Approves or denies a pending claim. Approving a claim transfers what was claimed from the item pile to the actor
+	 * that claimed it, capped to what is left in the pile.
+	 *
+	 * @param {string} claimId                                        The ID of the claim to resolve
+	 * @param {boolean} approved                                      Whether the claim was approved
+	 * @param {object} options                                        Options to pass to the function
+	 * @param {object/boolean} [options.items=false]                  Quantities to transfer instead of the claimed ones, keyed by item ID
+	 * @param {object/boolean} [options.attributes=false]             Quantities to transfer instead of the claimed ones, keyed by attribute path
+	 *
+	 * @returns {Promise<object/boolean>}                             An object containing the items and attributes transferred, or false if the claim was denied, not found, or could not be transferred
+	 */
+	static resolveClaim(claimId, approved, { items = false, attributes = false } = {}) {
+
+		if (!game.user.isGM) {
+			throw Helpers.custom_error(`resolveClaim | Only GMs can approve or deny claims`, true);
+		}
+
+		if (!ClaimUtilities.getClaim(claimId)) {
+			throw Helpers.custom_error(`resolveClaim | Could not find a pending claim with the ID "${claimId}"`);
+		}
+
+		if (typeof approved !== "boolean") {
+			throw Helpers.custom_error(`resolveClaim | approved must be of type boolean`);
+		}
+
+		for (const [key, quantities] of Object.entries({ items, attributes })) {
+			if (!quantities) continue;
+			if (typeof quantities !== "object") throw Helpers.custom_error(`resolveClaim | ${key} must be of type object`);
+			if (Object.values(quantities).some(quantity => !Helpers.isRealNumber(quantity) || quantity < 0)) {
+				throw Helpers.custom_error(`resolveClaim | Each quantity in ${key} must be a number of 0 or greater`);
+			}
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.RESOLVE_CLAIM, claimId, approved, game.user.id, {
+			items, attributes
+		});
+
+	}
+
 	/**
 	 * Retrieves the price modifiers for a given item piles merchant
 	 *
@@ -1305,7 +1531,7 @@ class API {
 				throw Helpers.custom_error(`updateMerchantPriceModifiers | priceModifierData.sellPriceModifier must be of type number`);
 			}
 
-			let actorPriceModifierIndex = actorPriceModifiers.findIndex(existingPriceModifier => existingPriceModifier.actorUuid === priceModifier.actorUuid);
+			let actorPriceModifierIndex = actorPriceModifiers.findIndex(existingPriceModifier => !existingPriceModifier.haggle && existingPriceModifier.actorUuid === priceModifier.actorUuid);
 			if (actorPriceModifierIndex === -1) {
 				actorPriceModifierIndex = actorPriceModifiers.push({}) - 1;
 			}
@@ -1329,6 +1555,233 @@ class API {
 
 	}
 
+	/**
+	 * Makes an actor haggle with a merchant, rolling the system's haggle roll or the merchant's haggle formula against
+	 * the merchant's DC on a GM's client. On a success, the actor gets better prices with the merchant for a while.
+	 * Either way, the actor cannot haggle with the merchant again until the merchant's cooldown has passed.
+	 *
+	 * @param {Actor/Token/TokenDocument} merchant                The merchant to haggle with
+	 * @param {Actor/Token/TokenDocument} actor                   The actor that is haggling
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         The price modifier that was applied to the actor, or false if the haggle was cancelled
+	 */
+	static async haggle(merchant, actor, { interactionId = false } = {}) {
+
+		const merchantActor = Utilities.getActor(merchant);
+		if (!PileUtilities.isItemPileMerchant(merchantActor)) {
+			throw Helpers.custom_error(`haggle | merchant must be an item pile of the merchant type`, true);
+		}
+
+		const pileData = PileUtilities.getActorFlagData(merchantActor);
+		if (!pileData.haggleEnabled) {
+			throw Helpers.custom_error(`haggle | ${merchantActor.name} does not allow haggling`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`haggle | Could not determine the actor that is haggling`, true);
+		}
+
+		if (!game.user.isGM && !actorDocument.isOwner) {
+			throw Helpers.custom_error(`haggle | You do not own ${actorDocument.name}`, true);
+		}
+
+		if (PileUtilities.getHaggleCooldown(merchantActor, actorDocument, pileData)) {
+			throw Helpers.custom_error(`haggle | ${actorDocument.name} cannot haggle with ${merchantActor.name} again yet`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`haggle | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.HAGGLE, Utilities.getUuid(merchantActor), Utilities.getUuid(actorDocument), game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Identifies an unidentified item using the system's identification handler. If a merchant is given, the merchant's
+	 * identification service is used, and the item's owner pays the merchant's price for it.
+	 *
+	 * @param {Item/string} item                                            The item to identify, or its UUID
+	 * @param {object} options                                              Options to pass to the function
+	 * @param {Actor/Token/TokenDocument/boolean} [options.merchant=false]  The merchant whose identification service to use
+	 * @param {string/boolean} [options.interactionId=false]                The ID of this interaction
+	 *
+	 * @returns {Promise<boolean>}                                          Whether the item was identified
+	 */
+	static identifyItem(item, { merchant = false, interactionId = false } = {}) {
+
+		if (!SYSTEMS.DATA.IS_ITEM_IDENTIFIED || !SYSTEMS.DATA.IDENTIFY_ITEM) {
+			throw Helpers.custom_error(`identifyItem | This system does not support identifying items`, true);
+		}
+
+		const itemDocument = Utilities.getDocument(item);
+		if (!(itemDocument instanceof Item)) {
+			throw Helpers.custom_error(`identifyItem | Could not determine the item to identify`, true);
+		}
+
+		if (!game.user.isGM && !itemDocument.isOwner) {
+			throw Helpers.custom_error(`identifyItem | You do not own ${itemDocument.name}`, true);
+		}
+
+		if (IdentificationUtilities.isItemIdentified(itemDocument)) {
+			throw Helpers.custom_error(`identifyItem | ${itemDocument.name} is already identified`, true);
+		}
+
+		let merchantUuid = false;
+		if (merchant) {
+			const merchantActor = Utilities.getActor(merchant);
+			const price = IdentificationUtilities.getIdentifyServicePrice(merchantActor);
+			if (price === false) {
+				throw Helpers.custom_error(`identifyItem | ${merchantActor?.name ?? "The merchant"} does not offer an identification service`, true);
+			}
+			if (!(itemDocument.parent instanceof Actor)) {
+				throw Helpers.custom_error(`identifyItem | Only items owned by an actor can be identified by a merchant`, true);
+			}
+			if (price) {
+				const priceData = PileUtilities.getPriceFromString(price);
+				const paymentData = PileUtilities.getPaymentData({
+					purchaseData: [{ cost: priceData.overallCost, quantity: 1 }], buyer: itemDocument.parent
+				});
+				if (!paymentData.canBuy) {
+					throw Helpers.custom_error(`identifyItem | ${itemDocument.parent.name} cannot afford "${price}"`, true);
+				}
+			}
+			merchantUuid = Utilities.getUuid(merchantActor);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`identifyItem | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.IDENTIFY_ITEM, itemDocument.uuid, game.user.id, {
+			merchantUuid, interactionId
+		});
+
+	}
+
+	/**
+	 * Gets all of the factions that merchants can belong to
+	 *
+	 * @returns {Array<object>}
+	 */
+	static getFactions() {
+		return FactionUtilities.getFactions();
+	}
+
+	/**
+	 * Gets an actor's reputation with a faction, or with every faction if none is given
+	 *
+	 * @param {Actor/Token/TokenDocument/string} actor            The actor to get the reputation of
+	 * @param {string/boolean} [faction=false]                    The ID or name of the faction
+	 *
+	 * @returns {number/object}                                   The reputation with the faction, or an object of reputations keyed by faction ID
+	 */
+	static getReputation(actor, faction = false) {
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`getReputation | Could not determine the actor`, true);
+		}
+
+		if (!faction) {
+			return FactionUtilities.getActorReputations(actorDocument);
+		}
+
+		if (!FactionUtilities.getFaction(faction)) {
+			throw Helpers.custom_error(`getReputation | Could not find a faction called "${faction}"`, true);
+		}
+
+		return FactionUtilities.getActorReputation(actorDocument, faction);
+
+	}
+
+	/**
+	 * Sets an actor's reputation with a faction
+	 *
+	 * @param {Actor/Token/TokenDocument/string} actor            The actor whose reputation to set
+	 * @param {string} faction                                    The ID or name of the faction
+	 * @param {number} value                                      The new reputation
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<number/boolean>}                         The actor's new reputation, or false if the update was cancelled
+	 */
+	static async setReputation(actor, faction, value, { interactionId = false } = {}) {
+
+		if (!game.user.isGM) {
+			throw Helpers.custom_error(`setReputation | Only GMs can change reputations`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`setReputation | Could not determine the actor`, true);
+		}
+
+		const factionData = FactionUtilities.getFaction(faction);
+		if (!factionData) {
+			throw Helpers.custom_error(`setReputation | Could not find a faction called "${faction}"`, true);
+		}
+
+		if (typeof value !== "number" || !Number.isFinite(value)) {
+			throw Helpers.custom_error(`setReputation | value must be of type number`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`setReputation | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.UPDATE_REPUTATION, Utilities.getUuid(actorDocument), factionData.id, value, game.user.id, {
+			relative: false,
+			interactionId
+		});
+
+	}
+
+	/**
+	 * Adds to (or with a negative value, removes from) an actor's reputation with a faction
+	 *
+	 * @param {Actor/Token/TokenDocument/string} actor            The actor whose reputation to change
+	 * @param {string} faction                                    The ID or name of the faction
+	 * @param {number} value                                      The amount of reputation to add
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<number/boolean>}                         The actor's new reputation, or false if the update was cancelled
+	 */
+	static async addReputation(actor, faction, value, { interactionId = false } = {}) {
+
+		if (!game.user.isGM) {
+			throw Helpers.custom_error(`addReputation | Only GMs can change reputations`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`addReputation | Could not determine the actor`, true);
+		}
+
+		const factionData = FactionUtilities.getFaction(faction);
+		if (!factionData) {
+			throw Helpers.custom_error(`addReputation | Could not find a faction called "${faction}"`, true);
+		}
+
+		if (typeof value !== "number" || !Number.isFinite(value)) {
+			throw Helpers.custom_error(`addReputation | value must be of type number`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`addReputation | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.UPDATE_REPUTATION, Utilities.getUuid(actorDocument), factionData.id, value, game.user.id, {
+			relative: true,
+			interactionId
+		});
+
+	}
+
 	/* ================= ITEM AND ATTRIBUTE METHODS ================= */
 
 	/**
@@ -1386,6 +1839,9 @@ class API {
 			if (!canItemsFit) throw Helpers.custom_error(`addItems | The vault actor ${targetActor.name} cannot fit these items`, true);
 		}
 
+		const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(targetActor, itemsToAdd);
+		if (exceededCapacity) throw Helpers.custom_error(`addItems | ${EncumbranceUtilities.getItemPileCapacityWarning(targetActor, exceededCapacity)}`, true);
+
 		if (interactionId && typeof interactionId !== "string") throw Helpers.custom_error(`addItems | interactionId must be of type string`);
 
 		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.ADD_ITEMS, targetUuid, itemsToAdd, game.user.id, {
@@ -1459,10 +1915,13 @@ class API {
 	 * @param {object} options                                Options to pass to the function
 	 * @param {boolean} [options.skipVaultLogging=false]      Whether to skip logging this action to the target actor if it is a vault
 	 * @param {string/boolean} [options.interactionId=false]  The interaction ID of this action
+	 * @param {string/boolean} [options.containerId=false]    The ID of a container item on the target to put the items into
 	 *
 	 * @returns {Promise<object>}                             An array of objects, each containing the item that was added or updated, and the quantity that was transferred
 	 */
-	static transferItems(source, target, items, { skipVaultLogging = false, interactionId = false } = {}) {
+	static transferItems(source, target, items, {
+		skipVaultLogging = false, interactionId = false, containerId = false
+	} = {}) {
 
 		const sourceActor = Utilities.getActor(source);
 		if (!sourceActor) throw Helpers.custom_error(`transferItems | Could not determine the source actor, please provide a valid source`);
@@ -1520,12 +1979,30 @@ class API {
 			if (!canItemsFit) throw Helpers.custom_error(`transferItems | The target vault actor ${targetActor.name} cannot fit these items`, true);
 		}
 
+		const incomingItems = items.map(data => ({
+			item: sourceActor.items.get(data.id), quantity: data.quantity
+		}));
+
+		const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(targetActor, incomingItems);
+		if (exceededCapacity) throw Helpers.custom_error(`transferItems | ${EncumbranceUtilities.getItemPileCapacityWarning(targetActor, exceededCapacity)}`, true);
+
+		const canCarryItems = EncumbranceUtilities.canActorCarryItems(targetActor, incomingItems);
+		if (!canCarryItems) throw Helpers.custom_error(`transferItems | The target actor ${targetActor.name} cannot carry these items`, true);
+
 		if (interactionId) {
 			if (typeof interactionId !== "string") throw Helpers.custom_error(`transferItems | interactionId must be of type string`);
 		}
 
+		if (containerId) {
+			if (typeof containerId !== "string") throw Helpers.custom_error(`transferItems | containerId must be of type string`);
+			const container = targetActor.items.get(containerId);
+			if (!container || !Utilities.hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.CONTENTS, container.type)) {
+				throw Helpers.custom_error(`transferItems | Could not find a container with id "${containerId}" on target "${targetUuid}"`);
+			}
+		}
+
 		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.TRANSFER_ITEMS, sourceUuid, targetUuid, items, game.user.id, {
-			interactionId, skipVaultLogging
+			interactionId, skipVaultLogging, containerId
 		});
 
 	}
@@ -1574,6 +2051,14 @@ class API {
 			if (!canItemsFit) throw Helpers.custom_error(`transferAllItems | The target vault actor ${targetActor.name} cannot fit these items`, true);
 		}
 
+		const incomingItems = PileUtilities.getActorItems(sourceActor, { itemFilters });
+
+		const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(targetActor, incomingItems);
+		if (exceededCapacity) throw Helpers.custom_error(`transferAllItems | ${EncumbranceUtilities.getItemPileCapacityWarning(targetActor, exceededCapacity)}`, true);
+
+		const canCarryItems = EncumbranceUtilities.canActorCarryItems(targetActor, incomingItems);
+		if (!canCarryItems) throw Helpers.custom_error(`transferAllItems | The target actor ${targetActor.name} cannot carry these items`, true);
+
 		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.TRANSFER_ALL_ITEMS, sourceUuid, targetUuid, game.user.id, {
 			itemFilters, skipVaultLogging, interactionId
 		});
@@ -1821,6 +2306,14 @@ class API {
 			if (!canItemsFit) throw Helpers.custom_error(`transferEverything | The target vault actor ${targetActor.name} cannot fit these items`, true);
 		}
 
+		const incomingItems = PileUtilities.getActorItems(sourceActor, { itemFilters, getItemCurrencies: true });
+
+		const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(targetActor, incomingItems);
+		if (exceededCapacity) throw Helpers.custom_error(`transferEverything | ${EncumbranceUtilities.getItemPileCapacityWarning(targetActor, exceededCapacity)}`, true);
+
+		const canCarryItems = EncumbranceUtilities.canActorCarryItems(targetActor, incomingItems);
+		if (!canCarryItems) throw Helpers.custom_error(`transferEverything | The target actor ${targetActor.name} cannot carry these items`, true);
+
 		if (interactionId) {
 			if (typeof interactionId !== "string") throw Helpers.custom_error(`transferEverything | interactionId must be of type string`);
 		}
@@ -2419,22 +2912,247 @@ class API {
 	}
 
 	/**
-	 * Renders the appropriate interface for a given actor
+	 * Retrieves the trade offers that are waiting for the player they were made to to accept or decline them
 	 *
-	 * @param {Actor/TokenDocument} target                      The actor whose interface to render
-	 * @param {object} options                                  An object containing the options for this method
-	 * @param {Array<string/User>} [options.userIds]            An array of users or user ids for each user to render the interface for (defaults to only self)
-	 * @param {Actor/TokenDocument} [options.inspectingTarget]  Sets what actor should be viewing the interface
-	 * @param {boolean} [options.useDefaultCharacter]           Whether other users should use their assigned character when rendering the interface
+	 * @param {object} options                                            Options to pass to the function
+	 * @param {Token/TokenDocument/Actor/boolean} [options.actor=false]   An actor to only get the offers made by or to
+	 *
+	 * @returns {Array<object>}                                           The pending trade offers, oldest first
+	 */
+	static getTradeOffers({ actor = false } = {}) {
+		const offers = TradeOfferUtilities.getTradeOffers();
+		if (!actor) return offers;
+		const actorUuid = Utilities.getUuid(actor);
+		if (!actorUuid) throw Helpers.custom_error(`getTradeOffers | Could not determine the UUID, please provide a valid actor`);
+		return offers.filter(offer => offer.actor.uuid === actorUuid || offer.target.uuid === actorUuid);
+	}
+
+	/**
+	 * Opens the trading app to compose a trade offer to an actor, whose player does not need to be connected
+	 *
+	 * @param {Token/TokenDocument/Actor} target                          The actor to make the offer to
+	 * @param {object} options                                            Options to pass to the function
+	 * @param {Token/TokenDocument/Actor/boolean} [options.actor=false]   The actor making the offer, defaults to the user's character
 	 *
 	 * @returns {Promise}
 	 */
-	static renderItemPileInterface(target, {
-		userIds = null, inspectingTarget = null, useDefaultCharacter = false
-	} = {}) {
+	static offerTrade(target, { actor = false } = {}) {
 
-		const targetDocument = Utilities.getDocument(target);
-		const targetUuid = Utilities.getUuid(targetDocument);
+		const targetActor = Utilities.getActor(target);
+		if (!targetActor) throw Helpers.custom_error(`offerTrade | Could not find the target actor`);
+
+		if (actor) {
+			actor = Utilities.getActor(actor);
+			if (!actor) throw Helpers.custom_error(`offerTrade | Could not find the offering actor`);
+			if (!actor.isOwner) throw Helpers.custom_error(`offerTrade | You do not own the offering actor`);
+		}
+
+		return TradeAPI._composeTradeOffer(targetActor, actor);
+
+	}
+
+	/**
+	 * Sends a trade offer from one actor to another. Everything offered is held in escrow on the offering actor until
+	 * the player the offer was made to accepts or declines it, or until it is withdrawn.
+	 *
+	 * @param {Token/TokenDocument/Actor} source                          The actor making the offer
+	 * @param {Token/TokenDocument/Actor} target                          The actor the offer is made to
+	 * @param {object} offer                                              What is being offered
+	 * @param {Array<{ item: Item/string, quantity: number }>} [offer.items=[]]   The items (or item IDs) offered and their quantities
+	 * @param {object} [offer.attributes={}]                              The attributes offered, keyed by path
+	 *
+	 * @returns {Promise<object/boolean>}                                 The offer that was sent, or false if nothing could be offered
+	 */
+	static sendTradeOffer(source, target, { items = [], attributes = {} } = {}) {
+
+		const sourceActor = Utilities.getActor(source);
+		const sourceUuid = Utilities.getUuid(sourceActor);
+		if (!sourceUuid) throw Helpers.custom_error(`sendTradeOffer | Could not determine the UUID, please provide a valid source`);
+
+		const targetActor = Utilities.getActor(target);
+		const targetUuid = Utilities.getUuid(targetActor);
+		if (!targetUuid) throw Helpers.custom_error(`sendTradeOffer | Could not determine the UUID, please provide a valid target`);
+
+		if (sourceUuid === targetUuid) {
+			throw Helpers.custom_error(`sendTradeOffer | An actor cannot make a trade offer to itself`);
+		}
+
+		if (!game.user.isGM && !sourceActor.isOwner) {
+			throw Helpers.custom_error(`sendTradeOffer | You do not own the actor making the offer`, true);
+		}
+
+		if (!TradeOfferUtilities.getTradeOfferRecipient(targetActor)) {
+			throw Helpers.custom_error(`sendTradeOffer | No player owns the target actor, so no one can accept the offer`);
+		}
+
+		if (!Array.isArray(items)) throw Helpers.custom_error(`sendTradeOffer | items must be of type array`);
+		items = items.map(entry => {
+			const item = entry.item instanceof Item ? entry.item.id : entry.item;
+			if (typeof item !== "string") {
+				throw Helpers.custom_error(`sendTradeOffer | Each of the entries in items must have an item of type Item or string`);
+			}
+			if (!Helpers.isRealNumber(entry.quantity) || entry.quantity <= 0) {
+				throw Helpers.custom_error(`sendTradeOffer | Each of the entries in items must have a quantity greater than 0`);
+			}
+			return { id: item, quantity: entry.quantity };
+		});
+
+		if (typeof attributes !== "object" || Array.isArray(attributes)) {
+			throw Helpers.custom_error(`sendTradeOffer | attributes must be of type object`);
+		}
+		if (Object.values(attributes).some(quantity => !Helpers.isRealNumber(quantity) || quantity < 0)) {
+			throw Helpers.custom_error(`sendTradeOffer | Each quantity in attributes must be a number of 0 or greater`);
+		}
+
+		if (!Helpers.isGMConnected()) {
+			Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Offer.NoGM"), true);
+			return false;
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.SEND_TRADE_OFFER, sourceUuid, targetUuid, {
+			items, attributes
+		}, game.user.id);
+
+	}
+
+	/**
+	 * Opens a pending trade offer in the trading app, for the player it was made to to accept or decline
+	 *
+	 * @param {string} offerId                                            The ID of the offer to review
+	 *
+	 * @returns {Promise}
+	 */
+	static reviewTradeOffer(offerId) {
+		if (!TradeOfferUtilities.getTradeOffer(offerId)) {
+			throw Helpers.custom_error(`reviewTradeOffer | Could not find a pending trade offer with the ID "${offerId}"`);
+		}
+		return TradeAPI._reviewTradeOffer(offerId);
+	}
+
+	/**
+	 * Accepts or declines a pending trade offer. Accepting it moves everything offered to the actor it was made to,
+	 * while declining it releases everything from escrow on the actor that made it. The user who made the offer can withdraw it by
+	 * declining it.
+	 *
+	 * @param {string} offerId                                            The ID of the offer to resolve
+	 * @param {boolean} accepted                                          Whether the offer was accepted
+	 *
+	 * @returns {Promise<boolean>}                                        Whether the offer was accepted
+	 */
+	static resolveTradeOffer(offerId, accepted) {
+
+		const offer = TradeOfferUtilities.getTradeOffer(offerId);
+		if (!offer) {
+			throw Helpers.custom_error(`resolveTradeOffer | Could not find a pending trade offer with the ID "${offerId}"`);
+		}
+
+		if (typeof accepted !== "boolean") {
+			throw Helpers.custom_error(`resolveTradeOffer | accepted must be of type boolean`);
+		}
+
+		if (!TradeOfferUtilities.canResolveTradeOffer(offer, game.user.id, accepted)) {
+			throw Helpers.custom_error(`resolveTradeOffer | You cannot ${accepted ? "accept" : "decline"} this trade offer`, true);
+		}
+
+		if (!Helpers.isGMConnected()) {
+			Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Offer.NoGM"), true);
+			return false;
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.RESOLVE_TRADE_OFFER, offerId, accepted, game.user.id);
+
+	}
+
+	/**
+	 * Retrieves what is held in escrow on an actor, for trades, gives, trade offers, and claims that are not settled yet
+	 *
+	 * @param {Token/TokenDocument/Actor} target                          The actor to get the escrows on
+	 *
+	 * @returns {Array<object>}                                           The escrows on the actor, oldest first
+	 */
+	static getEscrows(target) {
+		const targetActor = Utilities.getActor(target);
+		if (!targetActor) throw Helpers.custom_error(`getEscrows | Could not find the target actor`);
+		return EscrowUtilities.getEscrows(targetActor);
+	}
+
+	/**
+	 * Releases an escrow on an actor without moving anything that was held in it
+	 *
+	 * @param {Token/TokenDocument/Actor} target                          The actor the escrow is on
+	 * @param {string} escrowId                                           The ID of the escrow to release
+	 *
+	 * @returns {Promise}
+	 */
+	static releaseEscrow(target, escrowId) {
+
+		if (!game.user.isGM) {
+			throw Helpers.custom_error(`releaseEscrow | Only GMs can release escrows`, true);
+		}
+
+		const targetActor = Utilities.getActor(target);
+		if (!targetActor) throw Helpers.custom_error(`releaseEscrow | Could not find the target actor`);
+
+		if (!EscrowUtilities.getEscrow(targetActor, escrowId)) {
+			throw Helpers.custom_error(`releaseEscrow | Could not find an escrow with the ID "${escrowId}" on ${targetActor.name}`);
+		}
+
+		return EscrowUtilities.removeEscrow(targetActor, escrowId);
+
+	}
+
+	/**
+	 * Rearranges the items in a vault's grid by a sort strategy
+	 *
+	 * @param {Token/TokenDocument/Actor} target                          The vault to sort
+	 * @param {string/boolean} [strategy=false]                           The sort strategy to use, one of "size", "type", "value",
+	 *                                                                    "name", or "recent", defaulting to the vault's configured strategy
+	 * @param {object} options                                            Options to pass to the function
+	 * @param {boolean} [options.mergeItems=false]                        Whether to merge similar items into single stacks
+	 *
+	 * @returns {Promise<boolean>}                                        Whether every item could be fitted into the vault
+	 */
+	static sortVault(target, strategy = false, { mergeItems = false } = {}) {
+
+		const targetActor = Utilities.getActor(target);
+		if (!PileUtilities.isItemPileVault(targetActor)) {
+			throw Helpers.custom_error(`sortVault | The target is not a vault`, true);
+		}
+
+		if (!PileUtilities.getVaultAccess(targetActor).canOrganize) {
+			throw Helpers.custom_error(`sortVault | You cannot organize ${targetActor.name}`, true);
+		}
+
+		strategy = strategy || PileUtilities.getActorFlagData(targetActor).vaultSortStrategy;
+		if (!Object.values(CONSTANTS.VAULT_SORT_STRATEGIES).includes(strategy)) {
+			throw Helpers.custom_error(`sortVault | The sort strategy must be one of: ${Object.values(CONSTANTS.VAULT_SORT_STRATEGIES).join(", ")}`, true);
+		}
+
+		if (typeof mergeItems !== "boolean") {
+			throw Helpers.custom_error(`sortVault | mergeItems must be of type boolean`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.SORT_VAULT, Utilities.getUuid(targetActor), strategy, { mergeItems });
+
+	}
+
+	/**
+	 * Renders the appropriate interface for a given actor
+	 *
+	 * @param {Actor/TokenDocument} target                      The actor whose interface to render
+	 * @param {object} options                                  An object containing the options for this method
+	 * @param {Array<string/User>} [options.userIds]            An array of users or user ids for each user to render the interface for (defaults to only self)
+	 * @param {Actor/TokenDocument} [options.inspectingTarget]  Sets what actor should be viewing the interface
+	 * @param {boolean} [options.useDefaultCharacter]           Whether other users should use their assigned character when rendering the interface
+	 *
+	 * @returns {Promise}
+	 */
+	static renderItemPileInterface(target, {
+		userIds = null, inspectingTarget = null, useDefaultCharacter = false
+	} = {}) {
+
+		const targetDocument = Utilities.getDocument(target);
+		const targetUuid = Utilities.getUuid(targetDocument);
 		if (!targetUuid) throw Helpers.custom_error(`renderItemPileInterface | Could not determine the UUID, please provide a valid target item pile`);
 
 		if (!PileUtilities.isValidItemPile(targetDocument)) {
@@ -2681,10 +3399,593 @@ class API {
 			if (!canItemsFit) throw Helpers.custom_error(`tradeItems | The vault buyer actor ${buyerActor.name} cannot fit these items`, true);
 		}
 
+		const canCarryItems = EncumbranceUtilities.canActorCarryItems(buyerActor, itemsToSell.map(data => {
+			const item = sellerActor.items.get(data.id);
+			const quantityForPrice = foundry.utils.getProperty(item, this.QUANTITY_FOR_PRICE_ATTRIBUTE) ?? 1;
+			return {
+				item, quantity: PileUtilities.getItemFlagData(item).isService ? 0 : data.quantity * quantityForPrice
+			};
+		}));
+		if (!canCarryItems) throw Helpers.custom_error(`tradeItems | The buyer actor ${buyerActor.name} cannot carry these items`, true);
+
 		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.TRADE_ITEMS, sellerUuid, buyerUuid, itemsToSell, game.user.id, { interactionId });
 
 	}
 
+	/**
+	 * Opens a bank account for an actor with a banker
+	 *
+	 * @param {Actor/Token/TokenDocument} banker                  The banker to open the account with
+	 * @param {Actor/Token/TokenDocument} actor                   The actor to open the account for
+	 *
+	 * @returns {Promise<object/boolean>}                         The new bank account, or false if it was not opened
+	 */
+	static openBankAccount(banker, actor) {
+
+		const bankerActor = Utilities.getActor(banker);
+		if (!PileUtilities.isItemPileBanker(bankerActor)) {
+			throw Helpers.custom_error(`openBankAccount | banker must be an item pile of the banker type`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!actorDocument) throw Helpers.custom_error(`openBankAccount | Could not determine the actor, please provide a valid actor`, true);
+		if (!game.user.isGM && !actorDocument.isOwner) {
+			throw Helpers.custom_error(`openBankAccount | You do not own ${actorDocument.name}`, true);
+		}
+
+		if (BankUtilities.getBankAccount(bankerActor, actorDocument)) {
+			throw Helpers.custom_error(`openBankAccount | ${actorDocument.name} already has an account with ${bankerActor.name}`, true);
+		}
+
+		if (!game.user.isGM && !PileUtilities.getActorFlagData(bankerActor).bankAllowOpeningAccounts) {
+			throw Helpers.custom_error(`openBankAccount | ${bankerActor.name} does not allow players to open accounts`, true);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.OPEN_BANK_ACCOUNT, Utilities.getUuid(bankerActor), Utilities.getUuid(actorDocument), game.user.id);
+
+	}
+
+	/**
+	 * Gets the balance of an actor's bank account with a banker
+	 *
+	 * @param {Actor/Token/TokenDocument} banker                  The banker that holds the account
+	 * @param {Actor/Token/TokenDocument} actor                   The actor that owns the account
+	 *
+	 * @returns {object/boolean}                                  The value of the account in the primary currency, that value broken down into currencies and as a string, and the items in the account - or false if the actor has no account
+	 */
+	static getBankBalance(banker, actor) {
+
+		const bankerActor = Utilities.getActor(banker);
+		if (!PileUtilities.isItemPileBanker(bankerActor)) {
+			throw Helpers.custom_error(`getBankBalance | banker must be an item pile of the banker type`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!actorDocument) {
+			throw Helpers.custom_error(`getBankBalance | Could not determine the actor that owns the account`, true);
+		}
+
+		if (!game.user.isGM && !actorDocument.isOwner) {
+			throw Helpers.custom_error(`getBankBalance | You do not own ${actorDocument.name}`, true);
+		}
+
+		const account = BankUtilities.getBankAccount(bankerActor, actorDocument);
+		if (!account) return false;
+
+		return BankUtilities.getAccountBalance(bankerActor, account);
+
+	}
+
+	/**
+	 * Deposits currencies and items from an actor into their bank account
+	 *
+	 * @param {Actor/Token/TokenDocument} banker                  The banker that holds the account
+	 * @param {Actor/Token/TokenDocument} actor                   The actor that owns the account
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string} [options.currencies=""]                    A string of currencies to deposit (eg, "5gp 25sp")
+	 * @param {Array} [options.items=[]]                          An array of objects each containing the item id (key "_id") and the quantity to deposit (key "quantity"), or Items (the foundry class) or strings of IDs to deposit all quantities of
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         The value that was deposited, and the items and attributes removed from the actor
+	 */
+	static depositToBank(banker, actor, { currencies = "", items = [], interactionId = false } = {}) {
+
+		const bankerActor = Utilities.getActor(banker);
+		if (!PileUtilities.isItemPileBanker(bankerActor)) {
+			throw Helpers.custom_error(`depositToBank | banker must be an item pile of the banker type`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (actorDocument && !game.user.isGM && !actorDocument.isOwner) {
+			throw Helpers.custom_error(`depositToBank | You do not own ${actorDocument.name}`, true);
+		}
+		if (!BankUtilities.getBankAccount(bankerActor, actorDocument)) {
+			throw Helpers.custom_error(`depositToBank | ${actorDocument?.name ?? "The actor"} does not have an account with ${bankerActor.name}`, true);
+		}
+
+		if (typeof currencies !== "string") {
+			throw Helpers.custom_error(`depositToBank | currencies must be of type string`);
+		}
+
+		if (currencies) {
+			const priceData = PileUtilities.getPriceFromString(currencies);
+			const currenciesToDeposit = priceData.currencies.filter(currency => Helpers.isRealNumber(currency.quantity) && currency.quantity > 0);
+			if (!currenciesToDeposit.length) {
+				throw Helpers.custom_error(`depositToBank | Could not determine currencies to deposit with string "${currencies}"`);
+			}
+			if (currenciesToDeposit.some(currency => currency.secondary)) {
+				throw Helpers.custom_error(`depositToBank | Secondary currencies cannot be deposited into a bank account`, true);
+			}
+			const paymentData = PileUtilities.getPaymentData({
+				purchaseData: [{ cost: priceData.overallCost, quantity: 1 }], buyer: actorDocument
+			});
+			if (!paymentData.canBuy) {
+				throw Helpers.custom_error(`depositToBank | ${actorDocument.name} cannot afford to deposit "${currencies}"`, true);
+			}
+		}
+
+		if (items.length && !PileUtilities.getActorFlagData(bankerActor).bankAllowItems) {
+			throw Helpers.custom_error(`depositToBank | ${bankerActor.name} does not accept items`, true);
+		}
+
+		const actorItems = PileUtilities.getActorItems(actorDocument);
+		items = items.map(itemData => {
+			const itemId = typeof itemData === "string" ? itemData : (itemData.item?._id ?? itemData.item?.id ?? itemData._id ?? itemData.id);
+			const item = actorItems.find(actorItem => actorItem.id === itemId);
+			if (!item) {
+				throw Helpers.custom_error(`depositToBank | Could not find item with id "${itemId}" on ${actorDocument.name}`);
+			}
+			return {
+				_id: item.id, quantity: itemData?.quantity ?? Utilities.getItemQuantity(item)
+			}
+		});
+
+		if (!currencies && !items.length) {
+			throw Helpers.custom_error(`depositToBank | Nothing was provided to deposit`);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`depositToBank | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.DEPOSIT_TO_BANK, Utilities.getUuid(bankerActor), Utilities.getUuid(actorDocument), {
+			currencies, items
+		}, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Withdraws currencies and items from an actor's bank account
+	 *
+	 * @param {Actor/Token/TokenDocument} banker                  The banker that holds the account
+	 * @param {Actor/Token/TokenDocument} actor                   The actor that owns the account
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string} [options.currencies=""]                    A string of currencies to withdraw (eg, "5gp 25sp")
+	 * @param {Array} [options.items=[]]                          An array of objects each containing the id of the item in the account (key "_id") and the quantity to withdraw (key "quantity"), or strings of IDs to withdraw all quantities of
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         The value that was withdrawn, and the items and attributes added to the actor
+	 */
+	static withdrawFromBank(banker, actor, { currencies = "", items = [], interactionId = false } = {}) {
+
+		const bankerActor = Utilities.getActor(banker);
+		if (!PileUtilities.isItemPileBanker(bankerActor)) {
+			throw Helpers.custom_error(`withdrawFromBank | banker must be an item pile of the banker type`, true);
+		}
+
+		const actorDocument = Utilities.getActor(actor);
+		if (actorDocument && !game.user.isGM && !actorDocument.isOwner) {
+			throw Helpers.custom_error(`withdrawFromBank | You do not own ${actorDocument.name}`, true);
+		}
+		const account = BankUtilities.getBankAccount(bankerActor, actorDocument);
+		if (!account) {
+			throw Helpers.custom_error(`withdrawFromBank | ${actorDocument?.name ?? "The actor"} does not have an account with ${bankerActor.name}`, true);
+		}
+
+		if (typeof currencies !== "string") {
+			throw Helpers.custom_error(`withdrawFromBank | currencies must be of type string`);
+		}
+
+		if (currencies) {
+			const priceData = PileUtilities.getPriceFromString(currencies);
+			const currenciesToWithdraw = priceData.currencies.filter(currency => Helpers.isRealNumber(currency.quantity) && currency.quantity > 0);
+			if (!currenciesToWithdraw.length) {
+				throw Helpers.custom_error(`withdrawFromBank | Could not determine currencies to withdraw with string "${currencies}"`);
+			}
+			if (currenciesToWithdraw.some(currency => currency.secondary)) {
+				throw Helpers.custom_error(`withdrawFromBank | Secondary currencies cannot be withdrawn from a bank account`, true);
+			}
+			if (!BankUtilities.canAffordWithdrawal(account, priceData.overallCost)) {
+				throw Helpers.custom_error(`withdrawFromBank | ${actorDocument.name} does not have "${currencies}" in their account`, true);
+			}
+		}
+
+		items = items.map(itemData => {
+			const itemId = typeof itemData === "string" ? itemData : itemData._id;
+			const item = account.items.find(accountItem => accountItem._id === itemId);
+			if (!item) {
+				throw Helpers.custom_error(`withdrawFromBank | Could not find item with id "${itemId}" in ${actorDocument.name}'s account`);
+			}
+			const quantity = itemData?.quantity ?? Utilities.getItemQuantity(item);
+			if (quantity > Utilities.getItemQuantity(item)) {
+				throw Helpers.custom_error(`withdrawFromBank | ${actorDocument.name}'s account does not have ${quantity} of "${item.name}"`, true);
+			}
+			return { _id: item._id, quantity };
+		});
+
+		if (!currencies && !items.length) {
+			throw Helpers.custom_error(`withdrawFromBank | Nothing was provided to withdraw`);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`withdrawFromBank | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.WITHDRAW_FROM_BANK, Utilities.getUuid(bankerActor), Utilities.getUuid(actorDocument), {
+			currencies, items
+		}, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Lists an item from an actor's inventory as a lot with an auctioneer
+	 *
+	 * @param {Actor/Token/TokenDocument} auctioneer              The auctioneer to list the item with
+	 * @param {Actor/Token/TokenDocument} seller                  The actor that is selling the item
+	 * @param {Item/string} item                                  The item to sell, or its ID
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {number/boolean} [options.quantity=false]           The quantity of the item to sell, defaults to all of it
+	 * @param {string} options.startingBid                        The lowest first bid that is accepted (eg, "5gp 25sp")
+	 * @param {string} [options.buyout=""]                        A price that immediately wins the lot when bid
+	 * @param {string} [options.reserve=""]                       The lowest winning bid at which the item is sold, otherwise it is returned to the seller
+	 * @param {number/boolean} [options.duration=false]           How many hours the lot is open for bidding, defaults to the auctioneer's default duration
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         The lot that was created, or false if it was not created
+	 */
+	static createAuctionLot(auctioneer, seller, item, {
+		quantity = false, startingBid = "", buyout = "", reserve = "", duration = false, interactionId = false
+	} = {}) {
+
+		const auctioneerActor = Utilities.getActor(auctioneer);
+		if (!PileUtilities.isItemPileAuctioneer(auctioneerActor)) {
+			throw Helpers.custom_error(`createAuctionLot | auctioneer must be an item pile of the auctioneer type`, true);
+		}
+
+		const pileData = PileUtilities.getActorFlagData(auctioneerActor);
+		if (!game.user.isGM && !pileData.auctionAllowListing) {
+			throw Helpers.custom_error(`createAuctionLot | ${auctioneerActor.name} does not allow players to list items`, true);
+		}
+
+		const sellerActor = Utilities.getActor(seller);
+		if (!sellerActor) throw Helpers.custom_error(`createAuctionLot | Could not determine the seller, please provide a valid actor`, true);
+		if (!game.user.isGM && !sellerActor.isOwner) {
+			throw Helpers.custom_error(`createAuctionLot | You do not own ${sellerActor.name}`, true);
+		}
+
+		const itemId = typeof item === "string" ? item : (item?._id ?? item?.id);
+		const sellerItem = sellerActor.items.get(itemId);
+		if (!sellerItem) {
+			throw Helpers.custom_error(`createAuctionLot | Could not find item with id "${itemId}" on ${sellerActor.name}`);
+		}
+
+		const itemQuantity = Utilities.getItemQuantity(sellerItem);
+		quantity = quantity === false ? itemQuantity : quantity;
+		if (!Helpers.isRealNumber(quantity) || quantity <= 0 || quantity > itemQuantity) {
+			throw Helpers.custom_error(`createAuctionLot | quantity must be a number between 1 and ${itemQuantity}`);
+		}
+
+		for (const [key, value] of Object.entries({ startingBid, buyout, reserve })) {
+			if (typeof value !== "string") {
+				throw Helpers.custom_error(`createAuctionLot | ${key} must be of type string`);
+			}
+		}
+
+		const startingBidValue = AuctionUtilities.getCurrencyValue(auctioneerActor, startingBid);
+		if (!startingBidValue) {
+			throw Helpers.custom_error(`createAuctionLot | Could not determine a starting bid with string "${startingBid}"`);
+		}
+
+		const buyoutValue = AuctionUtilities.getCurrencyValue(auctioneerActor, buyout);
+		if (buyoutValue && buyoutValue < startingBidValue) {
+			throw Helpers.custom_error(`createAuctionLot | The buyout cannot be lower than the starting bid`, true);
+		}
+
+		duration = duration === false ? pileData.auctionDefaultDuration : duration;
+		if (!Helpers.isRealNumber(duration) || duration <= 0 || (pileData.auctionMaxDuration && duration > pileData.auctionMaxDuration)) {
+			throw Helpers.custom_error(`createAuctionLot | duration must be a number of hours between 0 and ${pileData.auctionMaxDuration}`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`createAuctionLot | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.CREATE_AUCTION_LOT, Utilities.getUuid(auctioneerActor), Utilities.getUuid(sellerActor), {
+			itemId, quantity, startingBid, buyout, reserve, duration
+		}, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Gets the lots that are currently up for auction with an auctioneer, soonest to expire first
+	 *
+	 * @param {Actor/Token/TokenDocument} auctioneer              The auctioneer to get the lots of
+	 *
+	 * @returns {Array<object>}                                   The lots of the auctioneer
+	 */
+	static getAuctionLots(auctioneer) {
+
+		const auctioneerActor = Utilities.getActor(auctioneer);
+		if (!PileUtilities.isItemPileAuctioneer(auctioneerActor)) {
+			throw Helpers.custom_error(`getAuctionLots | auctioneer must be an item pile of the auctioneer type`, true);
+		}
+
+		return AuctionUtilities.getAuctionLots(auctioneerActor);
+
+	}
+
+	/**
+	 * Places a bid on a lot with an auctioneer. Bidding the lot's buyout price immediately wins the lot.
+	 *
+	 * @param {Actor/Token/TokenDocument} auctioneer              The auctioneer that holds the lot
+	 * @param {string} lotId                                      The ID of the lot to bid on
+	 * @param {Actor/Token/TokenDocument} bidder                  The actor that is bidding
+	 * @param {string} bid                                        The bid (eg, "5gp 25sp")
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         The lot and the bid, or the result of the lot being settled if it was bought out
+	 */
+	static bidOnAuctionLot(auctioneer, lotId, bidder, bid, { interactionId = false } = {}) {
+
+		const auctioneerActor = Utilities.getActor(auctioneer);
+		if (!PileUtilities.isItemPileAuctioneer(auctioneerActor)) {
+			throw Helpers.custom_error(`bidOnAuctionLot | auctioneer must be an item pile of the auctioneer type`, true);
+		}
+
+		const lot = AuctionUtilities.getAuctionLot(auctioneerActor, lotId);
+		if (!lot || AuctionUtilities.isLotExpired(lot)) {
+			throw Helpers.custom_error(`bidOnAuctionLot | Could not find an open lot with the ID "${lotId}"`, true);
+		}
+
+		const bidderActor = Utilities.getActor(bidder);
+		if (!bidderActor) throw Helpers.custom_error(`bidOnAuctionLot | Could not determine the bidder, please provide a valid actor`, true);
+		if (!game.user.isGM && !bidderActor.isOwner) {
+			throw Helpers.custom_error(`bidOnAuctionLot | You do not own ${bidderActor.name}`, true);
+		}
+
+		if (Utilities.getUuid(bidderActor) === lot.sellerUuid) {
+			throw Helpers.custom_error(`bidOnAuctionLot | ${bidderActor.name} cannot bid on their own lot`, true);
+		}
+
+		if (typeof bid !== "string") {
+			throw Helpers.custom_error(`bidOnAuctionLot | bid must be of type string`);
+		}
+
+		const value = AuctionUtilities.getCurrencyValue(auctioneerActor, bid);
+		if (!AuctionUtilities.isValidBid(lot, value)) {
+			throw Helpers.custom_error(`bidOnAuctionLot | A bid of "${bid}" is too low for this lot`, true);
+		}
+
+		const paymentData = PileUtilities.getPaymentData({
+			purchaseData: [{ cost: value, quantity: 1 }], buyer: bidderActor
+		});
+		if (!paymentData.canBuy) {
+			throw Helpers.custom_error(`bidOnAuctionLot | ${bidderActor.name} cannot afford to bid "${bid}"`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`bidOnAuctionLot | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.BID_ON_AUCTION_LOT, Utilities.getUuid(auctioneerActor), lotId, Utilities.getUuid(bidderActor), value, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Ends a lot with an auctioneer early. The item goes to the highest bidder that meets the reserve and can pay,
+	 * otherwise it is returned to the seller. Lots are settled automatically when they expire.
+	 *
+	 * @param {Actor/Token/TokenDocument} auctioneer              The auctioneer that holds the lot
+	 * @param {string} lotId                                      The ID of the lot to settle
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<object/boolean>}                         The lot and the winning bid, if there was one
+	 */
+	static settleAuctionLot(auctioneer, lotId, { interactionId = false } = {}) {
+
+		if (!game.user.isGM) {
+			throw Helpers.custom_error(`settleAuctionLot | Only GMs can settle auction lots`, true);
+		}
+
+		const auctioneerActor = Utilities.getActor(auctioneer);
+		if (!PileUtilities.isItemPileAuctioneer(auctioneerActor)) {
+			throw Helpers.custom_error(`settleAuctionLot | auctioneer must be an item pile of the auctioneer type`, true);
+		}
+
+		if (!AuctionUtilities.getAuctionLot(auctioneerActor, lotId)) {
+			throw Helpers.custom_error(`settleAuctionLot | Could not find a lot with the ID "${lotId}"`, true);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.SETTLE_AUCTION_LOT, Utilities.getUuid(auctioneerActor), lotId, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Crafts an item by consuming the crafting components configured on it from the actor's inventory
+	 *
+	 * @param {Actor/Token/TokenDocument} actor                   The actor to craft the item
+	 * @param {Item/object/string} item                           The item to craft, its data, or its UUID
+	 * @param {number} [quantity=1]                               How many of the item to craft
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<Array/boolean>}                          The items that were consumed and created on the actor
+	 */
+	static craftItem(actor, item, quantity = 1, { interactionId = false } = {}) {
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`craftItem | Could not determine the actor to craft the item`, true);
+		}
+
+		if (typeof item === "string") {
+			item = fromUuidSync(item);
+		}
+		if (!item) {
+			throw Helpers.custom_error(`craftItem | Could not find the item to craft`, true);
+		}
+
+		if (!Helpers.isRealNumber(quantity) || quantity <= 0 || !Number.isInteger(quantity)) {
+			throw Helpers.custom_error(`craftItem | quantity must be a positive whole number`);
+		}
+
+		if (!CraftingUtilities.getCraftingComponents(item).length) {
+			throw Helpers.custom_error(`craftItem | ${item.name} has no crafting components`, true);
+		}
+
+		if (!CraftingUtilities.canCraftItem(actorDocument, item, quantity)) {
+			throw Helpers.custom_error(`craftItem | ${actorDocument.name} does not have the components to craft ${quantity} ${item.name}`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`craftItem | interactionId must be of type string`);
+		}
+
+		const itemData = item instanceof Item ? item.toObject() : item;
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.CRAFT_ITEM, Utilities.getUuid(actorDocument), itemData, quantity, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Breaks down an item in an actor's inventory into the breakdown components configured on it
+	 *
+	 * @param {Actor/Token/TokenDocument} actor                   The actor that owns the item
+	 * @param {Item/string} item                                  The item to break down, or its ID on the actor
+	 * @param {number} [quantity=1]                               How many of the item to break down
+	 * @param {object} options                                    Options to pass to the function
+	 * @param {string/boolean} [options.interactionId=false]      The ID of this interaction
+	 *
+	 * @returns {Promise<Array/boolean>}                          The items that were consumed and created on the actor
+	 */
+	static breakdownItem(actor, item, quantity = 1, { interactionId = false } = {}) {
+
+		const actorDocument = Utilities.getActor(actor);
+		if (!(actorDocument instanceof Actor)) {
+			throw Helpers.custom_error(`breakdownItem | Could not determine the actor to break down the item`, true);
+		}
+
+		const itemId = typeof item === "string" ? item : (item?._id ?? item?.id);
+		const actorItem = actorDocument.items.get(itemId);
+		if (!actorItem) {
+			throw Helpers.custom_error(`breakdownItem | Could not find item with id "${itemId}" on ${actorDocument.name}`, true);
+		}
+
+		if (!Helpers.isRealNumber(quantity) || quantity <= 0 || !Number.isInteger(quantity)) {
+			throw Helpers.custom_error(`breakdownItem | quantity must be a positive whole number`);
+		}
+
+		if (Utilities.getItemQuantity(actorItem) < quantity) {
+			throw Helpers.custom_error(`breakdownItem | ${actorDocument.name} does not have ${quantity} ${actorItem.name} to break down`, true);
+		}
+
+		if (!CraftingUtilities.getBreakdownComponents(actorItem).length) {
+			throw Helpers.custom_error(`breakdownItem | ${actorItem.name} has no breakdown components`, true);
+		}
+
+		if (interactionId && typeof interactionId !== "string") {
+			throw Helpers.custom_error(`breakdownItem | interactionId must be of type string`);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.BREAKDOWN_ITEM, Utilities.getUuid(actorDocument), actorItem.id, quantity, game.user.id, { interactionId });
+
+	}
+
+	/**
+	 * Retrieves the entries in the world's transaction ledger, newest first, optionally filtered by the given options
+	 *
+	 * @param {object} options                                          Options to pass to the function
+	 * @param {Actor/Token/TokenDocument/string/boolean} [options.actor=false]  Only include interactions involving this actor, or its UUID
+	 * @param {User/string/boolean} [options.user=false]                Only include interactions performed by this user, or their ID
+	 * @param {number/Date/boolean} [options.since=false]               Only include interactions that happened after this date or timestamp
+	 * @param {string/Array<string>/boolean} [options.type=false]       Only include interactions of this type (or types), see game.itempiles.macro_execution_types
+	 *
+	 * @returns {Array<object>}                                         The ledger entries that matched the filters
+	 */
+	static getLedger({ actor = false, user = false, since = false, type = false } = {}) {
+
+		let actorUuid = false;
+		if (actor) {
+			actorUuid = Utilities.getUuid(actor);
+			if (!actorUuid) {
+				throw Helpers.custom_error(`getLedger | Could not determine the UUID of the actor, please provide a valid actor or token`, true);
+			}
+		}
+
+		let userId = false;
+		if (user) {
+			userId = user instanceof User ? user.id : user;
+			if (!game.users.get(userId)) {
+				throw Helpers.custom_error(`getLedger | No user with ID "${userId}" exists`);
+			}
+		}
+
+		if (since) {
+			since = since instanceof Date ? since.getTime() : since;
+			if (!Helpers.isRealNumber(since)) {
+				throw Helpers.custom_error(`getLedger | options.since must be a Date or a timestamp`);
+			}
+		}
+
+		let types = false;
+		if (type) {
+			types = Array.isArray(type) ? type : [type];
+			if (types.some(type => typeof type !== "string")) {
+				throw Helpers.custom_error(`getLedger | options.type must be a string or an array of strings`);
+			}
+		}
+
+		return LedgerUtilities.queryLedger({ actorUuid, userId, since, types });
+
+	}
+
+	/**
+	 * Reverts every change made by an interaction recorded in the transaction ledger, restoring the items, currencies,
+	 * and attributes of the involved actors to what they were before the interaction took place
+	 *
+	 * @param {string} interactionId                                  The ID of the interaction to revert
+	 *
+	 * @returns {Promise<Array<string>/boolean>}                      The UUIDs of the documents that were reverted, or false if the revert was cancelled
+	 */
+	static revertInteraction(interactionId) {
+
+		if (!game.user.isGM) {
+			throw Helpers.custom_error(`revertInteraction | Only GMs can revert interactions`, true);
+		}
+
+		if (typeof interactionId !== "string") {
+			throw Helpers.custom_error(`revertInteraction | interactionId must be of type string`);
+		}
+
+		const entries = LedgerUtilities.getLedgerEntries(interactionId);
+		if (!entries.length) {
+			throw Helpers.custom_error(`revertInteraction | Could not find an interaction with the ID "${interactionId}" in the transaction ledger`, true);
+		}
+
+		if (entries.every(entry => entry.reverted)) {
+			throw Helpers.custom_error(`revertInteraction | The interaction with the ID "${interactionId}" has already been reverted`, true);
+		}
+
+		if (entries.every(entry => entry.type === LedgerUtilities.REVERT_ENTRY_TYPE)) {
+			throw Helpers.custom_error(`revertInteraction | Reverts cannot be reverted`, true);
+		}
+
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.REVERT_INTERACTION, interactionId, game.user.id);
+
+	}
+
 	static canItemFitInVault(item, vaultActor) {
 		return PileUtilities.canItemFitInVault(item, vaultActor);
 	}
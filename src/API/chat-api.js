@@ -4,6 +4,7 @@ import CONSTANTS from "../constants/constants.js";
 import ItemPileSocket from "../socket.js";
 import * as PileUtilities from "../helpers/pile-utilities.js";
 import * as Utilities from "../helpers/utilities.js";
+import * as AuctionUtilities from "../helpers/auction-utilities.js";
 import TradeAPI from "./trade-api.js";
 
 let CHAT_MESSAGE_STYLES = false;
@@ -18,10 +19,14 @@ export default class ChatAPI {
 		Helpers.hooks.on(CONSTANTS.HOOKS.ATTRIBUTE.TRANSFER, this._outputTransferCurrency.bind(this));
 		Helpers.hooks.on(CONSTANTS.HOOKS.TRANSFER_EVERYTHING, this._outputTransferEverything.bind(this));
 		Helpers.hooks.on(CONSTANTS.HOOKS.PILE.SPLIT_INVENTORY, this._outputSplitItemPileInventory.bind(this));
-		Helpers.hooks.on(CONSTANTS.HOOKS.TRADE.STARTED, this._outputTradeStarted.bind(this));
-		Helpers.hooks.on(CONSTANTS.HOOKS.TRADE.COMPLETE, this._outputTradeComplete.bind(this));
+		Helpers.hooks.on(CONSTANTS.HOOKS.TRADE.GROUP_STARTED, this._outputTradeStarted.bind(this));
+		Helpers.hooks.on(CONSTANTS.HOOKS.TRADE.GROUP_COMPLETE, this._outputTradeComplete.bind(this));
 		Helpers.hooks.on(CONSTANTS.HOOKS.ITEM.TRADE, this._outputMerchantTradeComplete.bind(this));
 		Helpers.hooks.on(CONSTANTS.HOOKS.ITEM.GIVE, this._outputGiveItem.bind(this));
+		Helpers.hooks.on(CONSTANTS.HOOKS.AUCTION.CREATE_LOT, this._outputAuctionLotCreated.bind(this));
+		Helpers.hooks.on(CONSTANTS.HOOKS.AUCTION.BID, this._outputAuctionBid.bind(this));
+		Helpers.hooks.on(CONSTANTS.HOOKS.AUCTION.SETTLE_LOT, this._outputAuctionLotSettled.bind(this));
+		Helpers.hooks.on(CONSTANTS.HOOKS.PILE.LOOT_ROLL, this._outputLootRoll.bind(this));
 
 		$(document).on("click", ".item-piles-chat-card .item-piles-collapsible", async function () {
 			if ($(this).attr("open")) return;
@@ -81,8 +86,8 @@ export default class ChatAPI {
 			const update = this._replaceChatContent(message);
 			const tradeId = foundry.utils.getProperty(message, CONSTANTS.FLAGS.PUBLIC_TRADE_ID);
 			const tradeUsers = foundry.utils.getProperty(message, CONSTANTS.FLAGS.TRADE_USERS);
-			const bothUsersActive = tradeUsers.filter(userId => game.users.get(userId).active).length === tradeUsers.length;
-			if (!bothUsersActive) {
+			const allUsersActive = tradeUsers.every(userId => game.users.get(userId)?.active);
+			if (!allUsersActive) {
 				updates.push(update);
 			} else {
 				const otherUsers = tradeUsers.filter(userId => userId !== game.user.id);
@@ -190,14 +195,14 @@ export default class ChatAPI {
 		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.SPLIT_CHAT_MESSAGE, source.uuid, pileDeltas, actorDeltas, userId);
 	}
 
-	static async _outputTradeStarted(party_1, party_2, publicTradeId, isPrivate) {
-		if (party_1.user !== game.user.id || !Helpers.getSetting(SETTINGS.OUTPUT_TO_CHAT) || isPrivate) return;
-		return this._outputTradeStartedToChat(party_1, party_2, publicTradeId);
+	static async _outputTradeStarted(parties, publicTradeId, isPrivate) {
+		if (parties[0].user !== game.user.id || !Helpers.getSetting(SETTINGS.OUTPUT_TO_CHAT) || isPrivate) return;
+		return this._outputTradeStartedToChat(parties, publicTradeId);
 	}
 
-	static async _outputTradeComplete(instigator, party_1, party_2, publicTradeId, isPrivate) {
+	static async _outputTradeComplete(instigator, parties, publicTradeId, isPrivate) {
 		if (!Helpers.getSetting(SETTINGS.OUTPUT_TO_CHAT)) return;
-		return this._outputTradeCompleteToChat(instigator, party_1, party_2, publicTradeId, isPrivate);
+		return this._outputTradeCompleteToChat(instigator, parties, publicTradeId, isPrivate);
 	}
 
 	static async _outputMerchantTradeComplete(source, target, priceInformation, userId, interactionId) {
@@ -207,6 +212,42 @@ export default class ChatAPI {
 		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.MERCHANT_TRADE_CHAT_MESSAGE, source.uuid, target.uuid, priceInformation, userId, interactionId);
 	}
 
+	static async _outputAuctionLotCreated(auctioneer, seller, lot, userId) {
+		if (game.user.id !== userId || !Helpers.getSetting(SETTINGS.OUTPUT_TO_CHAT)) return;
+		return this._outputAuctionToChat(auctioneer, seller, lot, userId, {
+			message: game.i18n.format("ITEM-PILES.Chat.AuctionListed", {
+				name: seller.name, auctioneer: auctioneer.name
+			}),
+			price: AuctionUtilities.getCurrencyString(auctioneer, lot.startingBid)
+		});
+	}
+
+	static async _outputAuctionBid(auctioneer, bidder, lot, bid, userId) {
+		if (game.user.id !== userId || !Helpers.getSetting(SETTINGS.OUTPUT_TO_CHAT)) return;
+		if (!PileUtilities.getActorFlagData(auctioneer).auctionAnnounceBids) return;
+		return this._outputAuctionToChat(auctioneer, bidder, lot, userId, {
+			message: game.i18n.format("ITEM-PILES.Chat.AuctionBid", { name: bidder.name }),
+			price: AuctionUtilities.getCurrencyString(auctioneer, bid.value)
+		});
+	}
+
+	static async _outputAuctionLotSettled(auctioneer, lot, winningBid, userId) {
+		if (game.user.id !== userId || !Helpers.getSetting(SETTINGS.OUTPUT_TO_CHAT)) return;
+		const actor = Utilities.getActor(winningBid ? winningBid.actorUuid : lot.sellerUuid) || auctioneer;
+		return this._outputAuctionToChat(auctioneer, actor, lot, userId, winningBid ? {
+			message: game.i18n.format("ITEM-PILES.Chat.AuctionWon", { name: winningBid.name, seller: lot.sellerName }),
+			price: AuctionUtilities.getCurrencyString(auctioneer, winningBid.value)
+		} : {
+			message: game.i18n.format("ITEM-PILES.Chat.AuctionUnsold", { name: lot.sellerName }),
+			price: false
+		});
+	}
+
+	static async _outputLootRoll(itemPile, results, userId) {
+		if (game.user.id !== userId) return;
+		return this._outputLootRollToChat(itemPile, results, userId);
+	}
+
 	/**
 	 * Formats item data to a chat friendly structure
 	 *
@@ -382,14 +423,13 @@ export default class ChatAPI {
 
 	}
 
-	static async _outputTradeStartedToChat(party_1, party_2, publicTradeId) {
+	static async _outputTradeStartedToChat(parties, publicTradeId) {
 
-		const party_1_actor = Utilities.getActor(party_1.actor);
-		const party_2_actor = Utilities.getActor(party_2.actor);
+		const actors = parties.map(party => Utilities.getActor(party.actor));
 
 		const chatCardHtml = await renderTemplate(CONSTANTS.PATH + "templates/chat/trade-started.html", {
-			party_1_actor,
-			party_2_actor,
+			actors,
+			actorNames: actors.map(actor => actor.name).join(", "),
 			publicTradeId,
 			userId: game.user.id
 		});
@@ -401,37 +441,37 @@ export default class ChatAPI {
 			flavor: "Item Piles",
 			speaker: ChatMessage.getSpeaker({ alias: game.user.name }),
 			[CONSTANTS.FLAGS.PUBLIC_TRADE_ID]: publicTradeId,
-			[CONSTANTS.FLAGS.TRADE_USERS]: [party_1.user, party_2.user]
+			[CONSTANTS.FLAGS.TRADE_USERS]: parties.map(party => party.user)
 		});
 	}
 
-	static async _outputTradeCompleteToChat(instigator, party_1, party_2, publicTradeId, isPrivate) {
+	static async _outputTradeCompleteToChat(instigator, parties, publicTradeId, isPrivate) {
 
 		if (instigator !== game.user.id) return;
 
-		const party_1_actor = Utilities.getActor(party_1.actor);
-		const party_1_data = {
-			actor: party_1_actor,
-			items: party_2.items,
-			currencies: party_2.currencies.concat(party_2.itemCurrencies)
-		}
-		party_1_data.got_nothing = !party_1_data.items.length && !party_1_data.currencies.length;
-
-		const party_2_actor = Utilities.getActor(party_2.actor);
-		const party_2_data = {
-			actor: party_2_actor,
-			items: party_1.items,
-			currencies: party_1.currencies.concat(party_1.itemCurrencies)
-		}
-		party_2_data.got_nothing = !party_2_data.items.length && !party_2_data.currencies.length;
+		// Each party receives whatever the other parties offered to them
+		const partyData = parties.map(party => {
+			const otherParties = parties.filter(otherParty => otherParty !== party);
+			const isForParty = entry => entry.recipient === party.user;
+			const data = {
+				actor: Utilities.getActor(party.actor),
+				items: otherParties.flatMap(otherParty => otherParty.items.filter(isForParty)),
+				currencies: otherParties.flatMap(otherParty => {
+					return otherParty.currencies.concat(otherParty.itemCurrencies).filter(isForParty);
+				})
+			};
+			data.got_nothing = !data.items.length && !data.currencies.length;
+			return data;
+		});
 
-		if (party_1.got_nothing && party_2.got_nothing) return;
+		if (partyData.every(party => party.got_nothing)) return;
 
-		const enableCollapse = (party_1_data.items.length + party_1_data.currencies.length + party_2_data.items.length + party_2_data.currencies.length) > 6;
+		const enableCollapse = partyData.reduce((total, party) => total + party.items.length + party.currencies.length, 0) > 6;
 
 		const chatCardHtml = await renderTemplate(CONSTANTS.PATH + "templates/chat/trade-complete.html", {
-			party_1: party_1_data,
-			party_2: party_2_data,
+			parties: partyData.filter(party => !party.got_nothing),
+			actors: partyData.map(party => party.actor),
+			actorNames: partyData.map(party => party.actor.name).join(", "),
 			publicTradeId,
 			isPrivate,
 			enableCollapse
@@ -443,7 +483,7 @@ export default class ChatAPI {
 			content: chatCardHtml,
 			flavor: "Item Piles" + (isPrivate ? ": " + game.i18n.localize("ITEM-PILES.Chat.PrivateTrade") : ""),
 			speaker: ChatMessage.getSpeaker({ alias: game.user.name }),
-			whisper: isPrivate ? [party_2.user] : []
+			whisper: isPrivate ? parties.map(party => party.user).filter(userId => userId !== game.user.id) : []
 		});
 
 	}
@@ -590,6 +630,9 @@ export default class ChatAPI {
 				if (foundEntry) {
 					if (incomingPriceInformation.primary && priceInformation.primary) {
 						foundEntry.quantity += boughtItem.quantity;
+						if (boughtItem.serviceReceipt?.length) {
+							foundEntry.serviceReceipt = (foundEntry.serviceReceipt ?? []).concat(boughtItem.serviceReceipt);
+						}
 						incomingPriceInformation.buyerReceive.splice(0, 1);
 						priceInformation.totalCurrencyCost += incomingPriceInformation.totalCurrencyCost;
 						priceInformation.basePriceString = PileUtilities.getPriceArray(priceInformation.totalCurrencyCost, priceInformation.finalPrices)
@@ -639,6 +682,59 @@ export default class ChatAPI {
 
 	}
 
+	static async _outputAuctionToChat(auctioneer, actor, lot, userId, { message, price } = {}) {
+
+		const chatCardHtml = await renderTemplate(CONSTANTS.PATH + "templates/chat/auction.html", {
+			auctioneer: Utilities.getActor(auctioneer),
+			actor: Utilities.getActor(actor),
+			lot,
+			message,
+			price
+		});
+
+		return this._createNewChatMessage(userId, {
+			user: game.user.id,
+			type: CHAT_MESSAGE_STYLES.OTHER,
+			content: chatCardHtml,
+			flavor: "Item Piles",
+			speaker: ChatMessage.getSpeaker({ alias: game.user.name })
+		});
+
+	}
+
+	static async _outputLootRollToChat(itemPile, results, userId) {
+
+		const voteLabel = (vote) => game.i18n.localize(`ITEM-PILES.Dialogs.LootRoll.${vote.charAt(0).toUpperCase() + vote.slice(1)}`);
+
+		const chatCardHtml = await renderTemplate(CONSTANTS.PATH + "templates/chat/loot-roll.html", {
+			itemPile: Utilities.getActor(itemPile),
+			message: game.i18n.localize("ITEM-PILES.Chat.LootRoll"),
+			results: results.map(result => ({
+				item: result.item,
+				winnerText: result.winner
+					? game.i18n.format("ITEM-PILES.Chat.LootRollWinner", {
+						name: result.winner.name, vote: voteLabel(result.winner.vote), total: result.winner.total
+					})
+					: game.i18n.localize("ITEM-PILES.Chat.LootRollNobody"),
+				votesText: result.rolls
+					.filter(roll => roll.actorUuid !== result.winner?.actorUuid)
+					.map(roll => roll.total !== null
+						? `${roll.name}: ${voteLabel(roll.vote)} (${roll.total})`
+						: `${roll.name}: ${voteLabel(roll.vote)}`)
+					.join(", ")
+			}))
+		});
+
+		return this._createNewChatMessage(userId, {
+			user: game.user.id,
+			type: CHAT_MESSAGE_STYLES.OTHER,
+			content: chatCardHtml,
+			flavor: "Item Piles",
+			speaker: ChatMessage.getSpeaker({ alias: game.user.name })
+		});
+
+	}
+
 	static _createNewChatMessage(userId, chatData) {
 
 		if (!chatData.whisper) {
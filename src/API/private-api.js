@@ -2,6 +2,17 @@ import * as Helpers from "../helpers/helpers.js";
 import * as Utilities from "../helpers/utilities.js";
 import * as PileUtilities from "../helpers/pile-utilities.js";
 import * as SharingUtilities from "../helpers/sharing-utilities.js";
+import * as LedgerUtilities from "../helpers/ledger-utilities.js";
+import * as BankUtilities from "../helpers/bank-utilities.js";
+import * as AuctionUtilities from "../helpers/auction-utilities.js";
+import * as CraftingUtilities from "../helpers/crafting-utilities.js";
+import * as FactionUtilities from "../helpers/faction-utilities.js";
+import * as LootRollUtilities from "../helpers/loot-roll-utilities.js";
+import * as ClaimUtilities from "../helpers/claim-utilities.js";
+import * as EncumbranceUtilities from "../helpers/encumbrance-utilities.js";
+import * as IdentificationUtilities from "../helpers/identification-utilities.js";
+import * as ServiceUtilities from "../helpers/service-utilities.js";
+import * as EscrowUtilities from "../helpers/escrow-utilities.js";
 import ItemPileSocket from "../socket.js";
 import SETTINGS from "../constants/settings.js";
 import CONSTANTS from "../constants/constants.js";
@@ -15,11 +26,21 @@ import { TJSDialog } from "#runtime/svelte/application";
 import CustomDialog from "../applications/components/CustomDialog.svelte";
 import ReceiveItemsShell from "../applications/dialogs/receive-items-dialog/receive-items-shell.svelte";
 import BankVaultApp from "../applications/vault-app/vault-app.js";
+import LootRollDialog from "../applications/dialogs/loot-roll-dialog/loot-roll-dialog.js";
+import BankerApp from "../applications/banker-app/banker-app.js";
+import AuctioneerApp from "../applications/auctioneer-app/auctioneer-app.js";
+import ClaimQueueApp from "../applications/claim-queue-app/claim-queue-app.js";
 import { hotkeyActionState } from "../hotkeys.js";
 import { ensureValidIds } from "../helpers/utilities.js";
 import { getPileActorDefaults } from "../helpers/pile-utilities.js";
 
 const preloadedFiles = new Set();
+const settlingAuctionLots = new Set();
+const lootRollsInProgress = new Set();
+const resolvingClaims = new Set();
+const deliveringServiceItems = new Set();
+const withdrawingFromBank = new Set();
+const rolledLootItems = new Map();
 
 export default class PrivateAPI {
 
@@ -29,7 +50,10 @@ export default class PrivateAPI {
 	static initialize() {
 		Helpers.hooks.on("canvasReady", this._onCanvasReady.bind(this));
 		Helpers.hooks.on("createItem", this._onCreateItem.bind(this));
+		// Registered directly, as these cancel the update or deletion by returning false
+		Hooks.on("preUpdateItem", this._onPreUpdateItem.bind(this));
 		Helpers.hooks.on("updateItem", this._onUpdateItem.bind(this));
+		Hooks.on("preDeleteItem", this._onPreDeleteItem.bind(this));
 		Helpers.hooks.on("deleteItem", this._onDeleteItem.bind(this));
 		Helpers.hooks.on("updateActor", this._onUpdateActor.bind(this));
 		Helpers.hooks.on("deleteToken", this._onDeleteToken.bind(this));
@@ -39,6 +63,9 @@ export default class PrivateAPI {
 		Helpers.hooks.on("updateToken", this._onUpdateToken.bind(this));
 		Helpers.hooks.on("createToken", this._onCreateToken.bind(this))
 		Helpers.hooks.on("dropCanvasData", this._dropData.bind(this));
+		Helpers.hooks.on("updateWorldTime", this._settleExpiredAuctionLots.bind(this));
+		Helpers.hooks.on("updateWorldTime", this._deliverDueServiceItems.bind(this));
+		setInterval(this._settleExpiredAuctionLots.bind(this), 60000);
 	}
 
 	/**
@@ -61,6 +88,22 @@ export default class PrivateAPI {
 		this._evaluateItemPileChange(doc.parent, {}, true);
 	}
 
+	/**
+	 * Stops an item from being reduced below what is held of it in escrow
+	 *
+	 * @private
+	 */
+	static _onPreUpdateItem(doc, changes) {
+		if (!doc.parent) return true;
+		if (!foundry.utils.hasProperty(changes, game.itempiles.API.ITEM_QUANTITY_ATTRIBUTE)) return true;
+		const escrowed = EscrowUtilities.getEscrowedQuantities(doc.parent).items[doc.id] ?? 0;
+		if (Number(foundry.utils.getProperty(changes, game.itempiles.API.ITEM_QUANTITY_ATTRIBUTE)) >= escrowed) return true;
+		Helpers.custom_warning(game.i18n.format("ITEM-PILES.Escrow.ItemHeld", {
+			item_name: doc.name, actor_name: doc.parent.name
+		}), true);
+		return false;
+	}
+
 	/**
 	 * @private
 	 */
@@ -70,6 +113,20 @@ export default class PrivateAPI {
 		this._evaluateItemPileChange(doc.parent, {}, true);
 	}
 
+	/**
+	 * Stops an item from being deleted while some of it is held in escrow
+	 *
+	 * @private
+	 */
+	static _onPreDeleteItem(doc) {
+		if (!doc.parent) return true;
+		if (!EscrowUtilities.getEscrowedQuantities(doc.parent).items[doc.id]) return true;
+		Helpers.custom_warning(game.i18n.format("ITEM-PILES.Escrow.ItemHeld", {
+			item_name: doc.name, actor_name: doc.parent.name
+		}), true);
+		return false;
+	}
+
 	/**
 	 * @private
 	 */
@@ -193,7 +250,7 @@ export default class PrivateAPI {
 	}
 
 	static async _addItems(targetUuid, items, userId, {
-		removeExistingActorItems = false, skipVaultLogging = false, interactionId = false
+		removeExistingActorItems = false, skipVaultLogging = false, interactionId = false, containerId = false
 	} = {}) {
 
 		const targetActor = Utilities.getActor(targetUuid);
@@ -205,6 +262,10 @@ export default class PrivateAPI {
 			await transaction.appendItemChanges(existingItems, { remove: true });
 		}
 
+		if (containerId) {
+			items = Utilities.setItemsContainer(items, containerId);
+		}
+
 		await transaction.appendItemChanges(items);
 
 		const { itemsToUpdate, itemsToCreate } = transaction.prepare(); // Prepare data
@@ -214,6 +275,10 @@ export default class PrivateAPI {
 
 		const { itemDeltas } = await transaction.commit(); // Actually add the items to the actor
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.ADD_ITEMS, [transaction], {
+			userId, interactionId, target: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.ADD, targetUuid, itemDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -234,11 +299,14 @@ export default class PrivateAPI {
 
 	}
 
-	static async _removeItems(targetUuid, items, userId, { skipVaultLogging = false, interactionId = false } = {}) {
+	static async _removeItems(targetUuid, items, userId, {
+		skipVaultLogging = false, interactionId = false, escrowId = false
+	} = {}) {
 
 		const targetActor = Utilities.getActor(targetUuid);
 
 		const transaction = new Transaction(targetActor);
+		if (escrowId) transaction.releaseEscrow(escrowId);
 
 		await transaction.appendItemChanges(items, { remove: true });
 
@@ -249,6 +317,10 @@ export default class PrivateAPI {
 
 		const { itemDeltas } = await transaction.commit();
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.REMOVE_ITEMS, [transaction], {
+			userId, interactionId, source: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.REMOVE, targetUuid, itemDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -275,21 +347,34 @@ export default class PrivateAPI {
 	}
 
 	static async _transferItems(sourceUuid, targetUuid, items, userId, {
-		skipVaultLogging = false, interactionId = false
+		skipVaultLogging = false, interactionId = false, containerId = false, escrowId = false
 	} = {}) {
 
 		const sourceActor = Utilities.getActor(sourceUuid);
 		const targetActor = Utilities.getActor(targetUuid);
 
 		const sourceTransaction = new Transaction(sourceActor);
+		if (escrowId) sourceTransaction.releaseEscrow(escrowId);
 		if (SYSTEMS.DATA.ITEM_TYPE_HANDLERS) {
-			const newItems = [];
-			for (const data of items) {
+			// Containers are walked recursively, so that containers within containers bring their contents along too
+			const itemIds = new Set(items.map(data => {
 				const itemData = data?.item ?? data;
-				const item = sourceActor.items.get(itemData._id ?? itemData.id);
-				const handler = Utilities.getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.TRANSFER, item.type);
+				return itemData._id ?? itemData.id;
+			}));
+			const newItems = [];
+			const itemsToCheck = Array.from(itemIds).map(itemId => sourceActor.items.get(itemId));
+			while (itemsToCheck.length) {
+				const item = itemsToCheck.shift();
+				const handler = Utilities.getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.TRANSFER, item?.type);
 				if (!handler) continue;
-				handler({ item, items: newItems });
+				const containedItems = [];
+				handler({ item, items: containedItems });
+				for (const containedItem of containedItems) {
+					if (itemIds.has(containedItem._id)) continue;
+					itemIds.add(containedItem._id);
+					newItems.push(containedItem);
+					itemsToCheck.push(sourceActor.items.get(containedItem._id));
+				}
 			}
 			items = items.concat(newItems.map(item => ({
 				_id: item._id,
@@ -302,14 +387,19 @@ export default class PrivateAPI {
 		const sourceUpdates = sourceTransaction.prepare();
 
 		const targetTransaction = new Transaction(targetActor);
-		await targetTransaction.appendItemChanges(sourceUpdates.itemDeltas);
+		await targetTransaction.appendItemChanges(containerId
+			? Utilities.setItemsContainer(sourceUpdates.itemDeltas, containerId)
+			: sourceUpdates.itemDeltas);
 		const targetUpdates = targetTransaction.prepare();
 
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_TRANSFER, sourceActor, sourceUpdates, targetActor, targetUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { itemDeltas } = await targetTransaction.commit();
+		const [, { itemDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_ITEMS, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.TRANSFER, sourceUuid, targetUuid, itemDeltas, userId, interactionId);
 
@@ -373,8 +463,11 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_TRANSFER_ALL, sourceActor, sourceUpdates, targetActor, targetUpdates, userId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { itemDeltas } = await targetTransaction.commit();
+		const [, { itemDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_ALL_ITEMS, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.TRANSFER_ALL, sourceUuid, targetUuid, itemDeltas, userId, interactionId);
 
@@ -434,6 +527,10 @@ export default class PrivateAPI {
 
 		const { itemDeltas, attributeDeltas } = await transaction.commit(); // Actually update the items to the actor
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.UPDATE_CURRENCIES, [transaction], {
+			userId, interactionId, target: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.CURRENCY.UPDATE, targetUuid, itemDeltas, attributeDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -482,6 +579,10 @@ export default class PrivateAPI {
 
 		const { itemDeltas, attributeDeltas } = await transaction.commit(); // Actually add the items to the actor
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.ADD_CURRENCIES, [transaction], {
+			userId, interactionId, target: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.CURRENCY.ADD, targetUuid, itemDeltas, attributeDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -543,6 +644,10 @@ export default class PrivateAPI {
 
 		const { itemDeltas, attributeDeltas } = await transaction.commit(); // Actually add the items to the actor
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.REMOVE_CURRENCIES, [transaction], {
+			userId, interactionId, source: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.CURRENCY.REMOVE, targetUuid, itemDeltas, attributeDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -616,8 +721,11 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.CURRENCY.PRE_TRANSFER, sourceActor, sourceUpdates, targetActor, targetUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { itemDeltas, attributeDeltas } = await targetTransaction.commit();
+		const [, { itemDeltas, attributeDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_CURRENCIES, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.CURRENCY.TRANSFER, sourceUuid, targetUuid, itemDeltas, attributeDeltas, userId, interactionId);
 
@@ -692,8 +800,11 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.CURRENCY.PRE_TRANSFER_ALL, sourceActor, sourceUpdates, targetActor, targetUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { itemDeltas, attributeDeltas } = await targetTransaction.commit();
+		const [, { itemDeltas, attributeDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_ALL_CURRENCIES, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.CURRENCY.TRANSFER_ALL, sourceUuid, targetUuid, itemDeltas, attributeDeltas, userId, interactionId);
 
@@ -741,6 +852,10 @@ export default class PrivateAPI {
 
 		const { attributeDeltas } = await transaction.commit();
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.SET_ATTRIBUTES, [transaction], {
+			userId, interactionId, target: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ATTRIBUTE.SET, targetUuid, attributeDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -770,6 +885,10 @@ export default class PrivateAPI {
 
 		const { attributeDeltas } = await transaction.commit();
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.ADD_ATTRIBUTES, [transaction], {
+			userId, interactionId, target: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ATTRIBUTE.ADD, targetUuid, attributeDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -806,6 +925,10 @@ export default class PrivateAPI {
 
 		const { attributeDeltas } = await transaction.commit();
 
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.REMOVE_ATTRIBUTES, [transaction], {
+			userId, interactionId, source: targetUuid
+		});
+
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ATTRIBUTE.REMOVE, targetUuid, attributeDeltas, userId, interactionId);
 
 		await this._executeItemPileMacro(targetUuid, {
@@ -833,13 +956,14 @@ export default class PrivateAPI {
 	}
 
 	static async _transferAttributes(sourceUuid, targetUuid, attributes, userId, {
-		skipVaultLogging = false, interactionId = false
+		skipVaultLogging = false, interactionId = false, escrowId = false
 	} = {}) {
 
 		const sourceDocument = Utilities.getDocument(sourceUuid);
 		const targetDocument = Utilities.getDocument(targetUuid);
 
 		const sourceTransaction = new Transaction(sourceDocument);
+		if (escrowId) sourceTransaction.releaseEscrow(escrowId);
 		await sourceTransaction.appendDocumentChanges(attributes, { remove: true });
 		const sourceUpdates = sourceTransaction.prepare();
 
@@ -850,8 +974,11 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ATTRIBUTE.PRE_TRANSFER, sourceDocument, sourceUpdates.actorUpdates, targetDocument, targetUpdates.actorUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { attributeDeltas } = await targetTransaction.commit();
+		const [, { attributeDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_ATTRIBUTES, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.executeForEveryone(ItemPileSocket.HANDLERS.CALL_HOOK, CONSTANTS.HOOKS.ATTRIBUTE.TRANSFER, sourceUuid, targetUuid, attributeDeltas, userId, interactionId);
 
@@ -920,8 +1047,11 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ATTRIBUTE.PRE_TRANSFER_ALL, sourceDocument, sourceUpdates.actorUpdates, targetDocument, targetUpdates.actorUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { attributeDeltas } = await targetTransaction.commit();
+		const [, { attributeDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_ALL_ATTRIBUTES, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ATTRIBUTE.TRANSFER_ALL, sourceUuid, targetUuid, attributeDeltas, userId, interactionId);
 
@@ -985,8 +1115,11 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PRE_TRANSFER_EVERYTHING, sourceActor, sourceUpdates, targetActor, targetUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await sourceTransaction.commit();
-		const { itemDeltas, attributeDeltas } = await targetTransaction.commit();
+		const [, { itemDeltas, attributeDeltas }] = await Transaction.commitAll([sourceTransaction, targetTransaction], { interactionId });
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_EVERYTHING, [sourceTransaction, targetTransaction], {
+			userId, interactionId, source: sourceUuid, target: targetUuid
+		});
 
 		await ItemPileSocket.executeForEveryone(ItemPileSocket.HANDLERS.CALL_HOOK, CONSTANTS.HOOKS.TRANSFER_EVERYTHING, sourceUuid, targetUuid, itemDeltas, attributeDeltas, userId, interactionId);
 
@@ -1061,8 +1194,12 @@ export default class PrivateAPI {
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PRE_TRANSFER_EVERYTHING, sourceActors, sourceUpdates, targetActor, targetUpdates, interactionId);
 		if (hookResult === false) return false;
 
-		await Promise.allSettled(sourceTransactions.map(data => data.transaction.commit()));
-		const { itemDeltas, attributeDeltas } = await targetTransaction.commit();
+		const transactions = sourceTransactions.map(data => data.transaction).concat(targetTransaction);
+		const { itemDeltas, attributeDeltas } = (await Transaction.commitAll(transactions, { interactionId })).pop();
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRANSFER_EVERYTHING, transactions, {
+			userId, interactionId, target: targetUuid
+		});
 
 		if (targetItemPileFlags) {
 			const flags = PileUtilities.cleanFlagData(foundry.utils.mergeObject(CONSTANTS.PILE_DEFAULTS, targetItemPileFlags));
@@ -1120,6 +1257,122 @@ export default class PrivateAPI {
 		return createdItems.map(item => item.toObject());
 	}
 
+	/**
+	 * Commits the inverse changes of a transaction, skipping any item that has changed in a way that it can no longer be
+	 * restored to - such as an item that was deleted since, or an item that was created again with the same ID.
+	 *
+	 * @param {string} documentUuid
+	 * @param {object} inverseChanges
+	 * @returns {Promise<boolean>} Whether every change could be restored
+	 */
+	static async _commitInverseChanges(documentUuid, {
+		documentChanges = {}, itemsToUpdate = [], itemsToDelete = [], itemsToCreate = []
+	} = {}) {
+		const targetDocument = Utilities.getDocument(documentUuid);
+		const existingItemsToUpdate = itemsToUpdate.filter(update => targetDocument.items.get(update._id));
+		const missingItemsToCreate = itemsToCreate.filter(item => !targetDocument.items.get(item._id));
+		await this._commitDocumentChanges(documentUuid, {
+			documentChanges,
+			itemsToUpdate: existingItemsToUpdate,
+			itemsToDelete: itemsToDelete.filter(id => targetDocument.items.get(id)),
+			itemsToCreate: missingItemsToCreate
+		});
+		return existingItemsToUpdate.length === itemsToUpdate.length && missingItemsToCreate.length === itemsToCreate.length;
+	}
+
+	/**
+	 * Commits the revert changes of a transaction on top of the document's current state, so that anything that changed
+	 * since the transaction was committed is kept. Values that would drop below zero are clamped, and items that no longer
+	 * exist are skipped.
+	 *
+	 * @param {string} documentUuid
+	 * @param {object} revertChanges
+	 * @returns {Promise<boolean>} Whether every change could be fully reverted
+	 */
+	static async _commitRevertChanges(documentUuid, {
+		attributeDeltas = {}, itemChanges = [], itemsToDelete = [], itemsToCreate = []
+	} = {}) {
+
+		const targetDocument = Utilities.getDocument(documentUuid);
+		let fullyReverted = true;
+
+		const applyDelta = (currentValue, delta) => {
+			const value = Number(currentValue ?? 0) + delta;
+			if (value >= 0) return value;
+			fullyReverted = false;
+			return 0;
+		};
+
+		const documentChanges = Object.fromEntries(Object.entries(attributeDeltas).map(([path, delta]) => {
+			return [path, applyDelta(foundry.utils.getProperty(targetDocument, path), delta)];
+		}));
+
+		const itemsToUpdate = itemChanges.map(({ _id, deltas = {}, values = {} }) => {
+			const item = targetDocument.items.get(_id);
+			if (!item) {
+				fullyReverted = false;
+				return false;
+			}
+			return {
+				_id,
+				...values,
+				...Object.fromEntries(Object.entries(deltas).map(([path, delta]) => {
+					return [path, applyDelta(foundry.utils.getProperty(item, path), delta)];
+				}))
+			};
+		}).filter(Boolean);
+
+		const missingItemsToCreate = itemsToCreate.filter(item => !targetDocument.items.get(item._id));
+		if (missingItemsToCreate.length !== itemsToCreate.length) fullyReverted = false;
+
+		await this._commitDocumentChanges(documentUuid, {
+			documentChanges,
+			itemsToUpdate,
+			itemsToDelete: itemsToDelete.filter(id => targetDocument.items.get(id)),
+			itemsToCreate: missingItemsToCreate
+		});
+
+		return fullyReverted;
+
+	}
+
+	/**
+	 * Rearranges the items in a vault's grid by a sort strategy, optionally merging similar items into single stacks
+	 *
+	 * @param {string} vaultUuid
+	 * @param {string} strategy
+	 * @param {boolean} [mergeItems=false]
+	 * @returns {Promise<boolean>} Whether every item could be fitted into the vault
+	 */
+	static async _sortVault(vaultUuid, strategy, { mergeItems = false } = {}) {
+
+		const vaultActor = Utilities.getActor(vaultUuid);
+		if (!PileUtilities.isItemPileVault(vaultActor)) return false;
+
+		const pileData = PileUtilities.getActorFlagData(vaultActor);
+		const items = PileUtilities.getActorItems(vaultActor).filter(item => {
+			return !pileData.vaultExpansion || !PileUtilities.getItemFlagData(item).vaultExpander;
+		});
+
+		const sortedItems = PileUtilities.sortVaultItems(vaultActor, items, strategy);
+		const result = PileUtilities.fitItemsIntoVault(sortedItems, vaultActor, { existingItems: [], mergeItems });
+		if (!result) return false;
+
+		const { updates, deletions } = result;
+
+		await this._commitDocumentChanges(vaultUuid, {
+			itemsToUpdate: updates.map(item => ({
+				_id: item._id,
+				[game.itempiles.API.ITEM_QUANTITY_ATTRIBUTE]: Utilities.getItemQuantity(item),
+				[CONSTANTS.FLAGS.ITEM]: PileUtilities.cleanItemFlagData(PileUtilities.getItemFlagData(item))
+			})),
+			itemsToDelete: deletions
+		});
+
+		return true;
+
+	}
+
 	/**
 	 * If not given an actor, this method creates an item pile at a location, then adds an item to it.
 	 *
@@ -1134,11 +1387,19 @@ export default class PrivateAPI {
 	 * @param {Object/Boolean} [position=false]
 	 * @param {Number/Boolean} [elevation=false]
 	 * @param {Object} [itemData=false]
+	 * @param {String/Boolean} [containerId=false]
 	 *
 	 * @returns {sourceUuid: string/boolean, targetUuid: string/boolean, position: object/boolean, itemsDropped: array }
 	 */
 	static async _dropItems({
-		userId, sceneId, sourceUuid = false, targetUuid = false, itemData = false, position = false, elevation = false
+		userId,
+		sceneId,
+		sourceUuid = false,
+		targetUuid = false,
+		itemData = false,
+		position = false,
+		elevation = false,
+		containerId = false
 	} = {}) {
 
 		let itemsDropped;
@@ -1154,12 +1415,21 @@ export default class PrivateAPI {
 			quantity: Utilities.getItemQuantity(item)
 		}));
 
+		if (targetUuid && !game.users.get(userId)?.isGM) {
+			const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(targetUuid, items);
+			if (exceededCapacity) {
+				// Checked again here, as the checks made before the drop are only made on the player's side
+				Helpers.custom_warning(EncumbranceUtilities.getItemPileCapacityWarning(Utilities.getActor(targetUuid), exceededCapacity), true);
+				return false;
+			}
+		}
+
 		// If there's a source of the item (it wasn't dropped from the item bar)
 		if (sourceUuid) {
 
 			// If there's a target token, add the item to it, otherwise create a new pile at the drop location
 			if (targetUuid) {
-				itemsDropped = await this._transferItems(sourceUuid, targetUuid, items, userId);
+				itemsDropped = await this._transferItems(sourceUuid, targetUuid, items, userId, { containerId });
 			} else {
 
 				itemsDropped = (await this._removeItems(sourceUuid, items, userId)).map(item => {
@@ -1179,7 +1449,7 @@ export default class PrivateAPI {
 
 			// If there's a target token, add the item to it, otherwise create a new pile at the drop location
 			if (targetUuid) {
-				itemsDropped = await this._addItems(targetUuid, items, userId);
+				itemsDropped = await this._addItems(targetUuid, items, userId, { containerId });
 			} else {
 				targetUuid = await this._createItemPile({
 					sceneId, position, items: items.map(data => data.item), tokenOverrides: { elevation: elevation || 0 }
@@ -1938,6 +2208,14 @@ export default class PrivateAPI {
 
 		Utilities.setItemQuantity(dropData.itemData.item, dropData.itemData.quantity);
 
+		if (dropData.target && !game.user.isGM) {
+			const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(dropData.target, [dropData.itemData]);
+			if (exceededCapacity) {
+				Helpers.custom_warning(EncumbranceUtilities.getItemPileCapacityWarning(targetActor, exceededCapacity), true);
+				return;
+			}
+		}
+
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_DROP, dropData.source, dropData.target, dropData.position, dropData.itemData);
 		if (hookResult === false) return;
 
@@ -1948,7 +2226,8 @@ export default class PrivateAPI {
 			targetUuid: Utilities.getUuid(dropData.target),
 			position: dropData.position,
 			elevation: dropData.elevation,
-			itemData: dropData.itemData
+			itemData: dropData.itemData,
+			containerId: dropData.containerId ?? false
 		});
 
 	}
@@ -2028,6 +2307,14 @@ export default class PrivateAPI {
 				return;
 			}
 
+			const sourceItem = sourceActor?.items.get(dropData.itemData.item._id);
+			if (sourceItem && EscrowUtilities.getAvailableItemQuantity(sourceItem) < dropData.itemData.quantity) {
+				Helpers.custom_warning(game.i18n.format("ITEM-PILES.Escrow.NotEnough", {
+					item_name: sourceItem.name, actor_name: sourceActor.name
+				}), true);
+				return;
+			}
+
 			if ((!user || !user?.active || user === game.user) && game.user.isGM) {
 				if (sourceActor) {
 					Helpers.custom_notify(game.i18n.format("ITEM-PILES.Notifications.ItemTransferred", {
@@ -2038,13 +2325,23 @@ export default class PrivateAPI {
 				}
 			}
 
+			// The item is held in escrow until the other user accepts or declines it, so it cannot be given twice
+			let escrowId = false;
+			if (sourceItem) {
+				const escrow = EscrowUtilities.createEscrow(CONSTANTS.ESCROW_TYPES.GIVE, game.user.id, {
+					items: [{ _id: sourceItem.id, quantity: dropData.itemData.quantity }], reference: targetUuid
+				});
+				await EscrowUtilities.addEscrow(sourceActor, escrow);
+				escrowId = escrow.id;
+			}
+
 			return ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.GIVE_ITEMS, [user ? user.id : gms[0]], {
-				userId: game.user.id, sourceUuid, targetUuid, itemData: dropData.itemData, secret: dropData?.secret
+				userId: game.user.id, sourceUuid, targetUuid, itemData: dropData.itemData, secret: dropData?.secret, escrowId
 			});
 		}
 	}
 
-	static async _giveItems({ userId, sourceUuid, targetUuid, itemData } = {}) {
+	static async _giveItems({ userId, sourceUuid, targetUuid, itemData, secret, escrowId } = {}) {
 
 		const sourceActor = Utilities.getActor(sourceUuid);
 		const targetActor = Utilities.getActor(targetUuid);
@@ -2064,21 +2361,154 @@ export default class PrivateAPI {
 		}
 
 		return ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.GIVE_ITEMS_RESPONSE, [userId], {
-			userId: game.user.id, accepted, sourceUuid, targetUuid, itemData
+			userId: game.user.id, accepted, sourceUuid, targetUuid, itemData, secret, escrowId
 		});
 
 	}
 
-	static async _giveItemsResponse({ userId, accepted, sourceUuid, targetUuid, itemData, secret } = {}) {
+	static async _giveItemsResponse({ userId, accepted, sourceUuid, targetUuid, itemData, secret, escrowId } = {}) {
 		const user = game.users.get(userId);
 		if (accepted) {
 			await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.GIVE, sourceUuid, targetUuid, itemData, game.user.id, userId, secret)
-			await PrivateAPI._removeItems(sourceUuid, [itemData], game.user.id);
+			await PrivateAPI._removeItems(sourceUuid, [itemData], game.user.id, { escrowId });
 			return Helpers.custom_notify(game.i18n.format("ITEM-PILES.Notifications.GiveItemAccepted", { user_name: user.name }));
 		}
+		if (escrowId) {
+			await EscrowUtilities.removeEscrow(sourceUuid, escrowId);
+		}
 		return Helpers.custom_warning(game.i18n.format("ITEM-PILES.Warnings.GiveItemDeclined", { user_name: user.name }), true);
 	}
 
+	static async _unlockItemPileWithKey(pileDocument, interactingActor) {
+
+		const pileData = PileUtilities.getActorFlagData(pileDocument);
+
+		const keyItem = PileUtilities.findItemPileKey(pileDocument, interactingActor, pileData);
+		if (!keyItem) return false;
+
+		const result = await game.itempiles.API.unlockItemPile(pileDocument, interactingActor);
+		if (result === false) return false;
+
+		if (pileData.consumeKey) {
+			await game.itempiles.API.removeItems(interactingActor, [{ _id: keyItem.id, quantity: 1 }]);
+		}
+
+		Helpers.custom_notify(game.i18n.format("ITEM-PILES.Notifications.UnlockedWithKey", {
+			pile_name: pileDocument.name, item_name: keyItem.name
+		}));
+
+		return true;
+
+	}
+
+	static async _promptUnlockCheck(pileDocument, interactingActor) {
+
+		const pileData = PileUtilities.getActorFlagData(pileDocument);
+
+		const buttons = Object.fromEntries(pileData.unlockChecks.map(check => [check.id, {
+			icon: "fas fa-unlock",
+			label: `${check.label} (${game.i18n.localize("ITEM-PILES.Dialogs.UnlockItemPile.DC")} ${check.dc})`,
+			onPress: () => check.id
+		}]));
+
+		const checkId = await TJSDialog.wait({
+			title: game.i18n.localize("ITEM-PILES.Dialogs.UnlockItemPile.Title"),
+			content: {
+				class: CustomDialog,
+				props: {
+					icon: "fas fa-lock",
+					content: game.i18n.format("ITEM-PILES.Dialogs.UnlockItemPile.Content", { pile_name: pileDocument.name })
+				}
+			},
+			buttons: {
+				...buttons,
+				cancel: {
+					icon: "fas fa-times",
+					label: game.i18n.localize("ITEM-PILES.Dialogs.UnlockItemPile.Cancel"),
+					onPress: () => null
+				}
+			},
+			default: "cancel"
+		}, {
+			height: "auto"
+		});
+		if (!checkId) return false;
+
+		return game.itempiles.API.attemptUnlockItemPile(pileDocument, interactingActor, checkId);
+
+	}
+
+	/**
+	 * Rolls one of a container's unlock checks for an actor. This is done by the GM so that players cannot report their
+	 * own totals, which is also why system rolls are not expected to prompt for roll options.
+	 *
+	 * @param {Actor} itemPileActor
+	 * @param {Actor} actor
+	 * @param {object} check
+	 * @returns {Promise<number/boolean>} The total of the roll, or false if nothing was rolled
+	 */
+	static async _rollUnlockCheck(itemPileActor, actor, check) {
+
+		if (SYSTEMS.DATA.UNLOCK_ROLL && check.check) {
+			const roll = await SYSTEMS.DATA.UNLOCK_ROLL({ actor, itemPile: itemPileActor, check: check.check });
+			if (!roll && roll !== 0) return false;
+			return typeof roll === "number" ? roll : roll.total;
+		}
+
+		const roll = await new Roll(check.formula || "1d20", actor.getRollData()).evaluate();
+		await roll.toMessage({
+			speaker: ChatMessage.getSpeaker({ actor }),
+			flavor: game.i18n.format("ITEM-PILES.Dialogs.UnlockItemPile.Flavor", {
+				check_name: check.label, pile_name: itemPileActor.name
+			})
+		});
+		return roll.total;
+
+	}
+
+	static async _attemptUnlockItemPile(itemPileUuid, actorUuid, checkId, userId, { interactionId = false } = {}) {
+
+		const itemPileActor = Utilities.getActor(itemPileUuid);
+		const actor = Utilities.getActor(actorUuid);
+		const pileData = PileUtilities.getActorFlagData(itemPileActor);
+
+		const check = pileData.unlockChecks.find(check => check.id === checkId);
+		if (!actor || !check || !pileData.locked) return false;
+
+		const user = game.users.get(userId);
+		if (!user || (!user.isGM && !actor.testUserPermission(user, "OWNER"))) return false;
+
+		const total = await this._rollUnlockCheck(itemPileActor, actor, check);
+		if (total === false) return false;
+
+		const dc = Number(check.dc) || 0;
+		const success = total >= dc;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_ATTEMPT_UNLOCK, itemPileActor, actor, check, total, success, userId, interactionId);
+		if (hookResult === false) return false;
+
+		if (success) {
+			// Unlocked through the API, so that the unlock can still be interrupted by its own hook
+			const unlocked = await game.itempiles.API.unlockItemPile(itemPileActor, actor);
+			if (unlocked === false) return false;
+		} else if (pileData.trapMacro) {
+			await Utilities.runMacro(pileData.trapMacro, {
+				action: CONSTANTS.MACRO_EXECUTION_TYPES.TRIGGER_TRAP,
+				source: actor,
+				target: itemPileActor,
+				check,
+				total,
+				userId,
+				interactionId
+			});
+		}
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.PILE.ATTEMPT_UNLOCK, itemPileUuid, actorUuid, check, total, success, userId, interactionId);
+
+		return { success, total, dc };
+
+	}
+
 	static async _itemPileClicked(pileDocument) {
 
 		if (!PileUtilities.isValidItemPile(pileDocument)) return;
@@ -2150,9 +2580,18 @@ export default class PrivateAPI {
 
 		if (PileUtilities.isItemPileContainer(pileDocument) && interactingActor) {
 
-			if (pileData.locked && !game.user.isGM) {
+			if (pileData.locked && !game.user.isGM && !(await this._unlockItemPileWithKey(pileDocument, interactingActor))) {
 				Helpers.debug(`Attempted to open locked item pile with UUID ${pileDocument.uuid}`);
-				return game.itempiles.API.rattleItemPile(pileDocument, interactingActor);
+				if (!pileData.unlockChecks?.length) {
+					return game.itempiles.API.rattleItemPile(pileDocument, interactingActor);
+				}
+				const result = await this._promptUnlockCheck(pileDocument, interactingActor);
+				if (!result) return;
+				if (!result.success) {
+					Helpers.custom_warning(game.i18n.format("ITEM-PILES.Warnings.UnlockFailed", { pile_name: pileDocument.name }), true);
+					return game.itempiles.API.rattleItemPile(pileDocument, interactingActor);
+				}
+				Helpers.custom_notify(game.i18n.format("ITEM-PILES.Notifications.UnlockSucceeded", { pile_name: pileDocument.name }));
 			}
 
 			if (pileData.closed) {
@@ -2162,6 +2601,10 @@ export default class PrivateAPI {
 
 		}
 
+		if (PileUtilities.isItemPileVault(pileDocument) && pileData.locked && !pileDocument.actor?.isOwner && interactingActor) {
+			await this._unlockItemPileWithKey(pileDocument, interactingActor);
+		}
+
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_CLICK, pileDocument, interactingActor);
 		if (hookResult === false) return;
 
@@ -2181,12 +2624,22 @@ export default class PrivateAPI {
 
 		const tempPileTransaction = new Transaction(itemPileActor);
 
-		const numPlayers = actorUuids.length;
+		// The party fund gets its cut no matter who the pile is being split between
+		const shares = SharingUtilities.getSplitShares(itemPileActor, actorUuids, { pileData });
+		const fractions = Object.fromEntries(shares.map(share => [share.uuid, share.fraction]));
+
+		const valueBalanced = pileData.shareItemsEnabled && pileData.splitPolicy === CONSTANTS.SPLIT_POLICIES.VALUE_BALANCED;
+		const itemAssignments = valueBalanced
+			? SharingUtilities.getValueBalancedAssignments(items, shares, { shareData })
+			: {};
 
 		if (pileData.shareItemsEnabled) {
 			const itemsToRemove = items.map(item => {
 				const itemData = item.toObject();
-				const quantity = Math.floor(Utilities.getItemQuantity(itemData) / numPlayers) * numPlayers;
+				// Only what is handed out is taken from the pile, as no one may be entitled to a share of it
+				const quantity = valueBalanced
+					? Object.values(itemAssignments[item.id] ?? {}).reduce((acc, quantity) => acc + quantity, 0)
+					: SharingUtilities.getSplitQuantity(Utilities.getItemQuantity(itemData), shares);
 				return {
 					item: itemData, quantity
 				}
@@ -2196,7 +2649,7 @@ export default class PrivateAPI {
 
 		const currencyItems = currencies.filter(entry => entry.type === "item").map(entry => {
 			const itemData = entry.item.toObject();
-			const quantity = Math.floor(Utilities.getItemQuantity(itemData) / numPlayers) * numPlayers;
+			const quantity = SharingUtilities.getSplitQuantity(Utilities.getItemQuantity(itemData), shares);
 			return {
 				item: itemData, quantity
 			}
@@ -2205,7 +2658,7 @@ export default class PrivateAPI {
 
 		const attributes = currencies.filter(entry => entry.type === "attribute").map(attribute => {
 			return {
-				...attribute, quantity: Math.floor(attribute.quantity / numPlayers) * numPlayers
+				...attribute, quantity: SharingUtilities.getSplitQuantity(attribute.quantity, shares)
 			}
 		});
 		await tempPileTransaction.appendDocumentChanges(attributes, { remove: true, type: "currency" });
@@ -2217,7 +2670,7 @@ export default class PrivateAPI {
 
 				const attributes = itemCurrencies.filter(entry => entry.type === "attribute").map(attribute => {
 					return {
-						...attribute, quantity: Math.floor(attribute.quantity / numPlayers) * numPlayers
+						...attribute, quantity: SharingUtilities.getSplitQuantity(attribute.quantity, shares)
 					}
 				});
 				await tempPileTransaction.appendEmbeddedChanges(item, attributes, { remove: true, type: "currency" });
@@ -2226,27 +2679,33 @@ export default class PrivateAPI {
 
 		const preparedData = tempPileTransaction.prepare();
 
-		const transactionMap = actorUuids.map(uuid => {
+		const transactionMap = shares.map(({ uuid }) => {
 			return [uuid, new Transaction(Utilities.getActor(uuid))];
 		});
 
+		// Shares are worked out from the pile's current quantities, so that what each actor receives adds up to what was
+		// taken out of the pile
+		const getPileItem = (delta) => itemPileActor.items.get(delta.item._id) ?? delta.item;
+
 		for (const [uuid, transaction] of transactionMap) {
 
 			const clonedData = foundry.utils.deepClone(preparedData);
 
 			if (pileData.shareItemsEnabled) {
 				await transaction.appendItemChanges(clonedData.itemDeltas.filter(delta => delta.type === "item").map(delta => {
-					delta.quantity = SharingUtilities.getItemSharesLeftForActor(itemPileActor, delta.item, transaction.document, {
-						players: numPlayers, shareData: shareData, floor: true
-					});
+					delta.quantity = valueBalanced
+						? itemAssignments[delta.item._id]?.[uuid] ?? 0
+						: SharingUtilities.getItemSharesLeftForActor(itemPileActor, getPileItem(delta), transaction.document, {
+							fraction: fractions[uuid], shareData: shareData, floor: true
+						});
 					return delta;
-				}));
+				}).filter(delta => delta.quantity));
 			}
 
 			if (pileData.shareCurrenciesEnabled || pileData.splitAllEnabled) {
 				await transaction.appendItemChanges(clonedData.itemDeltas.filter(delta => delta.type === "currency").map(delta => {
-					delta.quantity = SharingUtilities.getItemSharesLeftForActor(itemPileActor, delta.item, transaction.document, {
-						players: numPlayers, shareData: shareData, floor: true
+					delta.quantity = SharingUtilities.getItemSharesLeftForActor(itemPileActor, getPileItem(delta), transaction.document, {
+						fraction: fractions[uuid], shareData: shareData, floor: true
 					});
 					return delta;
 				}), { type: "currency" });
@@ -2254,7 +2713,7 @@ export default class PrivateAPI {
 				await transaction.appendDocumentChanges(Object.entries(clonedData.attributeDeltas).map(entry => {
 					let [path] = entry;
 					const quantity = SharingUtilities.getAttributeSharesLeftForActor(itemPileActor, path, transaction.document, {
-						players: numPlayers, shareData: shareData, floor: true
+						fraction: fractions[uuid], shareData: shareData, floor: true
 					});
 					return { path, quantity };
 				}));
@@ -2264,21 +2723,31 @@ export default class PrivateAPI {
 
 		const actorPreparedData = Object.fromEntries(transactionMap.map(entry => [entry[0], entry[1].prepare()]));
 
+		const overCapacityTransaction = transactionMap.find(([_, transaction]) => {
+			return !EncumbranceUtilities.canActorCarryItems(transaction.document, transaction.itemDeltas);
+		})?.[1];
+		if (overCapacityTransaction) {
+			Helpers.custom_warning(`splitItemPileContents | ${overCapacityTransaction.document.name} cannot carry their share of ${itemPileActor.name}`, true);
+			return false;
+		}
+
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_SPLIT_INVENTORY, itemPileActor, preparedData, actorPreparedData, userId, instigator);
 		if (hookResult === false) return false;
 
-		const pileDeltas = await tempPileTransaction.commit();
-		const actorDeltas = {};
-		for (const [uuid, transaction] of transactionMap) {
-			actorDeltas[uuid] = await transaction.commit();
-		}
+		const transactions = [tempPileTransaction].concat(transactionMap.map(([_, transaction]) => transaction));
+		const [pileDeltas, ...deltas] = await Transaction.commitAll(transactions);
+		const actorDeltas = Object.fromEntries(transactionMap.map(([uuid], index) => [uuid, deltas[index]]));
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.SPLIT_INVENTORY, transactions, {
+			userId, source: itemPileUuid
+		});
 
 		await SharingUtilities.clearItemPileSharingData(itemPileActor);
 
 		await ItemPileSocket.callHook(CONSTANTS.HOOKS.PILE.SPLIT_INVENTORY, itemPileUuid, pileDeltas, actorDeltas, userId, instigator);
 
 		await this._executeItemPileMacro(itemPileUuid, {
-			action: CONSTANTS.MACRO_EXECUTION_TYPES.SPLIT_INVENTORY, source: itemPileUuid, target: actorUuids, transfers: {
+			action: CONSTANTS.MACRO_EXECUTION_TYPES.SPLIT_INVENTORY, source: itemPileUuid, target: shares.map(share => share.uuid), transfers: {
 				pileDeltas, actorDeltas
 			}, userId: userId, instigator: instigator
 		});
@@ -2294,68 +2763,359 @@ export default class PrivateAPI {
 
 	}
 
-	static async _updateTokenHud() {
-		if (!canvas.tokens.hud.rendered) return;
-		return canvas.tokens.hud.render(true);
-	}
+	/**
+	 * Starts a loot roll on an item pile and returns as soon as it has started, as the players may take a while to vote.
+	 * The results are reported through the loot roll hook once every item has been rolled for.
+	 *
+	 * @param {string} itemPileUuid
+	 * @param {Array<string>/boolean} itemIds
+	 * @param {string} userId
+	 * @param {string/boolean} [interactionId=false]
+	 * @param {boolean} [onOpen=false]    Whether the roll was started by the pile being opened, in which case items that
+	 *                                    were already put up for a roll on this pile are left out
+	 * @returns {boolean} Whether the roll was started
+	 */
+	static _startLootRoll(itemPileUuid, itemIds, userId, { interactionId = false, onOpen = false } = {}) {
 
-	static async _renderItemPileInterface(targetUuid, {
-		inspectingTargetUuid = false, useDefaultCharacter = false, remote = false
-	} = {}) {
+		if (lootRollsInProgress.has(itemPileUuid)) return false;
 
-		const target = Utilities.getActor(targetUuid);
+		const itemPileActor = Utilities.getActor(itemPileUuid);
+		const pileData = PileUtilities.getActorFlagData(itemPileActor);
+		if (onOpen && !pileData.lootRollEnabled) return false;
 
-		let inspectingTarget;
-		if (useDefaultCharacter) {
-			inspectingTarget = Utilities.getUserCharacter();
-		} else {
-			inspectingTarget = inspectingTargetUuid ? fromUuidSync(inspectingTargetUuid) : false;
-		}
+		const rolledItems = rolledLootItems.get(itemPileUuid) ?? new Set();
+		const items = LootRollUtilities.getLootRollItems(itemPileActor, itemIds)
+			.filter(item => !onOpen || !rolledItems.has(item.id))
+			.map(item => ({
+				id: item.id, name: item.name, img: item.img, quantity: Utilities.getItemQuantity(item)
+			}));
+		if (!items.length) return false;
 
-		const hookResult = Hooks.call(CONSTANTS.HOOKS.PRE_RENDER_INTERFACE, target, inspectingTarget)
-		if (hookResult === false) return;
+		// Characters are listed in the same order as the players they belong to
+		const players = SharingUtilities.getPlayersForItemPile(itemPileActor);
+		const participants = SharingUtilities.getCharactersForItemPile(itemPileActor)
+			.map((actor, index) => ({ user: players[index], actor }))
+			.filter(participant => participant.actor);
+		if (!participants.length) return false;
+		if (onOpen && !participants.some(participant => participant.user.id === userId)) return false;
 
-		const result = await this._executeItemPileMacro(targetUuid, {
-			action: CONSTANTS.MACRO_EXECUTION_TYPES.RENDER_INTERFACE,
-			source: inspectingTarget?.uuid ?? false,
-			target: targetUuid,
-			userId: game.user.id
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_LOOT_ROLL, itemPileActor, items, participants.map(participant => participant.actor), userId, interactionId);
+		if (hookResult === false) return false;
+
+		lootRollsInProgress.add(itemPileUuid);
+		for (const item of items) rolledItems.add(item.id);
+		rolledLootItems.set(itemPileUuid, rolledItems);
+
+		this._runLootRoll(itemPileUuid, items, participants, userId, {
+			timeout: Math.max(1, Number(pileData.lootRollTimeout) || 30), interactionId
+		}).catch(err => {
+			Helpers.custom_warning(`Failed to finish the loot roll on ${itemPileActor.name}: ${err}`);
+		}).finally(() => {
+			lootRollsInProgress.delete(itemPileUuid);
 		});
-		if (result === false) return;
 
-		if (PileUtilities.isItemPileVault(target)) {
-			return BankVaultApp.show(target, inspectingTarget)
-		}
+		return true;
+
+	}
+
+	static async _runLootRoll(itemPileUuid, items, participants, userId, { timeout, interactionId = false } = {}) {
+
+		// Players that do not answer in time, or that are not around to answer at all, pass on everything
+		const responses = await Promise.all(participants.map(({ user }) => {
+			if (!user.active) return {};
+			return Promise.race([
+				ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.LOOT_ROLL_PROMPT, user.id, itemPileUuid, items, timeout)
+					.catch(() => ({})),
+				Helpers.wait((timeout + 5) * 1000).then(() => ({}))
+			]).then(votes => votes ?? {});
+		}));
+
+		const results = [];
+		for (const item of items) {
+
+			const votes = participants.map(({ actor }, index) => ({
+				actorUuid: Utilities.getUuid(actor),
+				name: actor.name,
+				vote: Object.values(LootRollUtilities.VOTES).includes(responses[index][item.id])
+					? responses[index][item.id]
+					: LootRollUtilities.VOTES.PASS
+			}));
+
+			const { rolls, winner } = await LootRollUtilities.rollForItem(votes);
+
+			// The item may have been taken out of the pile while everyone was voting
+			const pileItem = Utilities.getActor(itemPileUuid)?.items.get(item.id);
+			const quantity = pileItem ? Utilities.getItemQuantity(pileItem) : 0;
+			if (winner && quantity) {
+				await this._transferItems(itemPileUuid, winner.actorUuid, [{ _id: item.id, quantity }], userId, { interactionId });
+			}
+
+			results.push({ item, rolls, winner: quantity ? winner : null });
 
-		if (PileUtilities.isItemPileMerchant(target)) {
-			return MerchantApp.show(target, inspectingTarget)
 		}
 
-		return ItemPileInventoryApp.show(target, inspectingTarget, { remote });
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.PILE.LOOT_ROLL, itemPileUuid, results, userId, interactionId);
+
+		return results;
 
 	}
 
-	static async _unrenderItemPileInterface(targetUuid, { remote = false } = {}) {
+	static async _lootRollPrompt(itemPileUuid, items, timeout) {
+		const itemPileActor = Utilities.getActor(itemPileUuid);
+		return LootRollDialog.show(itemPileActor, items, timeout);
+	}
 
-		const target = Utilities.getActor(targetUuid);
+	static async _queueClaim(sourceUuid, targetUuid, userId, {
+		items = [], attributes = {}, everything = false, allItems = false, allAttributes = false, itemFilters = false,
+		interactionId = false, containerId = false
+	} = {}) {
 
-		return Promise.allSettled(Object.values(ui.windows).filter(app => {
-			return app.id.includes(`-${target.id}-`) || app?.actor === target || app?.merchant === target;
-		}).map(app => app.close()));
+		const sourceActor = Utilities.getActor(sourceUuid);
+		const sourceCurrencies = PileUtilities.getActorCurrencies(sourceActor);
 
-	}
+		if (everything || allItems) {
+			items = PileUtilities.getActorItems(sourceActor, { itemFilters })
+				.map(item => ({ _id: item.id, quantity: Utilities.getItemQuantity(item) }));
+		}
 
-	static async _tradeItems(sellerUuid, buyerUuid, items, userId, { interactionId = false } = {}) {
+		if (everything) {
+			items = items.concat(sourceCurrencies
+				.filter(currency => currency.type === "item")
+				.map(currency => ({ _id: currency.id, quantity: currency.quantity })));
+		}
 
-		const sellingActor = Utilities.getActor(sellerUuid);
-		const buyingActor = Utilities.getActor(buyerUuid);
+		if (everything || allAttributes) {
+			attributes = Object.fromEntries(sourceCurrencies
+				.filter(currency => currency.type === "attribute")
+				.map(currency => [currency.data.path, currency.quantity]));
+		}
 
-		const itemPrices = PileUtilities.getPaymentData({
-			purchaseData: items.map(data => {
-				return {
-					...data, item: sellingActor.items.get(data.id)
-				}
-			}), seller: sellingActor, buyer: buyingActor
+		const claim = ClaimUtilities.createClaim(sourceUuid, targetUuid, userId, {
+			items, attributes, interactionId, containerId
+		});
+		if (!claim.items.length && !claim.attributes.length) return false;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.CLAIM.PRE_QUEUE, sourceActor, claim, userId, interactionId);
+		if (hookResult === false) return false;
+
+		// What was claimed is held in escrow on the pile, so that nobody else can take it before the claim is resolved
+		await EscrowUtilities.addEscrow(sourceActor, EscrowUtilities.createEscrow(CONSTANTS.ESCROW_TYPES.CLAIM, userId, {
+			id: claim.id,
+			items: claim.items.map(item => ({ _id: item._id, quantity: item.quantity })),
+			attributes: claim.attributes.map(attribute => ({ path: attribute.path, quantity: attribute.quantity })),
+			reference: claim.id
+		}));
+
+		await ClaimUtilities.addClaim(claim);
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.CLAIM.QUEUE, sourceUuid, claim, userId, interactionId);
+
+		await ItemPileSocket.executeForAllGMs(ItemPileSocket.HANDLERS.RENDER_CLAIM_QUEUE);
+		await ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.CLAIM_NOTIFICATION, userId, claim, "queued");
+
+		// Nothing has been transferred yet, that only happens once a GM approves the claim
+		return false;
+
+	}
+
+	static async _resolveClaim(claimId, approved, userId, { items = false, attributes = false } = {}) {
+
+		const claim = ClaimUtilities.getClaim(claimId);
+		if (!claim || resolvingClaims.has(claimId)) return false;
+
+		// The GM may have changed how much of each item or attribute the player gets to take
+		claim.items = claim.items.map(item => ({
+			...item, quantity: Math.max(0, Number(items?.[item._id] ?? item.quantity) || 0)
+		}));
+		claim.attributes = claim.attributes.map(attribute => ({
+			...attribute, quantity: Math.max(0, Number(attributes?.[attribute.path] ?? attribute.quantity) || 0)
+		}));
+
+		const sourceActor = Utilities.getActor(claim.source.uuid);
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.CLAIM.PRE_RESOLVE, sourceActor, claim, approved, userId, claim.interactionId);
+		if (hookResult === false) return false;
+
+		resolvingClaims.add(claimId);
+		try {
+			const result = await this._transferClaim(claim, approved && !!sourceActor);
+			if (result === null) return false;
+
+			// The claim is only taken out of the queue once what was claimed has been transferred
+			await ClaimUtilities.removeClaim(claimId);
+
+			if (sourceActor) {
+				await EscrowUtilities.removeEscrow(sourceActor, claim.id);
+			}
+
+			await ItemPileSocket.callHook(CONSTANTS.HOOKS.CLAIM.RESOLVE, claim.source.uuid, claim, approved, result, userId, claim.interactionId);
+
+			if (game.users.get(claim.user)?.active) {
+				await ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.CLAIM_NOTIFICATION, claim.user, claim, approved ? "approved" : "denied");
+			}
+
+			return result;
+		} finally {
+			resolvingClaims.delete(claimId);
+		}
+
+	}
+
+	/**
+	 * Transfers what was claimed, if the claim was approved. If a transfer fails or is cancelled, whatever was not
+	 * transferred stays claimed and held in escrow, so that the claim can be resolved again.
+	 *
+	 * @param {object} claim
+	 * @param {boolean} approved
+	 * @returns {Promise<object/boolean/null>} What was transferred, false if the claim was denied, or null if it failed
+	 */
+	static async _transferClaim(claim, approved) {
+
+		if (!approved) return false;
+
+		const sourceActor = Utilities.getActor(claim.source.uuid);
+
+		// The GM may have raised the quantities, so nobody can take more than what is left in the pile and not held
+		// in escrow for something else
+		const ignore = [claim.id];
+		const itemsToTransfer = claim.items.map(data => {
+			const item = sourceActor.items.get(data._id);
+			return {
+				_id: data._id,
+				quantity: item ? Math.min(data.quantity, EscrowUtilities.getAvailableItemQuantity(item, { ignore })) : 0
+			};
+		}).filter(item => item.quantity);
+
+		const attributesToTransfer = Object.fromEntries(claim.attributes.map(attribute => {
+			const available = EscrowUtilities.getAvailableAttributeQuantity(sourceActor, attribute.path, { ignore });
+			return [attribute.path, Math.min(attribute.quantity, available)];
+		}).filter(([, quantity]) => quantity > 0));
+
+		const result = { itemsTransferred: [], attributesTransferred: {} };
+
+		// The escrow is released along with whichever transfer goes first
+		if (!foundry.utils.isEmpty(attributesToTransfer)) {
+			const attributesTransferred = await this._transferAttributes(claim.source.uuid, claim.target.uuid, attributesToTransfer, claim.user, {
+				interactionId: claim.interactionId, escrowId: claim.id
+			}).catch(err => {
+				Helpers.custom_warning(`Failed to transfer the attributes claimed from ${sourceActor.name}: ${err}`, true);
+				return false;
+			});
+			if (!attributesTransferred) return null;
+			result.attributesTransferred = attributesTransferred;
+		}
+
+		if (itemsToTransfer.length) {
+			const itemsTransferred = await this._transferItems(claim.source.uuid, claim.target.uuid, itemsToTransfer, claim.user, {
+				interactionId: claim.interactionId, containerId: claim.containerId ?? false, escrowId: claim.id
+			}).catch(err => {
+				Helpers.custom_warning(`Failed to transfer the items claimed from ${sourceActor.name}: ${err}`, true);
+				return false;
+			});
+			if (!itemsTransferred) {
+				// The attributes went through and released the escrow, so only the items are left claimed
+				if (!foundry.utils.isEmpty(attributesToTransfer)) {
+					claim.attributes = [];
+					await ClaimUtilities.updateClaim(claim);
+					await EscrowUtilities.addEscrow(sourceActor, EscrowUtilities.createEscrow(CONSTANTS.ESCROW_TYPES.CLAIM, claim.user, {
+						id: claim.id,
+						items: claim.items.map(item => ({ _id: item._id, quantity: item.quantity })),
+						reference: claim.id
+					}));
+				}
+				return null;
+			}
+			result.itemsTransferred = itemsTransferred;
+		}
+
+		return result;
+
+	}
+
+	static async _renderClaimQueue() {
+		return ClaimQueueApp.show();
+	}
+
+	static async _claimNotification(claim, status) {
+		const message = game.i18n.format(`ITEM-PILES.Notifications.Claim${status.capitalize()}`, {
+			source_name: claim.source.name
+		});
+		if (status === "denied") {
+			return Helpers.custom_warning(message, true);
+		}
+		return Helpers.custom_notify(message);
+	}
+
+	static async _updateTokenHud() {
+		if (!canvas.tokens.hud.rendered) return;
+		return canvas.tokens.hud.render(true);
+	}
+
+	static async _renderItemPileInterface(targetUuid, {
+		inspectingTargetUuid = false, useDefaultCharacter = false, remote = false
+	} = {}) {
+
+		const target = Utilities.getActor(targetUuid);
+
+		let inspectingTarget;
+		if (useDefaultCharacter) {
+			inspectingTarget = Utilities.getUserCharacter();
+		} else {
+			inspectingTarget = inspectingTargetUuid ? fromUuidSync(inspectingTargetUuid) : false;
+		}
+
+		const hookResult = Hooks.call(CONSTANTS.HOOKS.PRE_RENDER_INTERFACE, target, inspectingTarget)
+		if (hookResult === false) return;
+
+		const result = await this._executeItemPileMacro(targetUuid, {
+			action: CONSTANTS.MACRO_EXECUTION_TYPES.RENDER_INTERFACE,
+			source: inspectingTarget?.uuid ?? false,
+			target: targetUuid,
+			userId: game.user.id
+		});
+		if (result === false) return;
+
+		if (PileUtilities.isItemPileVault(target)) {
+			return BankVaultApp.show(target, inspectingTarget)
+		}
+
+		if (PileUtilities.isItemPileBanker(target)) {
+			return BankerApp.show(target, inspectingTarget)
+		}
+
+		if (PileUtilities.isItemPileAuctioneer(target)) {
+			return AuctioneerApp.show(target, inspectingTarget)
+		}
+
+		if (PileUtilities.isItemPileMerchant(target)) {
+			return MerchantApp.show(target, inspectingTarget)
+		}
+
+		return ItemPileInventoryApp.show(target, inspectingTarget, { remote });
+
+	}
+
+	static async _unrenderItemPileInterface(targetUuid, { remote = false } = {}) {
+
+		const target = Utilities.getActor(targetUuid);
+
+		return Promise.allSettled(Object.values(ui.windows).filter(app => {
+			return app.id.includes(`-${target.id}-`) || app?.actor === target || app?.merchant === target;
+		}).map(app => app.close()));
+
+	}
+
+	static async _tradeItems(sellerUuid, buyerUuid, items, userId, { interactionId = false } = {}) {
+
+		const sellingActor = Utilities.getActor(sellerUuid);
+		const buyingActor = Utilities.getActor(buyerUuid);
+
+		const itemPrices = PileUtilities.getPaymentData({
+			purchaseData: items.map(data => {
+				return {
+					...data, item: sellingActor.items.get(data.id)
+				}
+			}), seller: sellingActor, buyer: buyingActor
 		});
 
 		const preCalcHookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_CALC_TRADE, sellingActor, buyingActor, itemPrices, userId, interactionId);
@@ -2398,12 +3158,16 @@ export default class PrivateAPI {
 					"default": sellerFlagData?.infiniteQuantity ?? false, "yes": true, "no": false
 				}[itemFlagData.infiniteQuantity ?? "default"];
 				if (sellerIsMerchant && itemInfiniteQuantity) continue;
+				const keepZeroQuantity = itemFlagData.isService || sellerKeepZeroQuantity || itemFlagData.keepZeroQuantity;
+				// Items that restock are kept when sold out so that they can be restocked, but their quantity alone keeps
+				// them from being bought, so their "not for sale" setting is left to the GM
 				await sellerTransaction.appendItemChanges([{
 					item: entry.item, quantity: entry.quantity
 				}], {
 					remove: true,
 					type: entry.isCurrency ? "currency" : entry.type,
-					keepIfZero: itemFlagData.isService || sellerKeepZeroQuantity || itemFlagData.keepZeroQuantity,
+					keepIfZero: keepZeroQuantity || itemFlagData.restockMax > 0,
+					markNotForSale: keepZeroQuantity,
 					onlyDelta
 				});
 			}
@@ -2440,7 +3204,13 @@ export default class PrivateAPI {
 				}], { type: entry.type });
 			} else {
 				const itemFlagData = PileUtilities.getItemFlagData(entry.item);
-				if (itemFlagData.isService) continue;
+				if (itemFlagData.isService) {
+					// Services without a delivery delay hand over their items as part of the trade itself
+					if (sellerIsMerchant && !itemFlagData.serviceDeliveryDelay) {
+						await buyerTransaction.appendItemChanges(ServiceUtilities.getServiceDeliveryItems(entry.item, entry.quantity, itemFlagData));
+					}
+					continue;
+				}
 				const item = entry.item.toObject();
 				if (buyerHidesNewItems) {
 					foundry.utils.setProperty(item, CONSTANTS.FLAGS.ITEM + '.hidden', true);
@@ -2467,11 +3237,58 @@ export default class PrivateAPI {
 		const sellerUpdates = sellerTransaction.prepare();
 		const buyerUpdates = buyerTransaction.prepare();
 
+		// Restoring resources can fail on a bad formula or an actor the system cannot restore, so it is worked out before
+		// the buyer has paid for it
+		const serviceRestoreData = new Map();
+		if (sellerIsMerchant && ServiceUtilities.canRestoreResources()) {
+			for (const entry of itemPrices.buyerReceive) {
+				const itemFlagData = PileUtilities.getItemFlagData(entry.item);
+				if (!itemFlagData.isService || !itemFlagData.serviceRestore) continue;
+				try {
+					serviceRestoreData.set(entry, await ServiceUtilities.getServiceRestoreData(buyingActor, entry.item, entry.quantity, itemFlagData));
+				} catch (err) {
+					Helpers.custom_warning(`tradeItems | "${entry.item.name}" cannot restore "${buyingActor.name}", so it was not bought: ${err?.message ?? err}`, true);
+					return false;
+				}
+			}
+		}
+
 		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_TRADE, sellingActor, sellerUpdates, buyingActor, buyerUpdates, userId, interactionId);
 		if (hookResult === false) return false;
 
-		const sellerTransactionData = await sellerTransaction.commit();
-		const buyerTransactionData = await buyerTransaction.commit();
+		const [sellerTransactionData, buyerTransactionData] = await Transaction.commitAll([sellerTransaction, buyerTransaction], { interactionId });
+
+		// Services are applied before anything else is recorded, so that the trade can still be undone if one of them fails
+		if (sellerIsMerchant) {
+			const serviceUndoChanges = [];
+			try {
+				for (const entry of itemPrices.buyerReceive) {
+					const itemFlagData = PileUtilities.getItemFlagData(entry.item);
+					if (!itemFlagData.isService) continue;
+					entry.serviceReceipt = await this._applyService(sellingActor, buyingActor, entry.item, entry.quantity, userId, {
+						itemFlagData, restoreData: serviceRestoreData.get(entry), undoChanges: serviceUndoChanges, interactionId
+					});
+				}
+			} catch (err) {
+				// The services that were already applied are undone as well, as the buyer is no longer paying for them
+				for (const undo of serviceUndoChanges.reverse()) {
+					try {
+						await undo();
+					} catch (undoErr) {
+						Helpers.custom_warning(`tradeItems | Failed to undo a service applied to "${buyingActor.name}": ${undoErr?.message ?? undoErr}`, true);
+					}
+				}
+				for (const transaction of [buyerTransaction, sellerTransaction]) {
+					await transaction.rollback();
+				}
+				Helpers.custom_warning(`tradeItems | Failed to apply a service to "${buyingActor.name}", the trade was rolled back: ${err?.message ?? err}`, true);
+				return false;
+			}
+		}
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.TRADE_ITEMS, [sellerTransaction, buyerTransaction], {
+			userId, interactionId, source: sellerUuid, target: buyerUuid
+		});
 
 		const itemPileActorUuid = sellerIsMerchant ? sellerUuid : buyerUuid;
 
@@ -2490,8 +3307,8 @@ export default class PrivateAPI {
 		});
 
 		const merchantFlagData = sellerIsMerchant ? sellerFlagData : buyerFlagData;
+		const merchantActor = sellerIsMerchant ? sellingActor : buyingActor;
 		if (merchantFlagData.logMerchantActivity) {
-			const merchantActor = sellerIsMerchant ? sellingActor : buyingActor;
 			const regularActor = sellerIsMerchant ? buyingActor : sellingActor;
 			await PileUtilities.updateMerchantLog(merchantActor, {
 				type: "transaction",
@@ -2504,6 +3321,19 @@ export default class PrivateAPI {
 			})
 		}
 
+		if (merchantFlagData.dynamicPricing) {
+			const soldItems = itemPrices.buyerReceive.filter(entry => entry.type !== "attribute" && entry.quantity);
+			await PileUtilities.updateMerchantSales(merchantActor, soldItems, !sellerIsMerchant, merchantFlagData);
+		}
+
+		const faction = FactionUtilities.getFaction(merchantFlagData.faction);
+		if (faction?.reputationPerTrade && !(sellerIsMerchant && buyerIsMerchant)) {
+			await this._applyReputation(sellerIsMerchant ? buyerUuid : sellerUuid, faction.id, Number(faction.reputationPerTrade), userId, {
+				relative: true,
+				interactionId
+			});
+		}
+
 		if (sellerIsMerchant) {
 			for (let entry of itemPrices.buyerReceive) {
 				const itemFlagData = PileUtilities.getItemFlagData(entry.item);
@@ -2575,4 +3405,927 @@ export default class PrivateAPI {
 
 	}
 
+	static async _openBankAccount(bankerUuid, actorUuid, userId) {
+
+		const bankerActor = Utilities.getActor(bankerUuid);
+		const actor = Utilities.getActor(actorUuid);
+
+		const user = game.users.get(userId);
+		if (!actor || !user || (!user.isGM && !actor.testUserPermission(user, "OWNER"))) return false;
+
+		if (BankUtilities.getBankAccount(bankerActor, actor)) return false;
+
+		const account = BankUtilities.createBankAccount(actor);
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.BANK.PRE_OPEN_ACCOUNT, bankerActor, actor, account, userId);
+		if (hookResult === false) return false;
+
+		await BankUtilities.updateBankAccount(bankerActor, actor, account);
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.BANK.OPEN_ACCOUNT, bankerUuid, actorUuid, userId);
+
+		await this._executeItemPileMacro(bankerUuid, {
+			action: CONSTANTS.MACRO_EXECUTION_TYPES.OPEN_BANK_ACCOUNT,
+			source: actorUuid,
+			target: bankerUuid,
+			userId: userId
+		});
+
+		return account;
+
+	}
+
+	static async _depositToBank(bankerUuid, actorUuid, { currencies = "", items = [] } = {}, userId, {
+		interactionId = false
+	} = {}) {
+
+		const bankerActor = Utilities.getActor(bankerUuid);
+		const actor = Utilities.getActor(actorUuid);
+
+		const transaction = new Transaction(actor);
+
+		let value = 0;
+		if (currencies) {
+
+			value = PileUtilities.getPriceFromString(currencies).overallCost;
+
+			const paymentData = PileUtilities.getPaymentData({
+				purchaseData: [{ cost: value, quantity: 1 }], buyer: actor
+			});
+
+			const itemsToRemove = paymentData.finalPrices.filter(currency => currency.type === "item" && currency.quantity)
+				.map(currency => ({ item: currency.data.item, quantity: currency.quantity }));
+
+			const attributesToRemove = paymentData.finalPrices.filter(currency => currency.type === "attribute" && currency.quantity)
+				.map(currency => ({ path: currency.data.path, quantity: currency.quantity }));
+
+			const itemsToAdd = paymentData.buyerChange.filter(currency => currency.type === "item" && currency.quantity)
+				.map(currency => ({ item: currency.data.item, quantity: currency.quantity }));
+
+			const attributesToAdd = paymentData.buyerChange.filter(currency => currency.type === "attribute" && currency.quantity)
+				.map(currency => ({ path: currency.data.path, quantity: currency.quantity }));
+
+			await transaction.appendItemChanges(itemsToRemove, { remove: true, type: "currency" });
+			await transaction.appendDocumentChanges(attributesToRemove, { remove: true, type: "currency" });
+			await transaction.appendItemChanges(itemsToAdd, { type: "currency" });
+			await transaction.appendDocumentChanges(attributesToAdd, { type: "currency" });
+
+		}
+
+		await transaction.appendItemChanges(items, { remove: true });
+
+		const preparedData = transaction.prepare();
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.BANK.PRE_DEPOSIT, bankerActor, actor, preparedData, value, userId, interactionId);
+		if (hookResult === false) return false;
+
+		const { itemDeltas, attributeDeltas } = await transaction.commit();
+
+		const depositedItems = itemDeltas.filter(delta => delta.type !== "currency" && delta.quantity < 0);
+
+		const account = BankUtilities.getBankAccount(bankerActor, actor);
+		await BankUtilities.updateBankAccount(bankerActor, actor, {
+			...account,
+			value: account.value + value,
+			items: BankUtilities.addItemsToAccount(account, depositedItems)
+		});
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.DEPOSIT_TO_BANK, [transaction], {
+			userId, interactionId, source: actorUuid, target: bankerUuid
+		});
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.BANK.DEPOSIT, bankerUuid, actorUuid, itemDeltas, attributeDeltas, value, userId, interactionId);
+
+		await this._executeItemPileMacro(bankerUuid, {
+			action: CONSTANTS.MACRO_EXECUTION_TYPES.DEPOSIT_TO_BANK,
+			source: actorUuid,
+			target: bankerUuid,
+			userId: userId,
+			interactionId: interactionId
+		});
+
+		return { value, itemDeltas, attributeDeltas };
+
+	}
+
+	static async _withdrawFromBank(bankerUuid, actorUuid, { currencies = "", items = [] } = {}, userId, {
+		interactionId = false
+	} = {}) {
+
+		const bankerActor = Utilities.getActor(bankerUuid);
+		const actor = Utilities.getActor(actorUuid);
+
+		const user = game.users.get(userId);
+		if (!actor || !user || (!user.isGM && !actor.testUserPermission(user, "OWNER"))) return false;
+
+		const account = BankUtilities.getBankAccount(bankerActor, actor);
+		const accountId = `${bankerUuid}-${actorUuid}`;
+		if (!account || withdrawingFromBank.has(accountId)) return false;
+
+		const priceData = currencies ? PileUtilities.getPriceFromString(currencies) : false;
+		const value = priceData ? priceData.overallCost : 0;
+
+		// The account may have changed since the withdrawal was requested, so it has to be able to cover it here
+		if (!BankUtilities.canAffordWithdrawal(account, value)) return false;
+
+		const itemQuantities = new Map();
+		for (const entry of items) {
+			itemQuantities.set(entry._id, (itemQuantities.get(entry._id) ?? 0) + entry.quantity);
+		}
+		for (const [itemId, quantity] of itemQuantities) {
+			const item = account.items.find(item => item._id === itemId);
+			if (!item || !Helpers.isRealNumber(quantity) || quantity <= 0 || quantity > Utilities.getItemQuantity(item)) return false;
+		}
+
+		withdrawingFromBank.add(accountId);
+		try {
+
+			const transaction = new Transaction(actor);
+
+			if (priceData) {
+
+				const currenciesToAdd = priceData.currencies.filter(currency => Helpers.isRealNumber(currency.quantity) && currency.quantity > 0);
+
+				await transaction.appendItemChanges(currenciesToAdd.filter(currency => currency.type === "item")
+					.map(currency => ({ item: currency.data.item, quantity: currency.quantity })), { type: "currency" });
+
+				await transaction.appendDocumentChanges(currenciesToAdd.filter(currency => currency.type === "attribute")
+					.map(currency => ({ path: currency.data.path, quantity: currency.quantity })), { type: "currency" });
+
+			}
+
+			await transaction.appendItemChanges(items.map(entry => ({
+				item: account.items.find(item => item._id === entry._id), quantity: entry.quantity
+			})));
+
+			const preparedData = transaction.prepare();
+
+			const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.BANK.PRE_WITHDRAW, bankerActor, actor, preparedData, value, userId, interactionId);
+			if (hookResult === false) return false;
+
+			const { itemDeltas, attributeDeltas } = await transaction.commit();
+
+			await BankUtilities.updateBankAccount(bankerActor, actor, {
+				...account,
+				value: Math.max(0, account.value - value),
+				items: BankUtilities.removeItemsFromAccount(account, items)
+			});
+
+			await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.WITHDRAW_FROM_BANK, [transaction], {
+				userId, interactionId, source: bankerUuid, target: actorUuid
+			});
+
+			await ItemPileSocket.callHook(CONSTANTS.HOOKS.BANK.WITHDRAW, bankerUuid, actorUuid, itemDeltas, attributeDeltas, value, userId, interactionId);
+
+			await this._executeItemPileMacro(bankerUuid, {
+				action: CONSTANTS.MACRO_EXECUTION_TYPES.WITHDRAW_FROM_BANK,
+				source: bankerUuid,
+				target: actorUuid,
+				items: itemDeltas,
+				attributes: attributeDeltas,
+				userId: userId,
+				interactionId: interactionId
+			});
+
+			return { value, itemDeltas, attributeDeltas };
+
+		} finally {
+			withdrawingFromBank.delete(accountId);
+		}
+
+	}
+
+	static async _applyBankRates(bankerUuid, days) {
+
+		const bankerActor = Utilities.getActor(bankerUuid);
+		const pileData = PileUtilities.getActorFlagData(bankerActor);
+
+		if (!pileData.bankInterestRate && !pileData.bankFeeRate) return false;
+
+		const accounts = BankUtilities.getBankAccounts(bankerActor);
+
+		const updatedAccounts = Object.fromEntries(Object.entries(accounts).map(([actorId, account]) => {
+			return [actorId, { ...account, value: BankUtilities.getValueAfterRates(account, pileData, days) }];
+		}));
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.BANK.PRE_APPLY_RATES, bankerActor, updatedAccounts, days);
+		if (hookResult === false) return false;
+
+		await bankerActor.update({
+			[CONSTANTS.FLAGS.BANK_ACCOUNTS]: updatedAccounts
+		});
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.BANK.APPLY_RATES, bankerUuid, updatedAccounts, days);
+
+		return updatedAccounts;
+
+	}
+
+	static async _restockMerchantItems(merchantUuid, days) {
+
+		const merchantActor = Utilities.getActor(merchantUuid);
+		const pileData = PileUtilities.getActorFlagData(merchantActor);
+
+		const updates = [];
+		for (const item of merchantActor.items) {
+
+			const itemFlagData = PileUtilities.getItemFlagData(item);
+			if (!(itemFlagData.restockMax > 0)) continue;
+
+			const interval = Math.max(1, itemFlagData.restockInterval);
+			const progress = (itemFlagData.restockProgress ?? 0) + days;
+			const restocks = Math.floor(progress / interval);
+
+			const quantity = Utilities.getItemQuantity(item);
+			let newQuantity = quantity;
+			for (let index = 0; index < restocks && newQuantity < itemFlagData.restockMax; index++) {
+				const roll = await new Roll((itemFlagData.restockAmount || "1").toString()).evaluate({ allowInteractive: false });
+				newQuantity = Math.min(itemFlagData.restockMax, newQuantity + Math.max(0, roll.total));
+			}
+
+			const update = {
+				_id: item.id,
+				[CONSTANTS.FLAGS.ITEM + ".restockProgress"]: progress % interval
+			};
+			if (newQuantity !== quantity) {
+				Utilities.setItemQuantity(update, newQuantity);
+			}
+			updates.push(update);
+
+		}
+
+		if (!updates.length) return false;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PILE.PRE_RESTOCK_INVENTORY, merchantActor, updates, days);
+		if (hookResult === false) return false;
+
+		await merchantActor.updateEmbeddedDocuments("Item", updates);
+
+		if (pileData.logMerchantActivity) {
+			for (const update of updates) {
+				const newQuantity = foundry.utils.getProperty(update, game.itempiles.API.ITEM_QUANTITY_ATTRIBUTE);
+				if (newQuantity === undefined) continue;
+				await PileUtilities.updateMerchantLog(merchantActor, {
+					type: "event", user: game.user.id, item: merchantActor.items.get(update._id).name, qty: newQuantity
+				});
+			}
+		}
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.PILE.RESTOCK_INVENTORY, merchantUuid, updates, days);
+
+		return updates;
+
+	}
+
+	/**
+	 * Rolls an actor's haggle with a merchant. This is done by the GM so that players cannot report their own totals,
+	 * which is also why system rolls are not expected to prompt for roll options.
+	 *
+	 * @param {Actor} merchantActor
+	 * @param {Actor} actor
+	 * @param {object} pileData
+	 * @returns {Promise<number/boolean>} The total of the roll, or false if nothing was rolled
+	 */
+	static async _rollHaggle(merchantActor, actor, pileData) {
+
+		if (SYSTEMS.DATA.HAGGLE_ROLL) {
+			const roll = await SYSTEMS.DATA.HAGGLE_ROLL({ actor, merchant: merchantActor });
+			if (!roll && roll !== 0) return false;
+			return typeof roll === "number" ? roll : roll.total;
+		}
+
+		const roll = await new Roll(pileData.haggleFormula || "1d20", actor.getRollData()).evaluate();
+		await roll.toMessage({
+			speaker: ChatMessage.getSpeaker({ actor }),
+			flavor: game.i18n.format("ITEM-PILES.Merchant.HaggleFlavor", { merchant_name: merchantActor.name })
+		});
+		return roll.total;
+
+	}
+
+	static async _haggle(merchantUuid, actorUuid, userId, { interactionId = false } = {}) {
+
+		const merchantActor = Utilities.getActor(merchantUuid);
+		const actor = Utilities.getActor(actorUuid);
+		const pileData = PileUtilities.getActorFlagData(merchantActor);
+
+		if (!actor || !pileData.haggleEnabled || PileUtilities.getHaggleCooldown(merchantActor, actor, pileData)) return false;
+
+		const user = game.users.get(userId);
+		if (!user || (!user.isGM && !actor.testUserPermission(user, "OWNER"))) return false;
+
+		const total = await this._rollHaggle(merchantActor, actor, pileData);
+		if (total === false) return false;
+
+		const success = total >= pileData.haggleDC;
+		const now = game.time.worldTime;
+
+		const haggleData = {
+			actorUuid,
+			override: false,
+			buyPriceModifier: success ? Math.max(0, 1 - pileData.haggleModifier) : 1,
+			sellPriceModifier: success ? 1 + pileData.haggleModifier : 1,
+			haggle: {
+				total,
+				success,
+				expires: now + pileData.haggleDuration * 3600,
+				cooldown: now + pileData.haggleCooldown * 3600
+			}
+		};
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.MERCHANT.PRE_HAGGLE, merchantActor, actor, haggleData, userId, interactionId);
+		if (hookResult === false) return false;
+
+		// Haggles that have both expired and cooled down no longer affect anything, so they are cleaned up here
+		const actorPriceModifiers = pileData.actorPriceModifiers.filter(data => {
+			if (!data.haggle) return true;
+			if (data.actorUuid === actorUuid) return false;
+			return data.haggle.expires > now || data.haggle.cooldown > now;
+		});
+		actorPriceModifiers.push(haggleData);
+
+		await this._updateItemPile(merchantUuid, { actorPriceModifiers });
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.MERCHANT.HAGGLE, merchantUuid, actorUuid, haggleData, userId, interactionId);
+
+		return haggleData;
+
+	}
+
+	static async _updateReputation(actorUuid, factionId, value, userId, {
+		relative = false,
+		interactionId = false
+	} = {}) {
+
+		if (!game.users.get(userId)?.isGM) return false;
+
+		return this._applyReputation(actorUuid, factionId, value, userId, { relative, interactionId });
+
+	}
+
+	/**
+	 * Changes an actor's reputation without checking who asked for it, as trading with merchants also changes it
+	 */
+	static async _applyReputation(actorUuid, factionId, value, userId, {
+		relative = false,
+		interactionId = false
+	} = {}) {
+
+		const actor = Utilities.getActor(actorUuid);
+		const faction = FactionUtilities.getFaction(factionId);
+		if (!actor || !faction) return false;
+
+		const oldReputation = FactionUtilities.getActorReputation(actor, faction);
+		const newReputation = relative ? oldReputation + value : value;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.FACTION.PRE_UPDATE_REPUTATION, actor, faction, oldReputation, newReputation, userId, interactionId);
+		if (hookResult === false) return false;
+
+		await actor.update({
+			[`${CONSTANTS.FLAGS.REPUTATION}.${faction.id}`]: newReputation
+		});
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.FACTION.UPDATE_REPUTATION, actorUuid, faction, oldReputation, newReputation, userId, interactionId);
+
+		return newReputation;
+
+	}
+
+	static async _createAuctionLot(auctioneerUuid, sellerUuid, lotData, userId, { interactionId = false } = {}) {
+
+		const auctioneerActor = Utilities.getActor(auctioneerUuid);
+		const sellerActor = Utilities.getActor(sellerUuid);
+
+		const user = game.users.get(userId);
+		if (!sellerActor || !user || (!user.isGM && !sellerActor.testUserPermission(user, "OWNER"))) return false;
+
+		const item = sellerActor.items.get(lotData.itemId);
+		if (!item) return false;
+
+		const lot = AuctionUtilities.createAuctionLot(auctioneerActor, sellerActor, { ...lotData, item });
+
+		const transaction = new Transaction(sellerActor);
+		await transaction.appendItemChanges([{ item, quantity: lot.quantity }], { remove: true });
+		const preparedData = transaction.prepare();
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.AUCTION.PRE_CREATE_LOT, auctioneerActor, sellerActor, lot, preparedData, userId, interactionId);
+		if (hookResult === false) return false;
+
+		await transaction.commit();
+
+		await AuctionUtilities.updateAuctionLot(auctioneerActor, lot);
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.CREATE_AUCTION_LOT, [transaction], {
+			userId, interactionId, source: sellerUuid, target: auctioneerUuid
+		});
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.AUCTION.CREATE_LOT, auctioneerUuid, sellerUuid, lot, userId, interactionId);
+
+		await this._executeItemPileMacro(auctioneerUuid, {
+			action: CONSTANTS.MACRO_EXECUTION_TYPES.CREATE_AUCTION_LOT,
+			source: sellerUuid,
+			target: auctioneerUuid,
+			lot: lot,
+			userId: userId,
+			interactionId: interactionId
+		});
+
+		return lot;
+
+	}
+
+	static async _bidOnAuctionLot(auctioneerUuid, lotId, bidderUuid, value, userId, { interactionId = false } = {}) {
+
+		const auctioneerActor = Utilities.getActor(auctioneerUuid);
+		const bidderActor = Utilities.getActor(bidderUuid);
+
+		const user = game.users.get(userId);
+		if (!bidderActor || !user || (!user.isGM && !bidderActor.testUserPermission(user, "OWNER"))) return false;
+
+		// Bids can race each other, so they are validated again now that they are being handled one at a time
+		const lot = AuctionUtilities.getAuctionLot(auctioneerActor, lotId);
+		if (!lot || settlingAuctionLots.has(lotId) || AuctionUtilities.isLotExpired(lot) || !AuctionUtilities.isValidBid(lot, value)) {
+			return false;
+		}
+
+		const bid = {
+			actorUuid: bidderUuid,
+			name: bidderActor.name,
+			user: userId,
+			value,
+			date: Date.now()
+		};
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.AUCTION.PRE_BID, auctioneerActor, bidderActor, lot, bid, userId, interactionId);
+		if (hookResult === false) return false;
+
+		lot.bids.push(bid);
+		await AuctionUtilities.updateAuctionLot(auctioneerActor, lot);
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.AUCTION.BID, auctioneerUuid, bidderUuid, lot, bid, userId, interactionId);
+
+		await this._executeItemPileMacro(auctioneerUuid, {
+			action: CONSTANTS.MACRO_EXECUTION_TYPES.BID_ON_AUCTION_LOT,
+			source: bidderUuid,
+			target: auctioneerUuid,
+			lot: lot,
+			userId: userId,
+			interactionId: interactionId
+		});
+
+		if (AuctionUtilities.isBuyout(lot, value)) {
+			return this._settleAuctionLot(auctioneerUuid, lotId, userId, { interactionId });
+		}
+
+		return { lot, bid };
+
+	}
+
+	static async _settleAuctionLot(auctioneerUuid, lotId, userId, { interactionId = false } = {}) {
+
+		if (settlingAuctionLots.has(lotId)) return false;
+		settlingAuctionLots.add(lotId);
+
+		try {
+
+			const auctioneerActor = Utilities.getActor(auctioneerUuid);
+			const lot = AuctionUtilities.getAuctionLot(auctioneerActor, lotId);
+			if (!lot) return false;
+
+			const sellerActor = Utilities.getActor(lot.sellerUuid);
+
+			// The highest bidder that meets the reserve and can still pay wins, falling back to lower bids if they cannot
+			let paymentData = false;
+			const winningBid = lot.bids.slice().reverse().find(bid => {
+				const bidderActor = Utilities.getActor(bid.actorUuid);
+				if (bid.value < lot.reserve || !bidderActor) return false;
+				paymentData = PileUtilities.getPaymentData({
+					purchaseData: [{ cost: bid.value, quantity: 1 }], seller: sellerActor, buyer: bidderActor
+				});
+				return paymentData.canBuy;
+			}) ?? false;
+
+			const winnerActor = winningBid ? Utilities.getActor(winningBid.actorUuid) : false;
+
+			const transactions = [];
+
+			if (winnerActor) {
+
+				const winnerTransaction = new Transaction(winnerActor);
+
+				for (const price of paymentData.finalPrices) {
+					if (!price.quantity) continue;
+					if (price.type === "attribute") {
+						await winnerTransaction.appendDocumentChanges([{
+							path: price.data.path, quantity: price.quantity
+						}], { remove: true, type: "currency" });
+					} else {
+						await winnerTransaction.appendItemChanges([{
+							item: price.data.item, quantity: price.quantity
+						}], { remove: true, type: "currency" });
+					}
+				}
+
+				for (const change of paymentData.buyerChange) {
+					if (!change.quantity) continue;
+					if (change.type === "attribute") {
+						await winnerTransaction.appendDocumentChanges([{
+							path: change.data.path, quantity: change.quantity
+						}], { type: "currency" });
+					} else {
+						await winnerTransaction.appendItemChanges([{
+							item: change.data.item, quantity: change.quantity
+						}], { type: "currency" });
+					}
+				}
+
+				await winnerTransaction.appendItemChanges([{ item: lot.item, quantity: lot.quantity }]);
+
+				transactions.push(winnerTransaction);
+
+			}
+
+			if (sellerActor) {
+
+				const sellerTransaction = new Transaction(sellerActor);
+
+				if (winnerActor) {
+					for (const payment of paymentData.sellerReceive) {
+						if (!payment.quantity) continue;
+						if (payment.type === "attribute") {
+							await sellerTransaction.appendDocumentChanges([{
+								path: payment.data.path, quantity: payment.quantity
+							}], { type: "currency" });
+						} else {
+							await sellerTransaction.appendItemChanges([{
+								item: payment.data.item, quantity: payment.quantity
+							}], { type: "currency" });
+						}
+					}
+				} else {
+					await sellerTransaction.appendItemChanges([{ item: lot.item, quantity: lot.quantity }]);
+				}
+
+				transactions.push(sellerTransaction);
+
+			}
+
+			const preparedData = transactions.map(transaction => transaction.prepare());
+
+			const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.AUCTION.PRE_SETTLE_LOT, auctioneerActor, lot, winningBid, preparedData, userId, interactionId);
+			if (hookResult === false) {
+				// An expired lot would otherwise be put to the hook again on every tick
+				if (AuctionUtilities.isLotExpired(lot)) {
+					lot.settleRefused = true;
+					await AuctionUtilities.updateAuctionLot(auctioneerActor, lot);
+				}
+				return false;
+			}
+
+			await Transaction.commitAll(transactions, { interactionId });
+
+			await AuctionUtilities.removeAuctionLot(auctioneerActor, lot.id);
+
+			await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.SETTLE_AUCTION_LOT, transactions, {
+				userId, interactionId, source: auctioneerUuid, target: winnerActor ? winningBid.actorUuid : lot.sellerUuid
+			});
+
+			await ItemPileSocket.callHook(CONSTANTS.HOOKS.AUCTION.SETTLE_LOT, auctioneerUuid, lot, winningBid, userId, interactionId);
+
+			await this._executeItemPileMacro(auctioneerUuid, {
+				action: CONSTANTS.MACRO_EXECUTION_TYPES.SETTLE_AUCTION_LOT,
+				source: auctioneerUuid,
+				target: winnerActor ? winningBid.actorUuid : lot.sellerUuid,
+				lot: lot,
+				userId: userId,
+				interactionId: interactionId
+			});
+
+			return { lot, winningBid };
+
+		} finally {
+			settlingAuctionLots.delete(lotId);
+		}
+
+	}
+
+	/**
+	 * Settles every expired lot, skipping lots that have failed to settle or were refused by a hook before so that they
+	 * are not retried on every tick - those have to be ended manually by a GM
+	 *
+	 * @private
+	 */
+	static async _settleExpiredAuctionLots() {
+		if (!Helpers.isResponsibleGM()) return;
+		const auctioneers = PileUtilities.getItemPileActors(actor => PileUtilities.isItemPileAuctioneer(actor));
+		for (const auctioneer of auctioneers) {
+			const expiredLots = AuctionUtilities.getAuctionLots(auctioneer)
+				.filter(lot => !lot.settleFailed && !lot.settleRefused && AuctionUtilities.isLotExpired(lot));
+			for (const lot of expiredLots) {
+				try {
+					await this._settleAuctionLot(auctioneer.uuid, lot.id, game.user.id);
+				} catch (err) {
+					console.error(err);
+					Helpers.custom_warning(`settleAuctionLot | Failed to settle the auction for "${lot.item.name}" on "${auctioneer.name}", it has to be ended manually: ${err.message}`, true);
+					lot.settleFailed = true;
+					await AuctionUtilities.updateAuctionLot(auctioneer, lot).catch(console.error);
+				}
+			}
+		}
+	}
+
+	static async _craftItem(actorUuid, itemData, quantity, userId, { interactionId = false } = {}) {
+
+		const actor = Utilities.getActor(actorUuid);
+
+		const requirements = CraftingUtilities.getComponentRequirements(actor, CraftingUtilities.getCraftingComponents(itemData), quantity);
+		if (!requirements.every(requirement => requirement.hasEnough)) return false;
+
+		const transaction = new Transaction(actor);
+
+		await transaction.appendItemChanges(requirements.flatMap(requirement => requirement.itemsToRemove), { remove: true });
+		await transaction.appendItemChanges([{ item: itemData, quantity }]);
+
+		const preparedData = transaction.prepare();
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_CRAFT, actor, itemData, quantity, preparedData, userId, interactionId);
+		if (hookResult === false) return false;
+
+		const { itemDeltas } = await transaction.commit();
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.CRAFT_ITEM, [transaction], {
+			userId, interactionId, source: actorUuid, target: actorUuid
+		});
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.CRAFT, actorUuid, itemData, quantity, itemDeltas, userId, interactionId);
+
+		return itemDeltas;
+
+	}
+
+	static async _breakdownItem(actorUuid, itemId, quantity, userId, { interactionId = false } = {}) {
+
+		const actor = Utilities.getActor(actorUuid);
+		const item = actor.items.get(itemId);
+		if (!item || Utilities.getItemQuantity(item) < quantity) return false;
+
+		const components = CraftingUtilities.getBreakdownComponents(item);
+		if (!components.length) return false;
+
+		const transaction = new Transaction(actor);
+
+		await transaction.appendItemChanges([{ item, quantity }], { remove: true });
+		await transaction.appendItemChanges(components.map(component => ({
+			item: component.data.item, quantity: Math.max(0, component.quantity ?? 1) * quantity
+		})).filter(entry => entry.item && entry.quantity));
+
+		const preparedData = transaction.prepare();
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_BREAKDOWN, actor, item, quantity, preparedData, userId, interactionId);
+		if (hookResult === false) return false;
+
+		const itemData = item.toObject();
+
+		const { itemDeltas } = await transaction.commit();
+
+		await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.BREAKDOWN_ITEM, [transaction], {
+			userId, interactionId, source: actorUuid, target: actorUuid
+		});
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.BREAKDOWN, actorUuid, itemData, quantity, itemDeltas, userId, interactionId);
+
+		return itemDeltas;
+
+	}
+
+	static async _identifyItem(itemUuid, userId, { merchantUuid = false, interactionId = false } = {}) {
+
+		const item = Utilities.getDocument(itemUuid);
+		if (!item || IdentificationUtilities.isItemIdentified(item)) return false;
+
+		// The request is handled by a GM, so it is the requesting user who has to own the item
+		const user = game.users.get(userId);
+		if (!user || (!user.isGM && !item.testUserPermission(user, "OWNER"))) return false;
+
+		const merchantActor = merchantUuid ? Utilities.getActor(merchantUuid) : false;
+		const price = merchantActor ? IdentificationUtilities.getIdentifyServicePrice(merchantActor) : false;
+		if (merchantActor && price === false) return false;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_IDENTIFY, item, merchantActor, price, userId, interactionId);
+		if (hookResult === false) return false;
+
+		if (price) {
+			const paid = await this._transferCurrencies(Utilities.getUuid(item.parent), merchantUuid, price, userId, { interactionId });
+			if (!paid) return false;
+		}
+
+		await item.update(SYSTEMS.DATA.IDENTIFY_ITEM({ item }));
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.IDENTIFY, itemUuid, merchantUuid, price, userId, interactionId);
+
+		return true;
+
+	}
+
+	/**
+	 * Applies the effects of a service bought from a merchant, and returns the receipt lines describing what it did
+	 *
+	 * @param {Actor} merchant
+	 * @param {Actor} buyer
+	 * @param {Item} item
+	 * @param {number} quantity
+	 * @param {string} userId
+	 * @param {object/boolean} [itemFlagData=false]
+	 * @param {object/boolean} [restoreData=false] The restore data, if it was already worked out before the trade
+	 * @param {string/boolean} [interactionId=false]
+	 * @returns {Promise<Array<string>>}
+	 */
+	static async _applyService(merchant, buyer, item, quantity, userId, {
+		itemFlagData = false, restoreData = false, undoChanges = [], interactionId = false
+	} = {}) {
+
+		itemFlagData = itemFlagData || PileUtilities.getItemFlagData(item);
+
+		const effects = ServiceUtilities.getServiceEffects(item, itemFlagData);
+		const restore = itemFlagData.serviceRestore && ServiceUtilities.canRestoreResources();
+		const deliveryItems = ServiceUtilities.getServiceDeliveryItems(item, quantity, itemFlagData);
+		const hours = Number(itemFlagData.serviceAdvanceTime) * quantity;
+
+		if (!effects.length && !restore && !deliveryItems.length && !hours) return [];
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_APPLY_SERVICE, merchant, buyer, item, quantity, userId, interactionId);
+		if (hookResult === false) return [];
+
+		const receipt = [];
+
+		if (effects.length) {
+			const createdEffects = await buyer.createEmbeddedDocuments("ActiveEffect", effects.map(effect => {
+				const effectData = effect.toObject();
+				delete effectData._id;
+				effectData.origin = item.uuid;
+				effectData.transfer = false;
+				effectData.disabled = false;
+				foundry.utils.setProperty(effectData, "duration.startTime", game.time.worldTime);
+				return effectData;
+			}));
+			undoChanges.push(() => buyer.deleteEmbeddedDocuments("ActiveEffect", createdEffects
+				.map(effect => effect.id)
+				.filter(effectId => buyer.effects.has(effectId))));
+			receipt.push(game.i18n.format("ITEM-PILES.Services.Receipt.Effects", {
+				effects: effects.map(effect => effect.name).join(", ")
+			}));
+		}
+
+		if (restore) {
+			const { updates, amount } = restoreData || await ServiceUtilities.getServiceRestoreData(buyer, item, quantity, itemFlagData);
+			if (!foundry.utils.isEmpty(updates)) {
+				const previousValues = Object.fromEntries(Object.keys(foundry.utils.flattenObject(updates)).map(path => {
+					return [path, foundry.utils.getProperty(buyer, path)];
+				}));
+				await buyer.update(updates);
+				undoChanges.push(() => buyer.update(previousValues));
+			}
+			receipt.push(amount === null
+				? game.i18n.localize("ITEM-PILES.Services.Receipt.RestoredFully")
+				: game.i18n.format("ITEM-PILES.Services.Receipt.Restored", { amount }));
+		}
+
+		if (deliveryItems.length) {
+			const items = ServiceUtilities.getItemListString(deliveryItems);
+			if (itemFlagData.serviceDeliveryDelay > 0) {
+				const delivery = ServiceUtilities.createServiceDelivery(merchant, buyer, item, deliveryItems, itemFlagData.serviceDeliveryDelay);
+				await ServiceUtilities.addServiceDelivery(merchant, delivery);
+				undoChanges.push(() => ServiceUtilities.removeServiceDelivery(merchant, delivery.id));
+				receipt.push(game.i18n.format("ITEM-PILES.Services.Receipt.DeliveryScheduled", {
+					items, hours: itemFlagData.serviceDeliveryDelay
+				}));
+			} else {
+				receipt.push(game.i18n.format("ITEM-PILES.Services.Receipt.Delivered", { items }));
+			}
+		}
+
+		// Time is advanced last, so that any delivery scheduled above is handed over if enough time passes
+		if (hours) {
+			await ServiceUtilities.advanceTime(hours);
+			undoChanges.push(() => ServiceUtilities.advanceTime(-hours));
+			receipt.push(game.i18n.format("ITEM-PILES.Services.Receipt.TimeAdvanced", { hours }));
+		}
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.APPLY_SERVICE, Utilities.getUuid(merchant), Utilities.getUuid(buyer), item.uuid, quantity, receipt, userId, interactionId);
+
+		return receipt;
+
+	}
+
+	static async _deliverServiceItems(merchantUuid, deliveryId, userId, { interactionId = false } = {}) {
+
+		// World time can update again before a delivery is done, which would otherwise hand it over twice
+		if (deliveringServiceItems.has(deliveryId)) return false;
+		deliveringServiceItems.add(deliveryId);
+
+		try {
+
+			const merchantActor = Utilities.getActor(merchantUuid);
+			const delivery = ServiceUtilities.getServiceDeliveries(merchantActor).find(delivery => delivery.id === deliveryId);
+			if (!delivery) return false;
+
+			const buyerActor = Utilities.getActor(delivery.buyerUuid);
+			if (!buyerActor) {
+				Helpers.custom_warning(`deliverServiceItems | Could not deliver "${delivery.serviceName}" to "${delivery.buyerName}", the actor no longer exists`);
+				await ServiceUtilities.removeServiceDelivery(merchantActor, deliveryId);
+				return false;
+			}
+
+			const transaction = new Transaction(buyerActor);
+			await transaction.appendItemChanges(delivery.items);
+
+			const preparedData = transaction.prepare();
+
+			const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.ITEM.PRE_DELIVER_SERVICE, merchantActor, buyerActor, delivery, preparedData, userId, interactionId);
+			if (hookResult === false) return false;
+
+			const { itemDeltas } = await transaction.commit();
+
+			await ServiceUtilities.removeServiceDelivery(merchantActor, deliveryId);
+
+			await LedgerUtilities.recordTransactions(CONSTANTS.MACRO_EXECUTION_TYPES.DELIVER_SERVICE_ITEMS, [transaction], {
+				userId, interactionId, source: merchantUuid, target: delivery.buyerUuid
+			});
+
+			await ItemPileSocket.callHook(CONSTANTS.HOOKS.ITEM.DELIVER_SERVICE, merchantUuid, delivery.buyerUuid, delivery, itemDeltas, userId, interactionId);
+
+			await this._executeItemPileMacro(merchantUuid, {
+				action: CONSTANTS.MACRO_EXECUTION_TYPES.DELIVER_SERVICE_ITEMS,
+				source: merchantUuid,
+				target: delivery.buyerUuid,
+				delivery: delivery,
+				items: itemDeltas,
+				userId: userId,
+				interactionId: interactionId
+			});
+
+			return itemDeltas;
+
+		} finally {
+			deliveringServiceItems.delete(deliveryId);
+		}
+
+	}
+
+	static async _deliverDueServiceItems() {
+		if (!Helpers.isResponsibleGM()) return;
+		const merchants = PileUtilities.getItemPileActors(actor => PileUtilities.isItemPileMerchant(actor));
+		for (const merchant of merchants) {
+			const dueDeliveries = ServiceUtilities.getServiceDeliveries(merchant).filter(ServiceUtilities.isDeliveryDue);
+			for (const delivery of dueDeliveries) {
+				try {
+					await this._deliverServiceItems(merchant.uuid, delivery.id, game.user.id);
+				} catch (err) {
+					console.error(err);
+					Helpers.custom_warning(`deliverServiceItems | Failed to deliver "${delivery.serviceName}" to "${delivery.buyerName}": ${err?.message ?? err}`);
+				}
+			}
+		}
+	}
+
+	static async _revertInteraction(interactionId, userId) {
+
+		const entries = LedgerUtilities.getLedgerEntries(interactionId).filter(entry => !entry.reverted);
+		if (!entries.length) return false;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.PRE_REVERT_INTERACTION, interactionId, entries, userId);
+		if (hookResult === false) return false;
+
+		const revertedUuids = [];
+
+		// The ledger is newest first, so later changes are undone before the earlier ones they may depend on
+		for (const entry of entries) {
+			for (const change of entry.changes) {
+
+				if (!change.inverse) continue;
+
+				const document = Utilities.getDocument(change.uuid);
+				if (!document) {
+					Helpers.custom_warning(`revertInteraction | Could not revert the changes made to "${change.name}", it no longer exists`, true);
+					continue;
+				}
+
+				const reverted = await this._commitRevertChanges(change.uuid, change.inverse);
+				if (!reverted) {
+					Helpers.custom_warning(`revertInteraction | Some items on "${change.name}" have changed since the interaction and could not be fully reverted`, true);
+				}
+
+				revertedUuids.push(change.uuid);
+
+			}
+		}
+
+		await LedgerUtilities.recordRevert(interactionId, entries, userId);
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.REVERT_INTERACTION, interactionId, entries, revertedUuids, userId);
+
+		return revertedUuids;
+
+	}
+
 }
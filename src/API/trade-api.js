@@ -6,17 +6,24 @@ import CONSTANTS from "../constants/constants.js";
 import ItemPileSocket from "../socket.js";
 import * as Helpers from "../helpers/helpers.js";
 import * as Utilities from "../helpers/utilities.js";
+import * as TradeOfferUtilities from "../helpers/trade-offer-utilities.js";
+import * as EscrowUtilities from "../helpers/escrow-utilities.js";
+import * as EncumbranceUtilities from "../helpers/encumbrance-utilities.js";
 import TradeStore from "../applications/trading-app/trade-store.js";
 import TradingApp from "../applications/trading-app/trading-app.js";
 import Transaction from "../helpers/transaction.js";
 
 const mutedUsers = new Set();
 const ongoingTrades = new Map();
+const acceptedRequests = new Set();
+const resolvingTradeOffers = new Set();
 
 export default class TradeAPI {
 
 	static initialize() {
 		Hooks.on("renderPlayerList", this._userDisconnected.bind(this));
+		this._promptPendingTradeOffers();
+		EscrowUtilities.releaseStaleEscrows();
 	}
 
 	static async _requestTrade(user = false) {
@@ -39,7 +46,7 @@ export default class TradeAPI {
 			});
 		}
 
-		let userId;
+		let tradeUsers;
 		let actor;
 		let isPrivate;
 
@@ -48,19 +55,19 @@ export default class TradeAPI {
 
 		// If you only own one actor, and the user was already preselected (through the right click menu in the actors list)
 		if (actors.length === 1 && user) {
-			userId = user.id;
+			tradeUsers = [user];
 			actor = actors[0];
 			isPrivate = false;
 		} else {
 			// If you have more than 1 owned actor, prompt to choose which one
 			const result = await TradePromptDialog.show({ actors, users, user });
 			if (!result) return;
-			userId = result.user.id;
+			tradeUsers = result.users;
 			actor = result.actor;
-			isPrivate = result.private;
+			isPrivate = result.isPrivate;
 		}
 
-		if (!actor) return false;
+		if (!actor || !tradeUsers?.length) return false;
 
 		actor = Utilities.getActor(actor);
 
@@ -93,13 +100,13 @@ export default class TradeAPI {
 		// Spawn a cancel dialog
 		const cancelDialog = new Dialog({
 			title: game.i18n.localize("ITEM-PILES.Trade.Title"),
-			content: `<p style="text-align: center">${game.i18n.format("ITEM-PILES.Trade.OngoingRequest.Content", { user_name: game.users.get(userId).name })}</p>`,
+			content: `<p style="text-align: center">${game.i18n.format("ITEM-PILES.Trade.OngoingRequest.Content", { user_name: tradeUsers.map(user => user.name).join(", ") })}</p>`,
 			buttons: {
 				confirm: {
 					icon: '<i class="fas fa-times"></i>',
 					label: game.i18n.localize("ITEM-PILES.Trade.OngoingRequest.Label"),
 					callback: () => {
-						ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.TRADE_REQUEST_CANCELLED, userId, game.user.id, privateTradeId);
+						ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.TRADE_REQUEST_CANCELLED, tradeUsers.map(user => user.id), game.user.id, privateTradeId);
 					}
 				}
 			}
@@ -107,63 +114,65 @@ export default class TradeAPI {
 			top: 50, width: 300
 		}).render(true);
 
-		// Send out the request
-		return ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.TRADE_REQUEST_PROMPT, userId, game.user.id, actor.uuid, privateTradeId, publicTradeId, isPrivate)
-			.then(async (data) => {
+		// Send out the requests, and wait for everyone to respond
+		const responses = await Promise.all(tradeUsers.map(tradeUser => {
+			return ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.TRADE_REQUEST_PROMPT, tradeUser.id, game.user.id, actor.uuid, privateTradeId, isPrivate)
+				.then(data => ({ user: tradeUser, data }))
+				.catch((err) => {
+					console.error(err);
+					// If the counterparty disconnected, show that and continue with the rest
+					Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Disconnected"), true);
+					return { user: tradeUser, data: false };
+				});
+		}));
 
-				if (data === "cancelled") return;
-				cancelDialog.close();
+		cancelDialog.close();
 
-				if (data === "same-actor") {
-					return Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.SameActor"), true);
-				}
+		if (responses.some(response => response.data === "cancelled")) return;
 
-				// If they declined, show warning
-				if (!data || !data.fullPrivateTradeId.includes(privateTradeId)) {
-					return Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Declined"), true);
-				}
+		const traders = [{ user: game.user.id, actor: actor.uuid }];
 
-				const traderActor = Utilities.getActor(data.actorUuid);
+		for (const { user, data } of responses) {
 
-				if (traderActor === actor) {
-					return Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.SameActor"), true);
-				}
+			if (data === "same-actor" || (data && traders.some(trader => trader.actor === data.actorUuid))) {
+				Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.SameActor"), true);
+				continue;
+			}
 
-				const store = new TradeStore(game.user.id, {
-					user: game.user, actor
-				}, {
-					user: game.users.get(userId), actor: traderActor
-				}, data.fullPublicTradeId, data.fullPrivateTradeId, isPrivate);
+			// If they declined, show warning
+			if (!data?.actorUuid) {
+				Helpers.custom_warning(tradeUsers.length > 1
+					? game.i18n.format("ITEM-PILES.Trade.DeclinedUser", { user_name: user.name })
+					: game.i18n.localize("ITEM-PILES.Trade.Declined"), true);
+				continue;
+			}
 
-				const [actorSheet, tradeApp] = Helpers.getApplicationPositions(actor.sheet);
+			traders.push({ user: user.id, actor: data.actorUuid });
 
-				const app = new TradingApp(store, tradeApp).render(true);
+		}
 
-				ongoingTrades.set(data.fullPublicTradeId, { app, store });
+		if (traders.length < 2) return;
 
-				actorSheet.byassItemPiles = true;
-				actor.sheet.render(true, actorSheet);
+		const userIds = traders.map(trader => trader.user);
 
-				if (isPrivate) {
-					return ItemPileSocket.callHookForUsers(CONSTANTS.HOOKS.TRADE.STARTED, [game.user.id, userId], {
-						user: game.user.id, actor: actor.uuid
-					}, { user: userId, actor: data.actorUuid }, data.fullPublicTradeId, isPrivate);
-				}
+		await ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.START_TRADE, userIds, {
+			instigator: game.user.id, traders, publicTradeId, privateTradeId, isPrivate
+		});
 
-				return ItemPileSocket.callHook(CONSTANTS.HOOKS.TRADE.STARTED, {
-					user: game.user.id, actor: actor.uuid
-				}, { user: userId, actor: data.actorUuid }, data.fullPublicTradeId, isPrivate);
+		const callHook = isPrivate
+			? (hook, ...args) => ItemPileSocket.callHookForUsers(hook, userIds, ...args)
+			: (hook, ...args) => ItemPileSocket.callHook(hook, ...args);
 
-			}).catch((err) => {
-				console.error(err);
-				// If the counterparty disconnected, show that and close dialog
-				Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Disconnected"), true);
-				cancelDialog.close()
-			});
+		// Two party trades keep calling the original hook with each party as its own argument
+		if (traders.length === 2) {
+			await callHook(CONSTANTS.HOOKS.TRADE.STARTED, traders[0], traders[1], publicTradeId, isPrivate);
+		}
+
+		return callHook(CONSTANTS.HOOKS.TRADE.GROUP_STARTED, traders, publicTradeId, isPrivate);
 
 	}
 
-	static async _respondPrompt(tradingUserId, tradingActorUuid, privateTradeId, publicTradeId, isPrivate) {
+	static async _respondPrompt(tradingUserId, tradingActorUuid, privateTradeId, isPrivate) {
 
 		// If the user was previously muted, wait for a random amount of time and respond with false
 		if (mutedUsers.has(tradingUserId)) {
@@ -171,10 +180,6 @@ export default class TradeAPI {
 			return false;
 		}
 
-		// Complete the private and public trade IDs
-		const fullPrivateTradeId = privateTradeId + foundry.utils.randomID();
-		const fullPublicTradeId = publicTradeId + foundry.utils.randomID();
-
 		const tradingUser = game.users.get(tradingUserId);
 		const tradingActor = Utilities.getActor(tradingActorUuid);
 
@@ -183,13 +188,13 @@ export default class TradeAPI {
 
 		if (!result) return false;
 
-		if (result === "cancelled") {
+		if (result === "cancelled" || result.type === "cancelled") {
 			return "cancelled";
 		}
 
 		// If muted, add user to blacklist locally
 		if (result === "mute") {
-			mutedUsers.push(tradingUserId);
+			mutedUsers.add(tradingUserId);
 			return false;
 		}
 
@@ -200,24 +205,245 @@ export default class TradeAPI {
 			return "same-actor";
 		}
 
-		const store = new TradeStore(tradingUserId, {
-			user: game.user, actor
-		}, {
-			user: tradingUser, actor: tradingActor
-		}, fullPublicTradeId, fullPrivateTradeId, isPrivate);
+		// Only trades this user agreed to can be started on their end
+		acceptedRequests.add(privateTradeId);
+
+		return {
+			actorUuid: Utilities.getUuid(actor)
+		};
+
+	}
+
+	static async _startTrade({ instigator, traders, publicTradeId, privateTradeId, isPrivate } = {}) {
+
+		if (instigator !== game.user.id && !acceptedRequests.has(privateTradeId)) return false;
+		acceptedRequests.delete(privateTradeId);
+
+		const store = new TradeStore(instigator, traders.map(trader => ({
+			user: game.users.get(trader.user), actor: Utilities.getActor(trader.actor)
+		})), publicTradeId, privateTradeId, isPrivate);
+
+		const actor = store.userTrader.actor;
 
 		const [actorSheet, tradeApp] = Helpers.getApplicationPositions(actor.sheet);
 
 		const app = new TradingApp(store, tradeApp).render(true);
 
-		ongoingTrades.set(fullPublicTradeId, { app, store });
+		ongoingTrades.set(publicTradeId, { app, store });
 
 		actorSheet.byassItemPiles = true;
 		actor.sheet.render(true, actorSheet);
 
-		return {
-			fullPrivateTradeId, fullPublicTradeId, actorUuid: result.uuid
-		};
+		return true;
+
+	}
+
+	static async _composeTradeOffer(targetActor, actor = false) {
+
+		const recipient = TradeOfferUtilities.getTradeOfferRecipient(targetActor);
+		if (!recipient) {
+			return Helpers.custom_warning(game.i18n.format("ITEM-PILES.Trade.Offer.NoRecipient", {
+				actor_name: targetActor.name
+			}), true);
+		}
+
+		actor = actor || Utilities.getUserCharacter();
+		if (!actor) {
+			return Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Offer.NoActor"), true);
+		}
+
+		if (actor === targetActor) {
+			return Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.SameActor"), true);
+		}
+
+		const store = new TradeStore(game.user.id, [
+			{ user: game.user, actor },
+			{ user: recipient, actor: targetActor }
+		], foundry.utils.randomID(), false, true, { offer: true });
+
+		const [actorSheet, tradeApp] = Helpers.getApplicationPositions(actor.sheet);
+
+		new TradingApp(store, tradeApp).render(true);
+
+		actorSheet.byassItemPiles = true;
+		actor.sheet.render(true, actorSheet);
+
+	}
+
+	static async _sendTradeOffer(sourceUuid, targetUuid, { items = [], attributes = {} } = {}, userId) {
+
+		const sourceActor = Utilities.getActor(sourceUuid);
+		const targetActor = Utilities.getActor(targetUuid);
+
+		const recipient = TradeOfferUtilities.getTradeOfferRecipient(targetActor);
+		if (!recipient) return false;
+
+		const offer = TradeOfferUtilities.createTradeOffer(sourceActor, targetActor, userId, recipient.id, {
+			items, attributes
+		});
+		if (!offer.items.length && !offer.attributes.length) return false;
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.TRADE.PRE_SEND_OFFER, sourceActor, targetActor, offer, userId);
+		if (hookResult === false) return false;
+
+		// Everything offered is held in escrow until the offer is resolved, so it cannot be spent in the meantime
+		await EscrowUtilities.addEscrow(sourceActor, EscrowUtilities.createEscrow(CONSTANTS.ESCROW_TYPES.TRADE_OFFER, userId, {
+			id: offer.id,
+			items: offer.items.map(entry => ({ _id: entry.item._id, quantity: entry.quantity })),
+			attributes: offer.attributes.map(entry => ({ path: entry.path, quantity: entry.quantity })),
+			reference: offer.id
+		}));
+
+		await TradeOfferUtilities.addTradeOffer(offer);
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.TRADE.SEND_OFFER, sourceUuid, targetUuid, offer, userId);
+
+		// The recipient is prompted to review the offer, which the sender should not be left waiting on
+		if (recipient.active) {
+			ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.TRADE_OFFER_NOTIFICATION, [recipient.id], offer, "received");
+		}
+
+		return offer;
+
+	}
+
+	static async _resolveTradeOffer(offerId, accepted, userId) {
+
+		const offer = TradeOfferUtilities.getTradeOffer(offerId);
+		if (!offer || resolvingTradeOffers.has(offerId) || !TradeOfferUtilities.canResolveTradeOffer(offer, userId, accepted)) return false;
+
+		const sourceActor = Utilities.getActor(offer.actor.uuid);
+		const targetActor = Utilities.getActor(offer.target.uuid);
+
+		// Escrow only marks what was offered, so the offering actor may have used up or gotten rid of some of it since.
+		// Nothing more than they still have is handed over, and the offer cannot go through if an item is gone.
+		const items = (sourceActor ? offer.items : []).map(entry => {
+			const item = sourceActor.items.get(entry.item._id);
+			if (!item) return false;
+			const quantity = Utilities.hasItemQuantity(item) ? Math.min(entry.quantity, Utilities.getItemQuantity(item)) : 1;
+			return Utilities.setItemQuantity(item.toObject(), quantity, true);
+		});
+		const attributes = (sourceActor ? offer.attributes : []).map(attribute => {
+			const available = Math.max(0, Number(foundry.utils.getProperty(sourceActor, attribute.path)) || 0);
+			return { ...attribute, quantity: Math.min(attribute.quantity, available) };
+		}).filter(attribute => attribute.quantity);
+
+		// An offer can only go through while both actors and everything offered still exist
+		accepted = accepted && !!sourceActor && !!targetActor && items.every(Boolean);
+
+		const hookResult = Helpers.hooks.call(CONSTANTS.HOOKS.TRADE.PRE_RESOLVE_OFFER, sourceActor, targetActor, offer, accepted, userId);
+		if (hookResult === false) return false;
+
+		resolvingTradeOffers.add(offerId);
+		try {
+
+			if (accepted) {
+
+				const itemsToTrade = items.filter(item => Utilities.getItemQuantity(item) || !Utilities.hasItemQuantity(item));
+
+				const sourceTransaction = new Transaction(sourceActor);
+				sourceTransaction.releaseEscrow(offer.id);
+				await sourceTransaction.appendItemChanges(itemsToTrade, { remove: true });
+				await sourceTransaction.appendDocumentChanges(attributes, { remove: true });
+
+				const targetTransaction = new Transaction(targetActor);
+				await targetTransaction.appendItemChanges(itemsToTrade);
+				await targetTransaction.appendDocumentChanges(attributes);
+
+				// A failed commit is rolled back along with the escrow, so the offer is kept for it to still be declined
+				await Transaction.commitAll([sourceTransaction, targetTransaction]);
+
+			} else if (sourceActor) {
+				await EscrowUtilities.removeEscrow(sourceActor, offer.id);
+			}
+
+			await TradeOfferUtilities.removeTradeOffer(offerId);
+
+		} finally {
+			resolvingTradeOffers.delete(offerId);
+		}
+
+		await ItemPileSocket.callHook(CONSTANTS.HOOKS.TRADE.RESOLVE_OFFER, offer.actor.uuid, offer.target.uuid, offer, accepted, userId);
+
+		const offeringUser = game.users.get(offer.user);
+		if (offeringUser?.active && offer.user !== userId) {
+			ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.TRADE_OFFER_NOTIFICATION, [offer.user], offer, accepted ? "accepted" : "declined");
+		}
+
+		return accepted;
+
+	}
+
+	static async _reviewTradeOffer(offerId) {
+
+		const offer = TradeOfferUtilities.getTradeOffer(offerId);
+		if (!offer || !Utilities.getActor(offer.actor.uuid) || !Utilities.getActor(offer.target.uuid)) {
+			return Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Over"), true);
+		}
+
+		const existingApp = TradingApp.getActiveApp(offerId);
+		if (existingApp) {
+			return existingApp.render(false, { focus: true });
+		}
+
+		return new TradingApp(TradeStore.fromOffer(offer)).render(true);
+
+	}
+
+	static async _promptPendingTradeOffers() {
+
+		const offers = TradeOfferUtilities.getIncomingTradeOffers();
+		if (!offers.length) return;
+
+		const doReview = await TJSDialog.confirm({
+			title: game.i18n.localize("ITEM-PILES.Trade.Title"), content: {
+				class: CustomDialog, props: {
+					header: game.i18n.localize("ITEM-PILES.Trade.Offer.Title"),
+					content: game.i18n.format("ITEM-PILES.Trade.Offer.Pending", { count: offers.length }),
+					icon: "fas fa-handshake"
+				}
+			}, modal: false, draggable: true, rejectClose: false, defaultYes: true, options: {
+				height: "auto"
+			}
+		});
+		if (!doReview) return;
+
+		for (const offer of offers) {
+			await this._reviewTradeOffer(offer.id);
+		}
+
+	}
+
+	static async _tradeOfferNotification(offer, status) {
+
+		if (status !== "received") {
+			const message = game.i18n.format(`ITEM-PILES.Trade.Offer.${status.capitalize()}`, {
+				actor_name: offer.actor.name, target_name: offer.target.name
+			});
+			if (status === "declined") {
+				return Helpers.custom_warning(message, true);
+			}
+			return Helpers.custom_notify(message);
+		}
+
+		const doReview = await TJSDialog.confirm({
+			title: game.i18n.localize("ITEM-PILES.Trade.Title"), content: {
+				class: CustomDialog, props: {
+					header: game.i18n.localize("ITEM-PILES.Trade.Offer.Title"),
+					content: game.i18n.format("ITEM-PILES.Trade.Offer.Received", {
+						actor_name: offer.actor.name,
+						user_name: game.users.get(offer.user)?.name ?? "",
+						target_name: offer.target.name
+					}),
+					icon: "fas fa-handshake"
+				}
+			}, modal: false, draggable: true, rejectClose: false, defaultYes: true, options: {
+				height: "auto"
+			}
+		});
+		if (!doReview) return;
+
+		return this._reviewTradeOffer(offer.id);
 
 	}
 
@@ -302,7 +528,7 @@ export default class TradeAPI {
 		if (!trade.store.isPrivate) {
 			return trade;
 		}
-		if (trade.store.leftTraderUser.id !== requesterId && trade.store.rightTraderUser.id !== requesterId) return false;
+		if (!trade.store.getTrader(requesterId)) return false;
 		return trade;
 	}
 
@@ -324,23 +550,28 @@ export default class TradeAPI {
 		trade.store.updateCurrencies(userId, currencies);
 	}
 
+	static async _updateRequests(tradeId, userId, requests) {
+		const trade = this._getOngoingTrade(tradeId);
+		if (!trade) return;
+		trade.store.updateRequests(userId, requests);
+	}
+
 	static async _updateAcceptedState(tradeId, userId, status) {
 		const trade = this._getOngoingTrade(tradeId);
 		if (!trade) return;
 		trade.store.updateAcceptedState(userId, status);
-		if (userId === game.user.id && (trade.store.leftTraderUser.id === game.user.id || trade.store.rightTraderUser.id === game.user.id)) {
-			if (trade.store.tradeIsAccepted) {
-				setTimeout(async () => {
-					if (trade.store.tradeIsAccepted) {
-						ItemPileSocket.executeForUsers(
-							ItemPileSocket.HANDLERS.EXECUTE_TRADE,
-							[trade.store.leftTraderUser.id, trade.store.rightTraderUser.id],
-							trade.store.publicTradeId,
-							trade.store.privateTradeId,
-							userId);
-					}
-				}, 2000);
-			}
+		// The trade only goes through once every participant has accepted it
+		if (userId === game.user.id && trade.store.isUserParticipant && trade.store.tradeIsAccepted) {
+			setTimeout(async () => {
+				if (trade.store.tradeIsAccepted) {
+					ItemPileSocket.executeForUsers(
+						ItemPileSocket.HANDLERS.EXECUTE_TRADE,
+						trade.store.userIds,
+						trade.store.publicTradeId,
+						trade.store.privateTradeId,
+						userId);
+				}
+			}, 2000);
 		}
 	}
 
@@ -348,13 +579,12 @@ export default class TradeAPI {
 		const tradesToDelete = [];
 		const activeUsers = game.users.filter(user => user.active);
 		for (let [tradeId, trade] of ongoingTrades) {
-			const foundLeft = activeUsers.find(u => u === trade.store.leftTraderUser);
-			const foundRight = activeUsers.find(u => u === trade.store.rightTraderUser);
-			if (foundLeft && foundRight) continue;
+			if (trade.store.traders.every(trader => activeUsers.includes(trader.user))) continue;
 			tradesToDelete.push(tradeId);
 			Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Trade.Disconnected"), true);
+			await trade.store.releaseEscrow();
 			await trade.app.close({ callback: true });
-			if (foundLeft === game.user || foundRight === game.user) {
+			if (trade.store.isUserParticipant) {
 				if (Helpers.isGMConnected()) {
 					await ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.DISABLE_CHAT_TRADE_BUTTON, tradeId);
 				}
@@ -367,16 +597,16 @@ export default class TradeAPI {
 		const trade = this._getOngoingTrade(tradeId);
 		if (!trade) return;
 
-		if (trade.store.leftTraderUser.id === game.user.id || trade.store.rightTraderUser.id === game.user.id) {
+		if (trade.store.isUserParticipant) {
 
-			if (closeUserId === trade.store.rightTraderUser.id) {
+			if (closeUserId !== game.user.id) {
 
 				TJSDialog.prompt({
 					title: game.i18n.localize("ITEM-PILES.Trade.Closed.Title"), content: {
 						class: CustomDialog, props: {
 							header: game.i18n.localize("ITEM-PILES.Trade.Closed.Title"),
 							content: game.i18n.format("ITEM-PILES.Trade.Closed.Them", {
-								user_name: trade.store.rightTraderUser.name
+								user_name: game.users.get(closeUserId).name
 							}),
 							icon: "fas fa-exclamation-triangle",
 						}
@@ -388,8 +618,8 @@ export default class TradeAPI {
 			} else {
 
 				if (trade.store.isPrivate) {
-					const otherUserId = trade.store.leftTraderUser.id === game.user.id ? trade.store.rightTraderUser.id : trade.store.leftTraderUser.id;
-					ItemPileSocket.executeAsUser(ItemPileSocket.HANDLERS.TRADE_CLOSED, otherUserId, tradeId, game.user.id);
+					const otherUserIds = trade.store.otherTraders.map(trader => trader.user.id);
+					ItemPileSocket.executeForUsers(ItemPileSocket.HANDLERS.TRADE_CLOSED, otherUserIds, tradeId, game.user.id);
 				} else {
 					ItemPileSocket.executeForOthers(ItemPileSocket.HANDLERS.TRADE_CLOSED, tradeId, game.user.id);
 				}
@@ -417,36 +647,56 @@ export default class TradeAPI {
 
 		}
 
+		await trade.store.releaseEscrow();
 		trade.app.close({ callback: true });
 		ongoingTrades.delete(tradeId);
 	}
 
 	static async _executeTrade(tradeId, privateId, userId) {
 		const trade = this._getOngoingTrade(tradeId);
-		if (!trade) return;
+		if (!trade || trade.executed || !trade.store.isUserParticipant) return;
 		if (trade.store.privateTradeId !== privateId) return;
+		// Every participant applies their own side of the trade, so each of them checks that every trader can carry what
+		// they receive - that way the trade goes through for everyone or no one, even if a trader skipped the check
+		const overCapacityTrader = trade.store.traders.find(trader => {
+			const incomingItems = trade.store.getIncomingEntries(trader.user.id).items.map(entry => ({
+				item: entry.data, quantity: entry.quantity
+			}));
+			return !EncumbranceUtilities.canActorCarryItems(trader.actor, incomingItems, { warn: false });
+		});
+		if (overCapacityTrader) {
+			Helpers.custom_warning(game.i18n.format("ITEM-PILES.Trade.OverCapacity", {
+				actor_name: overCapacityTrader.actor.name
+			}), true);
+			trade.store.resetAcceptedStates();
+			return;
+		}
+		// More than one participant may accept at the same time, but the trade must only be applied once
+		trade.executed = true;
+		trade.store.settled = true;
 		const updates = trade.store.getTradeData();
 
 		const itemsToAdd = [];
 		for (const entry of updates.add.items) {
-			let item = updates.targetActor.items.get(entry.id);
-			if (!item) {
+			let item = entry.sourceActor.items.get(entry.id);
+			if (!item && entry.uuid) {
 				item = await fromUuid(entry.uuid);
-				if (!item) continue;
 			}
-			const itemData = item.toObject();
+			const itemData = item ? item.toObject() : foundry.utils.deepClone(entry.data);
+			if (!itemData) continue;
 			itemsToAdd.push(Utilities.setItemQuantity(itemData, entry.quantity, true));
 		}
 
 		const itemsToRemove = []
 		for (const entry of updates.remove.items) {
-			const item = updates.sourceActor.items.get(entry.id);
+			const item = updates.actor.items.get(entry.id);
 			if (!item) continue;
 			const itemData = item.toObject();
 			itemsToRemove.push(Utilities.setItemQuantity(itemData, entry.quantity, true));
 		}
 
-		const transaction = new Transaction(updates.sourceActor);
+		const transaction = new Transaction(updates.actor);
+		transaction.releaseEscrow(tradeId);
 		await transaction.appendItemChanges(itemsToAdd);
 		await transaction.appendItemChanges(itemsToRemove, { remove: true });
 		await transaction.appendDocumentChanges(updates.add.attributes);
@@ -454,36 +704,38 @@ export default class TradeAPI {
 		await transaction.commit();
 
 		if (trade.store.isPrivate) {
-			Hooks.callAll(CONSTANTS.HOOKS.TRADE.COMPLETE, trade.store.instigator, data[0], data[1], tradeId);
+			this._callTradeCompleteHooks(trade, tradeId);
 			trade.app.close({ callback: true });
 			ongoingTrades.delete(tradeId);
 		} else if (userId === game.user.id) {
 			if (Helpers.isGMConnected()) {
 				await ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.DISABLE_CHAT_TRADE_BUTTON, tradeId);
 			}
-			return ItemPileSocket.executeForEveryone(ItemPileSocket.HANDLERS.TRADE_COMPLETED, tradeId, updates);
+			return ItemPileSocket.executeForEveryone(ItemPileSocket.HANDLERS.TRADE_COMPLETED, tradeId);
 		}
 	}
 
+	static _callTradeCompleteHooks(trade, tradeId, { everyone = false } = {}) {
+		const data = trade.store.export();
+		const callHook = everyone
+			? (hook, ...args) => ItemPileSocket.executeForEveryone(ItemPileSocket.HANDLERS.CALL_HOOK, hook, ...args)
+			: (hook, ...args) => Hooks.callAll(hook, ...args);
+
+		// Two party trades keep calling the original hook with each party as its own argument
+		if (data.traders.length === 2) {
+			callHook(CONSTANTS.HOOKS.TRADE.COMPLETE, data.instigator, data.traders[0], data.traders[1], tradeId, trade.store.isPrivate);
+		}
+
+		return callHook(CONSTANTS.HOOKS.TRADE.GROUP_COMPLETE, data.instigator, data.traders, tradeId, trade.store.isPrivate);
+	}
+
 	static async _tradeCompleted(tradeId) {
 		const trade = this._getOngoingTrade(tradeId);
 		if (!trade) return;
-		const data = trade.store.export();
-		if (data.instigator === game.user.id) {
-			if (trade.store.isPrivate) {
-				Hooks.callAll(CONSTANTS.HOOKS.TRADE.COMPLETE, data.instigator, data.leftTraderData, data.rightTraderData, tradeId);
-			} else {
-				ItemPileSocket.executeForEveryone(
-					ItemPileSocket.HANDLERS.CALL_HOOK,
-					CONSTANTS.HOOKS.TRADE.COMPLETE,
-					trade.store.instigator,
-					data.leftTraderData,
-					data.rightTraderData,
-					tradeId,
-					trade.store.isPrivate
-				)
-			}
+		if (trade.store.instigator === game.user.id) {
+			this._callTradeCompleteHooks(trade, tradeId, { everyone: !trade.store.isPrivate });
 		}
+		await trade.store.releaseEscrow();
 		trade.app.close({ callback: true });
 		ongoingTrades.delete(tradeId);
 	}
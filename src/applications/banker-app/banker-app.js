@@ -0,0 +1,110 @@
+import { SvelteApplication } from '#runtime/svelte/application';
+import BankerShell from "./banker-shell.svelte";
+import * as Utilities from "../../helpers/utilities.js";
+import ItemPileConfig from "../item-pile-config/item-pile-config.js";
+import * as Helpers from "../../helpers/helpers.js";
+import SETTINGS from "../../constants/settings.js";
+import CONSTANTS from "../../constants/constants.js";
+
+export default class BankerApp extends SvelteApplication {
+
+	/**
+	 *
+	 * @param banker
+	 * @param recipient
+	 * @param options
+	 * @param dialogData
+	 */
+	constructor(banker, recipient, options = {}, dialogData = {}) {
+		super({
+			id: `item-pile-banker-${banker?.token?.id ?? banker.id}-${foundry.utils.randomID()}`,
+			title: banker.name,
+			svelte: {
+				class: BankerShell,
+				target: document.body,
+				props: {
+					banker,
+					recipient
+				}
+			},
+			zIndex: 100,
+			...options
+		}, dialogData);
+
+		this.banker = banker;
+		this.recipient = recipient;
+
+		Helpers.hooks.callAll(CONSTANTS.HOOKS.OPEN_INTERFACE, this, banker, recipient, options, dialogData);
+
+	}
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			closeOnSubmit: false,
+			classes: ["app", "window-app", "sheet", "item-pile-banker", "item-piles", "item-piles-app"],
+			width: 400,
+			height: "auto",
+			resizable: false
+		});
+	}
+
+	static getActiveApps(source) {
+		const id = typeof source === "string" ? source : source?.token?.id ?? source?.id;
+		return Helpers.getActiveApps(`item-pile-banker-${id}`);
+	}
+
+	static async show(source, recipient = false, options = {}, dialogData = {}) {
+		source = Utilities.getActor(source);
+		recipient = Utilities.getActor(recipient);
+		const result = Helpers.hooks.call(CONSTANTS.HOOKS.PRE_OPEN_INTERFACE, source, recipient, options, dialogData);
+		if (result === false) return;
+		const apps = this.getActiveApps(source);
+		if (apps.length) {
+			for (let app of apps) {
+				app.render(false, { focus: true });
+			}
+			return;
+		}
+		return new Promise((resolve) => {
+			options.resolve = resolve;
+			new this(source, recipient, options, dialogData).render(true, { focus: true });
+		})
+	}
+
+	async close(options) {
+		const result = Helpers.hooks.call(CONSTANTS.HOOKS.PRE_CLOSE_INTERFACE, this, this.banker, this.recipient, options);
+		if (result === false) return;
+		Helpers.hooks.callAll(CONSTANTS.HOOKS.CLOSE_INTERFACE, this, this.banker, this.recipient, options);
+		return super.close(options);
+	}
+
+	/* -------------------------------------------- */
+
+	/** @override */
+	_getHeaderButtons() {
+		let buttons = super._getHeaderButtons();
+		if (game.user.isGM) {
+			buttons = [
+				{
+					label: !Helpers.getSetting(SETTINGS.HIDE_ACTOR_HEADER_TEXT) ? "ITEM-PILES.Inspect.OpenSheet" : "",
+					class: "item-piles-open-actor-sheet",
+					icon: "fas fa-user",
+					onclick: () => {
+						this.banker.sheet.render(true, { focus: true, bypassItemPiles: true });
+					}
+				},
+				{
+					label: !Helpers.getSetting(SETTINGS.HIDE_ACTOR_HEADER_TEXT) ? "ITEM-PILES.HUD.Configure" : "",
+					class: "item-piles-configure-pile",
+					icon: "fas fa-box-open",
+					onclick: () => {
+						ItemPileConfig.show(this.banker);
+					}
+				},
+			].concat(buttons);
+		}
+		return buttons
+	}
+
+}
@@ -0,0 +1,44 @@
+import { SvelteApplication } from '#runtime/svelte/application';
+import ClaimQueueAppShell from "./claim-queue-app-shell.svelte";
+import * as Helpers from "../../helpers/helpers.js";
+
+export default class ClaimQueueApp extends SvelteApplication {
+
+	/**
+	 * @param options
+	 * @param dialogData
+	 */
+	constructor(options = {}, dialogData = {}) {
+		super({
+			title: game.i18n.localize("ITEM-PILES.Applications.ClaimQueue.Title"),
+			svelte: {
+				class: ClaimQueueAppShell,
+				target: document.body
+			},
+			...options
+		}, dialogData);
+	}
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: `item-piles-claim-queue-${foundry.utils.randomID()}`,
+			classes: ["app", "window-app", "sheet", "item-piles-claim-queue", "item-piles", "item-piles-app"],
+			width: 500,
+			height: 500,
+			resizable: true
+		});
+	}
+
+	static getActiveApp() {
+		return Helpers.getActiveApps("item-piles-claim-queue", true);
+	}
+
+	static show(options = {}, dialogData = {}) {
+		if (!game.user.isGM) return;
+		const app = this.getActiveApp();
+		if (app) return app.render(false, { focus: true });
+		return new this(options, dialogData).render(true, { focus: true });
+	}
+
+}
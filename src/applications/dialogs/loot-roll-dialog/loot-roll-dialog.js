@@ -0,0 +1,48 @@
+import LootRollShell from "./loot-roll-shell.svelte";
+import { TJSDialog } from '#runtime/svelte/application';
+
+export default class LootRollDialog extends TJSDialog {
+
+	/**
+	 *
+	 * @param itemPile
+	 * @param items
+	 * @param timeout
+	 * @param options
+	 */
+	constructor(itemPile, items, timeout, options = {}) {
+		super({
+			title: game.i18n.localize(`ITEM-PILES.Dialogs.LootRoll.Title`),
+			id: `item-pile-loot-roll-${itemPile.id}-${foundry.utils.randomID()}`,
+			content: {
+				class: LootRollShell,
+				props: {
+					itemPile,
+					items,
+					timeout
+				}
+			},
+			draggable: true,
+		}, {
+			...options,
+			focusAuto: false,
+			close: () => this.options.resolve?.(null)
+		});
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			width: 430,
+			height: "auto",
+			classes: ["item-piles-app"]
+		})
+	}
+
+	static async show(itemPile, items, timeout, options = {}) {
+		return new Promise((resolve) => {
+			options.resolve = resolve;
+			new this(itemPile, items, timeout, options).render(true, { focus: true });
+		})
+	}
+
+}
@@ -0,0 +1,43 @@
+import RequestItemsDialogShell from "./request-items-dialog-shell.svelte";
+import { SvelteApplication } from '#runtime/svelte/application';
+
+export default class RequestItemsDialog extends SvelteApplication {
+
+	/**
+	 * @param actor       The actor that the items and currencies are requested from
+	 * @param requests    What was already requested from the actor
+	 * @param options
+	 */
+	constructor(actor, requests = [], options = {}) {
+		super({
+			id: `item-pile-request-items-${actor.id}-${foundry.utils.randomID()}`,
+			title: game.i18n.format("ITEM-PILES.Applications.RequestItems.Title", { actor_name: actor.name }),
+			svelte: {
+				class: RequestItemsDialogShell,
+				target: document.body,
+				props: {
+					actor,
+					requests
+				}
+			},
+			close: () => this.options.resolve?.(null),
+			...options
+		})
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			width: 400,
+			height: "auto",
+			classes: ["item-piles-app"]
+		})
+	}
+
+	static async show(actor, requests = [], options = {}) {
+		return new Promise((resolve) => {
+			options.resolve = resolve;
+			new this(actor, requests, options).render(true, { focus: true });
+		})
+	}
+
+}
@@ -0,0 +1,15 @@
+import FactionsEditorShell from "./factions-editor-shell.svelte";
+import Editor from "../Editor.js";
+
+export default class FactionsEditor extends Editor {
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: `item-pile-factions-editor-${foundry.utils.randomID()}`,
+			title: game.i18n.localize("ITEM-PILES.Applications.FactionsEditor.Title"),
+			width: 600,
+			svelte: {
+				class: FactionsEditorShell,
+			}
+		})
+	}
+}
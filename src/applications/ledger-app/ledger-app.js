@@ -0,0 +1,47 @@
+import { SvelteApplication } from '#runtime/svelte/application';
+import LedgerAppShell from "./ledger-app-shell.svelte";
+import * as Helpers from "../../helpers/helpers.js";
+
+export default class LedgerApp extends SvelteApplication {
+
+	/**
+	 * @param options
+	 * @param dialogData
+	 */
+	constructor(options = {}, dialogData = {}) {
+		super({
+			title: game.i18n.localize("ITEM-PILES.Applications.Ledger.Title"),
+			svelte: {
+				class: LedgerAppShell,
+				target: document.body
+			},
+			...options
+		}, dialogData);
+	}
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: `item-piles-ledger-${foundry.utils.randomID()}`,
+			classes: ["app", "window-app", "sheet", "item-piles-ledger", "item-piles", "item-piles-app"],
+			width: 600,
+			height: 600,
+			resizable: true
+		});
+	}
+
+	static getActiveApp() {
+		return Helpers.getActiveApps("item-piles-ledger", true);
+	}
+
+	static async show(options = {}, dialogData = {}) {
+		if (!game.user.isGM) return;
+		const app = this.getActiveApp();
+		if (app) return app.render(false, { focus: true });
+		return new Promise((resolve) => {
+			options.resolve = resolve;
+			new this(options, dialogData).render(true, { focus: true });
+		});
+	}
+
+}
@@ -1,163 +1,406 @@
-import { get, writable } from 'svelte/store';
+import { derived, get, writable } from 'svelte/store';
 import * as Utilities from "../../helpers/utilities.js";
 import * as PileUtilities from "../../helpers/pile-utilities.js";
+import * as EncumbranceUtilities from "../../helpers/encumbrance-utilities.js";
+import * as EscrowUtilities from "../../helpers/escrow-utilities.js";
+import * as Helpers from "../../helpers/helpers.js";
+import CONSTANTS from "../../constants/constants.js";
 
 export default class TradeStore {
 
-	constructor(instigator, leftTrader, rightTrader, publicTradeId, privateTradeId = false, isPrivate = false) {
+	constructor(instigator, traders, publicTradeId, privateTradeId = false, isPrivate = false, { offer = false } = {}) {
 
 		this.instigator = instigator;
 		this.publicTradeId = publicTradeId;
 		this.privateTradeId = privateTradeId;
 		this.isPrivate = isPrivate;
 
-		this.leftTraderUser = leftTrader.user;
-		this.leftTraderActor = leftTrader.actor;
-		this.leftTraderItems = writable(leftTrader.items ?? []);
-		this.leftTraderCurrencies = writable(leftTrader.currencies ?? []);
-		this.leftTraderItemCurrencies = writable(leftTrader.itemCurrencies ?? []);
-		this.leftTraderAccepted = writable(leftTrader.accepted ?? false);
+		// Offers are composed and reviewed without the other participant being in the trade, either as true while it is
+		// being composed, or as the pending offer that is being reviewed
+		this.offer = offer;
+
+		// Once the trade has been executed or closed, what the user offered must no longer be put into escrow
+		this.settled = false;
+
+		this.traders = traders.map(trader => ({
+			user: trader.user,
+			actor: trader.actor,
+			items: writable(trader.items ?? []),
+			currencies: writable(trader.currencies ?? []),
+			itemCurrencies: writable(trader.itemCurrencies ?? []),
+			// What this participant asked the others to add to their offers, as a counter-offer
+			requests: writable(trader.requests ?? []),
+			accepted: writable(trader.accepted ?? false)
+		}));
+
+		// The participant that anything newly offered by this user goes to, until they pick someone else
+		this.recipient = writable(this.otherTraders[0]?.user.id ?? false);
+
+		// What every participant offered when this user last accepted the trade, to show what changed since
+		this.acceptedSnapshot = writable(false);
+
+		this.traders.forEach(trader => {
+			trader.changes = derived(
+				[trader.items, trader.itemCurrencies, trader.currencies, this.acceptedSnapshot],
+				([items, itemCurrencies, currencies, snapshot]) => {
+					return this.getChanges(trader, items.concat(itemCurrencies, currencies), snapshot);
+				}
+			);
+			trader.incomingRequests = derived(
+				this.traders.map(other => other.requests),
+				() => this.getRequestsOf(trader.user.id)
+			);
+			trader.requestFulfillments = derived(
+				[trader.items, trader.itemCurrencies, trader.currencies, trader.incomingRequests],
+				([, , , incomingRequests]) => incomingRequests.map(request => this.getRequestFulfillment(request))
+			);
+		});
 
-		this.rightTraderUser = rightTrader.user;
-		this.rightTraderActor = rightTrader.actor;
-		this.rightTraderItems = writable(rightTrader.items ?? []);
-		this.rightTraderCurrencies = writable(rightTrader.currencies ?? []);
-		this.rightTraderItemCurrencies = writable(rightTrader.itemCurrencies ?? []);
-		this.rightTraderAccepted = writable(rightTrader?.accepted ?? false);
+	}
+
+	get userTrader() {
+		return this.getTrader(game.user.id);
+	}
 
+	get otherTraders() {
+		return this.traders.filter(trader => trader.user !== game.user);
+	}
+
+	get userIds() {
+		return this.traders.map(trader => trader.user.id);
 	}
 
 	get isUserParticipant() {
-		return game.user === this.leftTraderUser || game.user === this.rightTraderUser;
+		return !!this.userTrader;
 	}
 
 	get tradeIsAccepted() {
-		return get(this.leftTraderAccepted) && get(this.rightTraderAccepted);
+		return this.traders.every(trader => get(trader.accepted));
+	}
+
+	get isComposingOffer() {
+		return this.offer === true;
+	}
+
+	get isReviewingOffer() {
+		return !!this.offer?.id;
+	}
+
+	getTrader(userId) {
+		return this.traders.find(trader => trader.user.id === userId) ?? false;
 	}
 
 	static import(tradeData) {
+		return new this(tradeData.instigator, tradeData.traders.map(traderData => ({
+			user: game.users.get(traderData.user),
+			actor: fromUuidSync(traderData.actor),
+			items: traderData.items,
+			currencies: traderData.currencies,
+			itemCurrencies: traderData.itemCurrencies,
+			requests: traderData.requests,
+			accepted: traderData.accepted
+		})), tradeData.publicTradeId);
+	}
 
-		const leftTrader = {
-			user: game.users.get(tradeData.leftTraderData.user),
-			actor: fromUuidSync(tradeData.leftTraderData.actor),
-			items: tradeData.leftTraderData.items,
-			currencies: tradeData.leftTraderData.currencies,
-			itemCurrencies: tradeData.leftTraderData.itemCurrencies,
-			accepted: tradeData.leftTraderData.accepted
-		};
+	/**
+	 * Creates a store for reviewing a pending trade offer, where the offering actor's column contains everything that
+	 * was offered to the actor the offer was made to
+	 *
+	 * @param {object} offer
+	 * @returns {TradeStore}
+	 */
+	static fromOffer(offer) {
+		const actor = Utilities.getActor(offer.actor.uuid);
+		const currencyList = PileUtilities.getCurrencyList(actor).filter(currency => currency.type !== "attribute");
+		const entries = offer.items.map(({ item, quantity }) => ({
+			id: item._id,
+			uuid: false,
+			name: item.name,
+			img: item.img ?? "",
+			type: item.type,
+			currency: !!Utilities.findSimilarItem(currencyList.map(currency => currency.data), item),
+			recipient: offer.recipient,
+			quantity,
+			newQuantity: quantity,
+			maxQuantity: quantity,
+			data: item
+		}));
+		return new this(offer.user, [{
+			user: game.users.get(offer.user),
+			actor,
+			items: entries.filter(entry => !entry.currency),
+			itemCurrencies: entries.filter(entry => entry.currency),
+			currencies: offer.attributes.map((attribute, index) => ({
+				...attribute, newQuantity: attribute.quantity, maxQuantity: attribute.quantity, recipient: offer.recipient, index
+			}))
+		}, {
+			user: game.users.get(offer.recipient),
+			actor: Utilities.getActor(offer.target.uuid)
+		}], offer.id, false, true, { offer });
+	}
 
-		const rightTrader = {
-			user: game.users.get(tradeData.rightTraderData.user),
-			actor: fromUuidSync(tradeData.rightTraderData.actor),
-			items: tradeData.rightTraderData.items,
-			currencies: tradeData.rightTraderData.currencies,
-			itemCurrencies: tradeData.rightTraderData.itemCurrencies,
-			accepted: tradeData.rightTraderData.accepted
+	/**
+	 * Gets what the user is offering, in the shape a trade offer is sent in
+	 *
+	 * @returns {{ items: Array<{ item: string, quantity: number }>, attributes: object }}
+	 */
+	getOfferData() {
+		const trader = this.userTrader;
+		return {
+			items: get(trader.items).concat(get(trader.itemCurrencies)).map(entry => ({
+				item: entry.id, quantity: entry.quantity
+			})),
+			attributes: Object.fromEntries(get(trader.currencies).map(entry => [entry.path, entry.quantity]))
 		};
-
-		return new this(tradeData.instigator, leftTrader, rightTrader, tradeData.publicTradeId);
 	}
 
 	export() {
 		return {
 			instigator: this.instigator,
 			publicTradeId: this.publicTradeId,
-			leftTraderData: {
-				user: this.leftTraderUser.id,
-				actor: Utilities.getUuid(this.leftTraderActor),
-				items: get(this.leftTraderItems),
-				currencies: get(this.leftTraderCurrencies),
-				itemCurrencies: get(this.leftTraderItemCurrencies),
-				accepted: get(this.leftTraderAccepted)
-			},
-			rightTraderData: {
-				user: this.rightTraderUser.id,
-				actor: Utilities.getUuid(this.rightTraderActor),
-				items: get(this.rightTraderItems),
-				currencies: get(this.rightTraderCurrencies),
-				itemCurrencies: get(this.rightTraderItemCurrencies),
-				accepted: get(this.rightTraderAccepted)
+			traders: this.traders.map(trader => ({
+				user: trader.user.id,
+				actor: Utilities.getUuid(trader.actor),
+				items: get(trader.items),
+				currencies: get(trader.currencies),
+				itemCurrencies: get(trader.itemCurrencies),
+				requests: get(trader.requests),
+				accepted: get(trader.accepted)
+			}))
+		}
+	}
+
+	static getEntryKey(entry) {
+		return `${entry.id || entry.path}-${entry.recipient}`;
+	}
+
+	/**
+	 * Gets what every participant is currently offering, keyed by participant and then by entry
+	 *
+	 * @returns {object}
+	 */
+	getSnapshot() {
+		return Object.fromEntries(this.traders.map(trader => {
+			const entries = get(trader.items).concat(get(trader.itemCurrencies), get(trader.currencies));
+			return [trader.user.id, Object.fromEntries(entries.map(entry => [TradeStore.getEntryKey(entry), {
+				id: entry.id,
+				path: entry.path,
+				name: entry.name,
+				img: entry.img,
+				recipient: entry.recipient,
+				quantity: entry.quantity
+			}]))];
+		}));
+	}
+
+	/**
+	 * Compares what a participant is offering with what they offered when this user last accepted the trade
+	 *
+	 * @param {object} trader
+	 * @param {Array<object>} entries
+	 * @param {object/boolean} snapshot
+	 * @returns {{ entries: object, removed: Array<object> }}     The changes keyed by entry, and the entries that were taken out
+	 */
+	getChanges(trader, entries, snapshot) {
+		const changes = { entries: {}, removed: [] };
+		if (!snapshot) return changes;
+		const previousEntries = snapshot[trader.user.id] ?? {};
+		const keys = new Set();
+		for (const entry of entries) {
+			const key = TradeStore.getEntryKey(entry);
+			keys.add(key);
+			const previousEntry = previousEntries[key];
+			if (!previousEntry) {
+				changes.entries[key] = { added: true };
+			} else if (previousEntry.quantity !== entry.quantity) {
+				changes.entries[key] = { previousQuantity: previousEntry.quantity };
 			}
 		}
+		changes.removed = Object.entries(previousEntries)
+			.filter(([key]) => !keys.has(key))
+			.map(([, entry]) => entry);
+		return changes;
+	}
+
+	/**
+	 * Gets everything the other participants offered to a given participant
+	 *
+	 * @param {string} userId
+	 * @returns {{ items: Array<object>, attributes: Array<object> }}
+	 */
+	getIncomingEntries(userId) {
+		const traders = this.traders.filter(trader => trader.user.id !== userId);
+		return {
+			items: traders.flatMap(trader => {
+				return get(trader.items).concat(get(trader.itemCurrencies))
+					.filter(entry => entry.recipient === userId)
+					.map(entry => ({ ...entry, sourceActor: trader.actor }));
+			}),
+			attributes: traders.flatMap(trader => {
+				return get(trader.currencies).filter(entry => entry.recipient === userId);
+			})
+		};
 	}
 
 	getTradeData() {
+		const trader = this.userTrader;
 		return {
-			sourceActor: this.leftTraderActor,
-			targetActor: this.rightTraderActor,
+			actor: trader.actor,
 			remove: {
-				items: get(this.leftTraderItems).concat(get(this.leftTraderItemCurrencies)),
-				attributes: get(this.leftTraderCurrencies)
-			}, add: {
-				items: get(this.rightTraderItems).concat(get(this.rightTraderItemCurrencies)),
-				attributes: get(this.rightTraderCurrencies)
-			}
+				items: get(trader.items).concat(get(trader.itemCurrencies)),
+				attributes: get(trader.currencies)
+			},
+			add: this.getIncomingEntries(trader.user.id)
 		};
 	}
 
 	getExistingCurrencies() {
-		return [...get(this.leftTraderCurrencies), ...get(this.leftTraderItemCurrencies)]
+		const trader = this.userTrader;
+		const recipient = get(this.recipient);
+		return [...get(trader.currencies), ...get(trader.itemCurrencies)].filter(entry => entry.recipient === recipient);
 	}
 
 	async toggleAccepted() {
-		this.leftTraderAccepted.set(!get(this.leftTraderAccepted));
+		const trader = this.userTrader;
+		if (!get(trader.accepted)) {
+			const incomingItems = this.getIncomingEntries(trader.user.id).items.map(entry => ({
+				item: entry.data, quantity: entry.quantity
+			}));
+			if (!EncumbranceUtilities.canActorCarryItems(trader.actor, incomingItems)) {
+				Helpers.custom_warning(game.i18n.format("ITEM-PILES.Trade.OverCapacity", {
+					actor_name: trader.actor.name
+				}), true);
+				return;
+			}
+			if (!game.user.isGM && this.isOfferingTooMuch()) {
+				Helpers.custom_warning(game.i18n.format("ITEM-PILES.Trade.OfferedTooMuch", {
+					actor_name: trader.actor.name
+				}), true);
+				return;
+			}
+		}
+		if (!get(trader.accepted)) {
+			this.acceptedSnapshot.set(this.getSnapshot());
+		}
+		trader.accepted.set(!get(trader.accepted));
 	}
 
-	updateItems(userId, inItems) {
-		if (userId === game.user.id) return;
-		this.leftTraderAccepted.set(false);
-		this.rightTraderAccepted.set(false);
-		if (userId === this.leftTraderUser.id) {
-			this.leftTraderItems.set(inItems)
+	/**
+	 * Determines whether the user offered more of an item to other participants in total than their actor has
+	 *
+	 * @returns {boolean}
+	 */
+	isOfferingTooMuch() {
+		const trader = this.userTrader;
+		const offeredQuantities = {};
+		for (const entry of get(trader.items).concat(get(trader.itemCurrencies))) {
+			offeredQuantities[entry.id] = (offeredQuantities[entry.id] ?? 0) + entry.quantity;
+		}
+		return Object.entries(offeredQuantities).some(([itemId, quantity]) => {
+			const item = trader.actor.items.get(itemId);
+			return item && quantity > EscrowUtilities.getAvailableItemQuantity(item, { ignore: [this.publicTradeId] });
+		});
+	}
+
+	/**
+	 * Puts everything the user is offering into escrow on their actor, so that it cannot be used elsewhere while the
+	 * trade is ongoing
+	 *
+	 * @returns {Promise}
+	 */
+	syncEscrow() {
+
+		if (this.settled || this.offer || !this.isUserParticipant) return;
+
+		const trader = this.userTrader;
+		const ignore = [this.publicTradeId];
+
+		const itemQuantities = {};
+		for (const entry of get(trader.items).concat(get(trader.itemCurrencies))) {
+			itemQuantities[entry.id] = (itemQuantities[entry.id] ?? 0) + entry.quantity;
 		}
-		if (userId === this.rightTraderUser.id) {
-			this.rightTraderItems.set(inItems)
+		const items = Object.entries(itemQuantities).map(([itemId, quantity]) => {
+			const item = trader.actor.items.get(itemId);
+			if (!item) return false;
+			return { _id: itemId, quantity: Math.min(quantity, EscrowUtilities.getAvailableItemQuantity(item, { ignore })) };
+		}).filter(Boolean);
+
+		const attributeQuantities = {};
+		for (const entry of get(trader.currencies)) {
+			attributeQuantities[entry.path] = (attributeQuantities[entry.path] ?? 0) + entry.quantity;
+		}
+		const attributes = Object.entries(attributeQuantities).map(([path, quantity]) => ({
+			path, quantity: Math.min(quantity, EscrowUtilities.getAvailableAttributeQuantity(trader.actor, path, { ignore }))
+		}));
+
+		const escrow = EscrowUtilities.createEscrow(CONSTANTS.ESCROW_TYPES.TRADE, game.user.id, {
+			id: this.publicTradeId, items, attributes, reference: this.publicTradeId
+		});
+
+		if (!escrow.items.length && !escrow.attributes.length) {
+			return EscrowUtilities.removeEscrow(trader.actor, this.publicTradeId);
 		}
+
+		return EscrowUtilities.addEscrow(trader.actor, escrow);
+
+	}
+
+	/**
+	 * Releases the escrow holding what the user offered, once the trade was closed without being executed
+	 *
+	 * @returns {Promise}
+	 */
+	releaseEscrow() {
+		this.settled = true;
+		if (!this.isUserParticipant || this.offer) return;
+		return EscrowUtilities.removeEscrow(this.userTrader.actor, this.publicTradeId);
+	}
+
+	resetAcceptedStates() {
+		this.traders.forEach(trader => trader.accepted.set(false));
+	}
+
+	updateItems(userId, inItems) {
+		if (userId === game.user.id) return;
+		this.resetAcceptedStates();
+		this.getTrader(userId)?.items.set(inItems);
 	}
 
 	updateItemCurrencies(userId, itemCurrencies) {
 		if (userId === game.user.id) return;
-		this.leftTraderAccepted.set(false);
-		this.rightTraderAccepted.set(false);
-		if (userId === this.leftTraderUser.id) {
-			this.leftTraderItemCurrencies.set(itemCurrencies)
-		}
-		if (userId === this.rightTraderUser.id) {
-			this.rightTraderItemCurrencies.set(itemCurrencies)
-		}
+		this.resetAcceptedStates();
+		this.getTrader(userId)?.itemCurrencies.set(itemCurrencies);
 	}
 
 	updateCurrencies(userId, inCurrencies) {
 		if (userId === game.user.id) return;
-		this.leftTraderAccepted.set(false);
-		this.rightTraderAccepted.set(false);
-		if (userId === this.leftTraderUser.id) {
-			this.leftTraderCurrencies.set(inCurrencies)
-		}
-		if (userId === this.rightTraderUser.id) {
-			this.rightTraderCurrencies.set(inCurrencies)
-		}
+		this.resetAcceptedStates();
+		this.getTrader(userId)?.currencies.set(inCurrencies);
+	}
+
+	updateRequests(userId, requests) {
+		if (userId === game.user.id) return;
+		this.resetAcceptedStates();
+		this.getTrader(userId)?.requests.set(requests);
 	}
 
 	updateAcceptedState(userId, state) {
 		if (userId === game.user.id) return;
-		if (userId === this.leftTraderUser.id) {
-			this.leftTraderAccepted.set(state);
-		}
-		if (userId === this.rightTraderUser.id) {
-			this.rightTraderAccepted.set(state);
-		}
+		this.getTrader(userId)?.accepted.set(state);
 	}
 
-	addItem(newItem, { uuid = false, quantity = false, currency = false } = {}) {
+	addItem(newItem, { uuid = false, quantity = false, currency = false, recipient = get(this.recipient) } = {}) {
 
-		const items = !currency
-			? get(this.leftTraderItems)
-			: get(this.leftTraderItemCurrencies);
+		const trader = this.userTrader;
+		const store = !currency ? trader.items : trader.itemCurrencies;
+		const items = get(store);
 
-		const item = Utilities.findSimilarItem(items, newItem)
+		const item = Utilities.findSimilarItem(items.filter(entry => entry.recipient === recipient), newItem)
 
-		const maxQuantity = game.user.isGM ? Infinity : Utilities.getItemQuantity(newItem);
+		const actorItem = trader.actor.items.get(newItem._id ?? newItem.id);
+		const maxQuantity = game.user.isGM ? Infinity : (actorItem
+			? EscrowUtilities.getAvailableItemQuantity(actorItem, { ignore: [this.publicTradeId] })
+			: Utilities.getItemQuantity(newItem));
 
 		if (item && PileUtilities.canItemStack(item)) {
 			if (item.quantity >= maxQuantity) return;
@@ -176,6 +419,7 @@ export default class TradeStore {
 				img: newItem?.img ?? "",
 				type: newItem?.type,
 				currency: currency,
+				recipient: recipient,
 				quantity: quantity ? quantity : 1,
 				newQuantity: quantity ? quantity : 1,
 				maxQuantity: maxQuantity,
@@ -183,19 +427,20 @@ export default class TradeStore {
 			})
 		}
 
-		if (!currency) {
-			this.leftTraderItems.set(items);
-		} else {
-			this.leftTraderItemCurrencies.set(items);
-		}
+		store.set(items);
 
 	}
 
 	addAttribute(newCurrency) {
 
-		const currencies = get(this.leftTraderCurrencies);
+		const trader = this.userTrader;
+		const currencies = get(trader.currencies);
 
-		const existingCurrency = currencies.find(currency => currency.path === newCurrency.path);
+		newCurrency.recipient = newCurrency.recipient ?? get(this.recipient);
+
+		const existingCurrency = currencies.find(currency => {
+			return currency.path === newCurrency.path && currency.recipient === newCurrency.recipient;
+		});
 
 		if (existingCurrency) {
 			existingCurrency.quantity = newCurrency.quantity;
@@ -206,39 +451,209 @@ export default class TradeStore {
 
 		currencies.sort((a, b) => a.index - b.index);
 
-		this.leftTraderCurrencies.set(currencies);
+		trader.currencies.set(currencies);
 
 	}
 
-	removeEntry(entry) {
+	/**
+	 * Changes which participant receives an offered entry, merging it with an identical entry already offered to them
+	 *
+	 * @param {object} entry
+	 * @param {string} recipient
+	 */
+	setRecipient(entry, recipient) {
 
-		if (entry.id) {
+		if (entry.recipient === recipient) return;
 
-			if (!entry.currency) {
+		const trader = this.userTrader;
+		const store = !entry.id ? trader.currencies : (!entry.currency ? trader.items : trader.itemCurrencies);
+		const entries = get(store);
 
-				const items = get(this.leftTraderItems)
-					.filter(item => item.id !== entry.id);
+		const existingEntry = entries.find(other => {
+			return other.recipient === recipient && (entry.id ? other.id === entry.id : other.path === entry.path);
+		});
 
-				this.leftTraderItems.set(items);
+		if (existingEntry) {
+			existingEntry.quantity = Math.min(existingEntry.quantity + entry.quantity, existingEntry.maxQuantity);
+			existingEntry.newQuantity = existingEntry.quantity;
+			entries.splice(entries.findIndex(other => this.isSameEntry(other, entry)), 1);
+		} else {
+			entries.find(other => this.isSameEntry(other, entry)).recipient = recipient;
+		}
 
-			} else {
+		store.set(entries);
 
-				const items = get(this.leftTraderItemCurrencies)
-					.filter(item => item.id !== entry.id);
+	}
 
-				this.leftTraderItemCurrencies.set(items);
+	/**
+	 * Gets the requests that the other participants made of a participant, along with who made them
+	 *
+	 * @param {string} userId
+	 * @returns {Array<object>}
+	 */
+	getRequestsOf(userId) {
+		return this.traders.filter(trader => trader.user.id !== userId).flatMap(trader => {
+			return get(trader.requests)
+				.filter(request => request.from === userId)
+				.map(request => ({ ...request, requester: trader.user.id }));
+		});
+	}
 
-			}
+	/**
+	 * Replaces what the user asked a participant to add to their offer
+	 *
+	 * @param {string} userId                     The participant the requests are made of
+	 * @param {Array<object>} requests
+	 */
+	setRequests(userId, requests) {
+		const trader = this.userTrader;
+		trader.requests.set(get(trader.requests)
+			.filter(request => request.from !== userId)
+			.concat(requests.map(request => ({ ...request, from: userId }))));
+	}
 
-		} else {
+	removeRequest(request) {
+		const trader = this.userTrader;
+		trader.requests.set(get(trader.requests).filter(other => {
+			return other.from !== request.from || !this.isSameRequest(other, request);
+		}));
+	}
 
-			const items = get(this.leftTraderCurrencies)
-				.filter(currency => currency.path !== entry.path);
+	isSameRequest(requestA, requestB) {
+		return requestA.id ? requestA.id === requestB.id : requestA.path === requestB.path;
+	}
+
+	/**
+	 * Determines how much of what was requested the asked participant is offering to the participant who asked for it
+	 *
+	 * @param {object} request
+	 * @returns {number}
+	 */
+	getRequestFulfillment(request) {
+		const trader = this.getTrader(request.from);
+		if (!trader) return 0;
+		const entries = request.id
+			? get(trader.items).concat(get(trader.itemCurrencies))
+			: get(trader.currencies);
+		return entries
+			.filter(entry => entry.recipient === request.requester && this.isSameRequest(entry, request))
+			.reduce((total, entry) => total + entry.quantity, 0);
+	}
+
+	/**
+	 * Adds what another participant requested to the user's offer to them, as much as the user's actor has
+	 *
+	 * @param {object} request
+	 */
+	fulfillRequest(request) {
+
+		const trader = this.userTrader;
+
+		if (request.id) {
+			const item = trader.actor.items.get(request.id);
+			if (!item) return;
+			return this.addItem(item, { quantity: request.quantity, currency: request.currency, recipient: request.requester });
+		}
+
+		const maxQuantity = game.user.isGM
+			? Infinity
+			: EscrowUtilities.getAvailableAttributeQuantity(trader.actor, request.path, { ignore: [this.publicTradeId] });
+		const quantity = Math.min(request.quantity, maxQuantity);
+		if (!quantity) return;
+
+		const currency = PileUtilities.getActorCurrencies(trader.actor, { getAll: true })
+			.find(currency => currency.type === "attribute" && currency.path === request.path);
+
+		this.addAttribute({
+			path: request.path,
+			quantity,
+			newQuantity: quantity,
+			name: currency?.name ?? request.name,
+			img: currency?.img ?? request.img,
+			maxQuantity,
+			index: currency?.index ?? 0,
+			recipient: request.requester
+		});
+
+	}
+
+	/**
+	 * Gets what the user is offering, to be saved as a trade template
+	 *
+	 * @returns {{ items: Array<object>, attributes: Array<object> }}
+	 */
+	getTemplateData() {
+		const trader = this.userTrader;
+		return {
+			items: get(trader.items).concat(get(trader.itemCurrencies)),
+			attributes: get(trader.currencies)
+		};
+	}
 
-			this.leftTraderCurrencies.set(items);
+	/**
+	 * Offers what a trade template contains to the current recipient, matching its items against similar items on the
+	 * user's actor
+	 *
+	 * @param {object} template
+	 * @returns {Array<string>}                   The names of the items and attributes that could not be offered
+	 */
+	applyTemplate(template) {
+
+		const trader = this.userTrader;
+		const missing = [];
+
+		const actorItems = Array.from(trader.actor.items);
+		for (const entry of template.items) {
+			const item = Utilities.findSimilarItem(actorItems, entry.item);
+			const quantity = item ? Math.min(entry.quantity, game.user.isGM
+				? entry.quantity
+				: EscrowUtilities.getAvailableItemQuantity(item, { ignore: [this.publicTradeId] })) : 0;
+			if (!quantity) {
+				missing.push(entry.name);
+				continue;
+			}
+			this.addItem(item, { quantity, currency: entry.currency });
+		}
 
+		const currencies = PileUtilities.getActorCurrencies(trader.actor, { getAll: true })
+			.filter(currency => currency.type === "attribute");
+		for (const entry of template.attributes) {
+			const currency = currencies.find(currency => currency.path === entry.path);
+			const maxQuantity = game.user.isGM
+				? Infinity
+				: EscrowUtilities.getAvailableAttributeQuantity(trader.actor, entry.path, { ignore: [this.publicTradeId] });
+			const quantity = currency ? Math.min(entry.quantity, maxQuantity) : 0;
+			if (!quantity) {
+				missing.push(entry.name);
+				continue;
+			}
+			this.addAttribute({
+				path: entry.path,
+				quantity,
+				newQuantity: quantity,
+				name: currency.name,
+				img: currency.img,
+				maxQuantity,
+				index: currency.index
+			});
 		}
 
+		return missing;
+
+	}
+
+	isSameEntry(entryA, entryB) {
+		if (entryA.recipient !== entryB.recipient) return false;
+		return entryA.id ? entryA.id === entryB.id : entryA.path === entryB.path;
+	}
+
+	removeEntry(entry) {
+
+		const trader = this.userTrader;
+		const store = !entry.id ? trader.currencies : (!entry.currency ? trader.items : trader.itemCurrencies);
+
+		store.set(get(store).filter(other => !this.isSameEntry(other, entry)));
+
 	}
 
 }
@@ -5,10 +5,8 @@ import ItemPileSocket from "../../socket.js";
 export default class TradingApp extends SvelteApplication {
 	constructor(store, options = {}, dialogData = {}) {
 		super({
-			title: game.i18n.format("ITEM-PILES.Trade.Between", {
-				actor_1: store.leftTraderActor.name,
-				actor_2: store.rightTraderActor.name
-			}),
+			title: TradingApp.getTitle(store),
+			width: 400 * Math.min(Math.max(store.traders.length, 2), 4),
 			svelte: {
 				class: TradingAppShell,
 				target: document.body,
@@ -32,6 +30,18 @@ export default class TradingApp extends SvelteApplication {
 		});
 	}
 
+	static getTitle(store) {
+		if (store.isComposingOffer) {
+			return game.i18n.format("ITEM-PILES.Trade.Offer.To", { actor_name: store.otherTraders[0].actor.name });
+		}
+		if (store.isReviewingOffer) {
+			return game.i18n.format("ITEM-PILES.Trade.Offer.From", { actor_name: store.offer.actor.name });
+		}
+		return game.i18n.format("ITEM-PILES.Trade.Between", {
+			actors: store.traders.map(trader => trader.actor.name).join(", ")
+		});
+	}
+
 	static getActiveApp(publicTradeId) {
 		for (const app of Object.values(ui.windows)) {
 			if (app instanceof this && app?.publicTradeId === publicTradeId) {
@@ -42,7 +52,7 @@ export default class TradingApp extends SvelteApplication {
 	}
 
 	async close(options = {}) {
-		if (!options?.callback && this.store.isUserParticipant) {
+		if (!options?.callback && this.store.isUserParticipant && !this.store.offer) {
 			await ItemPileSocket.executeForEveryone(ItemPileSocket.HANDLERS.TRADE_CLOSED, this.publicTradeId, game.user.id);
 		}
 		return super.close(options)
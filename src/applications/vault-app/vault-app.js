@@ -6,7 +6,7 @@ import * as Helpers from "../../helpers/helpers.js";
 import UserSelectDialog from "../dialogs/user-select-dialog/user-select-dialog.js";
 import SETTINGS from "../../constants/settings.js";
 import CONSTANTS from "../../constants/constants.js";
-import { getVaultAccess } from "../../helpers/pile-utilities.js";
+import { getVaultAccess, isItemPileLocked } from "../../helpers/pile-utilities.js";
 
 export default class VaultApp extends SvelteApplication {
 
@@ -69,6 +69,10 @@ export default class VaultApp extends SvelteApplication {
 		recipient = Utilities.getActor(recipient);
 		const result = Helpers.hooks.call(CONSTANTS.HOOKS.PRE_OPEN_INTERFACE, source, recipient, options, dialogData);
 		if (result === false) return;
+		if (isItemPileLocked(source) && !source.isOwner) {
+			ui.notifications.error(game.i18n.format("ITEM-PILES.Errors.VaultLocked", { actor_name: source.name }));
+			return;
+		}
 		const access = getVaultAccess(source, { hasRecipient: !!recipient });
 		if (!access.canView) {
 			ui.notifications.error(game.i18n.format(recipient
@@ -23,7 +23,13 @@ const CONSTANTS = {
 		PUBLIC_TRADE_ID: `${baseFlag}.publicTradeId`,
 		TRADE_USERS: `${baseFlag}.tradeUsers`,
 		TEMPORARY_ITEM: `${baseFlag}.temporary_item`,
-		CUSTOM_CATEGORY: `${baseFlag}.item.customCategory`
+		CUSTOM_CATEGORY: `${baseFlag}.item.customCategory`,
+		BANK_ACCOUNTS: `${baseFlag}.accounts`,
+		AUCTION_LOTS: `${baseFlag}.lots`,
+		SERVICE_DELIVERIES: `${baseFlag}.deliveries`,
+		ESCROW: `${baseFlag}.escrow`,
+		REPUTATION: `${baseFlag}.reputation`,
+		SALES: `${baseFlag}.sales`
 	},
 
 	SIMPLE_FLAGS: {
@@ -38,7 +44,20 @@ const CONSTANTS = {
 		PUBLIC_TRADE_ID: `${module_name}.publicTradeId`,
 		TRADE_USERS: `${module_name}.tradeUsers`,
 		TEMPORARY_ITEM: `${module_name}.temporary_item`,
-		CUSTOM_CATEGORY: `${module_name}.item.customCategory`
+		CUSTOM_CATEGORY: `${module_name}.item.customCategory`,
+		BANK_ACCOUNTS: `${module_name}.accounts`,
+		AUCTION_LOTS: `${module_name}.lots`,
+		SERVICE_DELIVERIES: `${module_name}.deliveries`,
+		ESCROW: `${module_name}.escrow`,
+		REPUTATION: `${module_name}.reputation`,
+		SALES: `${module_name}.sales`
+	},
+
+	ESCROW_TYPES: {
+		TRADE: "trade",
+		TRADE_OFFER: "tradeOffer",
+		GIVE: "give",
+		CLAIM: "claim"
 	},
 
 	ITEM_TYPE_METHODS: {
@@ -63,12 +82,24 @@ const CONSTANTS = {
 		isService: false,
 		keepOnMerchant: false,
 		macro: "",
+		serviceEffects: [],
+		serviceRestore: false,
+		serviceRestoreFormula: "",
+		serviceAdvanceTime: 0,
+		serviceDeliveryItems: [],
+		serviceDeliveryDelay: 0,
 		customCategory: "",
 		prices: [],
 		sellPrices: [],
 		buyPriceModifier: 1,
 		sellPriceModifier: 1,
 
+		// Restocking
+		restockMax: 0,
+		restockAmount: "1",
+		restockInterval: 1,
+		restockProgress: 0,
+
 		// Crafting
 		craftingComponents: [],
 		breakdownComponents: [],
@@ -97,12 +128,26 @@ const CONSTANTS = {
 		BANKER: "banker"
 	},
 
+	SPLIT_POLICIES: {
+		EQUAL: "equal",
+		WEIGHTED: "weighted",
+		VALUE_BALANCED: "valueBalanced"
+	},
+
 	VAULT_LOGGING_TYPES: {
 		USER_ACTOR: "user_actor",
 		USER: "user",
 		ACTOR: "actor",
 	},
 
+	VAULT_SORT_STRATEGIES: {
+		SIZE: "size",
+		TYPE: "type",
+		VALUE: "value",
+		NAME: "name",
+		RECENT: "recent"
+	},
+
 	MACRO_EXECUTION_TYPES: {
 		TRADE_ITEMS: "tradeItems",
 		ADD_ITEMS: "addItems",
@@ -125,7 +170,18 @@ const CONSTANTS = {
 		UNLOCK_ITEM_PILE: "unlockItemPile",
 		OPEN_ITEM_PILE: "openItemPile",
 		SPLIT_INVENTORY: "splitInventory",
-		RENDER_INTERFACE: "renderInterface"
+		RENDER_INTERFACE: "renderInterface",
+		OPEN_BANK_ACCOUNT: "openBankAccount",
+		DEPOSIT_TO_BANK: "depositToBank",
+		WITHDRAW_FROM_BANK: "withdrawFromBank",
+		CREATE_AUCTION_LOT: "createAuctionLot",
+		BID_ON_AUCTION_LOT: "bidOnAuctionLot",
+		SETTLE_AUCTION_LOT: "settleAuctionLot",
+		CRAFT_ITEM: "craftItem",
+		BREAKDOWN_ITEM: "breakdownItem",
+		HAGGLE: "haggle",
+		DELIVER_SERVICE_ITEMS: "deliverServiceItems",
+		TRIGGER_TRAP: "triggerTrap"
 	},
 
 	CUSTOM_PILE_TYPES: {},
@@ -160,6 +216,19 @@ const CONSTANTS = {
 		takeAllEnabled: false,
 		splitAllEnabled: true,
 		activePlayers: false,
+		splitPolicy: "equal",
+		splitWeights: [],
+		partyFundActorUuid: "",
+		partyFundPercentage: 0,
+		lootRollEnabled: false,
+		lootRollTimeout: 30,
+		requireApproval: false,
+
+		// Capacity settings
+		maxItems: 0,
+		maxWeight: 0,
+		maxBulk: 0,
+		bulkAttribute: "",
 
 		// Container settings
 		closed: false,
@@ -180,6 +249,10 @@ const CONSTANTS = {
 		lockedSounds: [],
 		unlockedSound: "",
 		unlockedSounds: [],
+		unlockChecks: [],
+		trapMacro: "",
+		keys: [],
+		consumeKey: false,
 
 		// Merchant settings
 		merchantImage: "",
@@ -221,6 +294,22 @@ const CONSTANTS = {
 		refreshItemsDays: [],
 		refreshItemsHolidays: [],
 		logMerchantActivity: false,
+		dynamicPricing: false,
+		dynamicPricingBaseline: 10,
+		dynamicPricingStockFactor: 0.02,
+		dynamicPricingSalesFactor: 0.02,
+		dynamicPricingDecayDays: 7,
+		dynamicPricingMinModifier: 0.5,
+		dynamicPricingMaxModifier: 2,
+		haggleEnabled: false,
+		haggleFormula: "1d20",
+		haggleDC: 15,
+		haggleModifier: 0.1,
+		haggleDuration: 1,
+		haggleCooldown: 24,
+		identifyServiceEnabled: false,
+		identifyServicePrice: "",
+		faction: "",
 
 		// Vault settings
 		cols: 10,
@@ -231,7 +320,21 @@ const CONSTANTS = {
 		baseExpansionRows: 0,
 		vaultAccess: [],
 		logVaultActions: false,
-		vaultLogType: "user_actor"
+		vaultLogType: "user_actor",
+		vaultSortStrategy: "size",
+
+		// Banker settings
+		bankAllowOpeningAccounts: true,
+		bankAllowItems: true,
+		bankInterestRate: 0,
+		bankFeeRate: 0,
+
+		// Auctioneer settings
+		auctionAllowListing: true,
+		auctionDefaultDuration: 24,
+		auctionMaxDuration: 168,
+		auctionUseWorldTime: false,
+		auctionAnnounceBids: true
 	}
 }
 
@@ -239,7 +342,9 @@ CONSTANTS.DEFAULT_PILE_TYPES = [
 	CONSTANTS.PILE_TYPES.PILE,
 	CONSTANTS.PILE_TYPES.CONTAINER,
 	CONSTANTS.PILE_TYPES.MERCHANT,
-	CONSTANTS.PILE_TYPES.VAULT
+	CONSTANTS.PILE_TYPES.VAULT,
+	CONSTANTS.PILE_TYPES.BANKER,
+	CONSTANTS.PILE_TYPES.AUCTIONEER
 ]
 
 CONSTANTS.ITEM_FORCED_UNIQUE_KEYS = ["vaultExpander"]
@@ -262,6 +367,8 @@ CONSTANTS.HOOKS = {
 	PRE_CLOSE_INTERFACE: module`preCloseInterface`,
 	CLOSE_INTERFACE: module`closeInterface`,
 	RENDER_VAULT_GRID_ITEM: module`renderVaultGridItem`,
+	PRE_REVERT_INTERACTION: module`preRevertInteraction`,
+	REVERT_INTERACTION: module`revertInteraction`,
 	PILE: {
 		PRE_CREATE: module`preCreateItemPile`,
 		CREATE: module`createItemPile`,
@@ -279,6 +386,8 @@ CONSTANTS.HOOKS = {
 		UNLOCK: module`unlockItemPile`,
 		PRE_RATTLE: module`preRattleItemPile`,
 		RATTLE: module`rattleItemPile`,
+		PRE_ATTEMPT_UNLOCK: module`preAttemptUnlockItemPile`,
+		ATTEMPT_UNLOCK: module`attemptUnlockItemPile`,
 		PRE_TURN_INTO: module`preTurnIntoItemPiles`,
 		TURN_INTO: module`turnIntoItemPiles`,
 		PRE_REVERT_FROM: module`preRevertFromItemPiles`,
@@ -288,7 +397,11 @@ CONSTANTS.HOOKS = {
 		PRE_CLICK: module`preClickItemPile`,
 		PRE_DIRECTORY_CLICK: module`preClickDirectoryItemPile`,
 		PRE_RIGHT_CLICK_ITEM: module`preRightClickItem`,
-		PRE_REFRESH_INVENTORY: module`preRefreshInventory`
+		PRE_REFRESH_INVENTORY: module`preRefreshInventory`,
+		PRE_RESTOCK_INVENTORY: module`preRestockInventory`,
+		RESTOCK_INVENTORY: module`restockInventory`,
+		PRE_LOOT_ROLL: module`preLootRoll`,
+		LOOT_ROLL: module`lootRoll`
 	},
 	ITEM: {
 		PRE_DROP_DETERMINED: module`preDropItemDetermined`,
@@ -307,6 +420,16 @@ CONSTANTS.HOOKS = {
 		TRADE: module`tradeItems`,
 		PRE_GIVE: module`preGiveItem`,
 		GIVE: module`giveItem`,
+		PRE_CRAFT: module`preCraftItem`,
+		CRAFT: module`craftItem`,
+		PRE_BREAKDOWN: module`preBreakdownItem`,
+		BREAKDOWN: module`breakdownItem`,
+		PRE_IDENTIFY: module`preIdentifyItem`,
+		IDENTIFY: module`identifyItem`,
+		PRE_APPLY_SERVICE: module`preApplyService`,
+		APPLY_SERVICE: module`applyService`,
+		PRE_DELIVER_SERVICE: module`preDeliverServiceItems`,
+		DELIVER_SERVICE: module`deliverServiceItems`,
 	},
 	CURRENCY: {
 		PRE_TRANSFER: module`preTransferCurrencies`,
@@ -332,9 +455,47 @@ CONSTANTS.HOOKS = {
 		PRE_TRANSFER_ALL: module`preTransferAllAttributes`,
 		TRANSFER_ALL: module`transferAllAttributes`,
 	},
+	BANK: {
+		PRE_OPEN_ACCOUNT: module`preOpenBankAccount`,
+		OPEN_ACCOUNT: module`openBankAccount`,
+		PRE_DEPOSIT: module`preDepositToBank`,
+		DEPOSIT: module`depositToBank`,
+		PRE_WITHDRAW: module`preWithdrawFromBank`,
+		WITHDRAW: module`withdrawFromBank`,
+		PRE_APPLY_RATES: module`preApplyBankRates`,
+		APPLY_RATES: module`applyBankRates`
+	},
+	AUCTION: {
+		PRE_CREATE_LOT: module`preCreateAuctionLot`,
+		CREATE_LOT: module`createAuctionLot`,
+		PRE_BID: module`preBidOnAuctionLot`,
+		BID: module`bidOnAuctionLot`,
+		PRE_SETTLE_LOT: module`preSettleAuctionLot`,
+		SETTLE_LOT: module`settleAuctionLot`
+	},
+	MERCHANT: {
+		PRE_HAGGLE: module`preHaggle`,
+		HAGGLE: module`haggle`
+	},
+	FACTION: {
+		PRE_UPDATE_REPUTATION: module`preUpdateReputation`,
+		UPDATE_REPUTATION: module`updateReputation`
+	},
+	CLAIM: {
+		PRE_QUEUE: module`preQueueClaim`,
+		QUEUE: module`queueClaim`,
+		PRE_RESOLVE: module`preResolveClaim`,
+		RESOLVE: module`resolveClaim`
+	},
 	TRADE: {
 		STARTED: module`tradeStarted`,
-		COMPLETE: module`tradeComplete`
+		COMPLETE: module`tradeComplete`,
+		GROUP_STARTED: module`groupTradeStarted`,
+		GROUP_COMPLETE: module`groupTradeComplete`,
+		PRE_SEND_OFFER: module`preSendTradeOffer`,
+		SEND_OFFER: module`sendTradeOffer`,
+		PRE_RESOLVE_OFFER: module`preResolveTradeOffer`,
+		RESOLVE_OFFER: module`resolveTradeOffer`
 	}
 }
 
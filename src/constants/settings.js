@@ -22,7 +22,10 @@ const SETTINGS = {
 	INSPECT_ITEMS_IN_TRADE: "inspectItemsInTrade",
 	POPULATION_TABLES_FOLDER: "populationTablesFolder",
 	PRICE_PRESETS: "pricePresets",
+	FACTIONS: "factions",
 	HIDE_TOKEN_BORDER: "hideTokenBorder",
+	LEDGER_MAX_ENTRIES: "ledgerMaxEntries",
+	ENCUMBRANCE_MODE: "encumbranceMode",
 
 	// Style settings
 	CSS_VARIABLES: "cssVariables",
@@ -40,6 +43,7 @@ const SETTINGS = {
 	ITEM_QUANTITY_ATTRIBUTE: "itemQuantityAttribute",
 	ITEM_PRICE_ATTRIBUTE: "itemPriceAttribute",
 	QUANTITY_FOR_PRICE_ATTRIBUTE: "quantityForPriceAttribute",
+	ITEM_WEIGHT_ATTRIBUTE: "itemWeightAttribute",
 	ITEM_SIMILARITIES: "itemSimilarities",
 	UNSTACKABLE_ITEM_TYPES: "unstackableItemTypes",
 	PILE_DEFAULTS: "pileDefaults",
@@ -51,6 +55,10 @@ const SETTINGS = {
 	SYSTEM_NOT_FOUND_WARNING_SHOWN: "systemNotFoundWarningShown",
 	SYSTEM_VERSION: "systemVersion",
 	CUSTOM_ITEM_CATEGORIES: "customItemCategories",
+	LEDGER: "ledger",
+	CLAIMS: "claims",
+	TRADE_OFFERS: "tradeOffers",
+	TRADE_TEMPLATES: "tradeTemplates",
 
 	HIDE_TOKEN_BORDER_OPTIONS: {
 		EVERYONE: "everyone",
@@ -58,6 +66,12 @@ const SETTINGS = {
 		SHOW: "show"
 	},
 
+	ENCUMBRANCE_MODE_OPTIONS: {
+		OFF: "off",
+		WARN: "warn",
+		BLOCK: "block"
+	},
+
 	DEFAULT_CSS_VARIABLES: {
 		"inactive": "rgba(31,143,255,1)",
 		"minor-inactive": "rgba(201,200,185,1)",
@@ -270,6 +284,16 @@ const SETTINGS = {
 			type: String
 		},
 
+		[SETTINGS.ITEM_WEIGHT_ATTRIBUTE]: {
+			name: "ITEM-PILES.Settings.Weight.Title",
+			hint: "ITEM-PILES.Settings.Weight.Hint",
+			scope: "world",
+			config: false,
+			system: true,
+			default: SYSTEMS.DATA.ITEM_WEIGHT_ATTRIBUTE,
+			type: String
+		},
+
 		[SETTINGS.PILE_DEFAULTS]: {
 			scope: "world",
 			config: false,
@@ -302,6 +326,34 @@ const SETTINGS = {
 			type: Array
 		},
 
+		[SETTINGS.LEDGER]: {
+			scope: "world",
+			config: false,
+			default: [],
+			type: Array
+		},
+
+		[SETTINGS.CLAIMS]: {
+			scope: "world",
+			config: false,
+			default: [],
+			type: Array
+		},
+
+		[SETTINGS.TRADE_OFFERS]: {
+			scope: "world",
+			config: false,
+			default: [],
+			type: Array
+		},
+
+		[SETTINGS.TRADE_TEMPLATES]: {
+			scope: "client",
+			config: false,
+			default: [],
+			type: Array
+		},
+
 		[SETTINGS.SYSTEM_VERSION]: {
 			scope: "world",
 			config: false,
@@ -420,6 +472,18 @@ const SETTINGS = {
 			type: Array
 		},
 
+		[SETTINGS.FACTIONS]: {
+			name: "ITEM-PILES.Settings.Factions.Title",
+			label: "ITEM-PILES.Settings.Factions.Label",
+			hint: "ITEM-PILES.Settings.Factions.Hint",
+			scope: "world",
+			icon: "fas fa-flag",
+			application: "factions",
+			config: false,
+			default: [],
+			type: Array
+		},
+
 		[SETTINGS.HIDE_TOKEN_BORDER]: {
 			name: "ITEM-PILES.Settings.HideTokenBorder.Title",
 			label: "ITEM-PILES.Settings.HideTokenBorder.Label",
@@ -435,6 +499,31 @@ const SETTINGS = {
 			type: String
 		},
 
+		[SETTINGS.LEDGER_MAX_ENTRIES]: {
+			name: "ITEM-PILES.Settings.LedgerMaxEntries.Title",
+			hint: "ITEM-PILES.Settings.LedgerMaxEntries.Hint",
+			scope: "world",
+			config: false,
+			default: 1000,
+			step: 1,
+			min: 0,
+			type: Number
+		},
+
+		[SETTINGS.ENCUMBRANCE_MODE]: {
+			name: "ITEM-PILES.Settings.EncumbranceMode.Title",
+			hint: "ITEM-PILES.Settings.EncumbranceMode.Hint",
+			scope: "world",
+			config: false,
+			default: SETTINGS.ENCUMBRANCE_MODE_OPTIONS.WARN,
+			choices: {
+				[SETTINGS.ENCUMBRANCE_MODE_OPTIONS.OFF]: "ITEM-PILES.Settings.EncumbranceMode.Off",
+				[SETTINGS.ENCUMBRANCE_MODE_OPTIONS.WARN]: "ITEM-PILES.Settings.EncumbranceMode.Warn",
+				[SETTINGS.ENCUMBRANCE_MODE_OPTIONS.BLOCK]: "ITEM-PILES.Settings.EncumbranceMode.Block"
+			},
+			type: String
+		},
+
 		[SETTINGS.INVERT_SHEET_OPEN]: {
 			name: "ITEM-PILES.Settings.InvertSheetOpen.Title",
 			hint: "ITEM-PILES.Settings.InvertSheetOpen.Hint",
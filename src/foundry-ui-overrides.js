@@ -1,11 +1,16 @@
 import * as Helpers from "./helpers/helpers.js";
 import * as PileUtilities from "./helpers/pile-utilities.js";
+import * as Utilities from "./helpers/utilities.js";
+import * as CraftingUtilities from "./helpers/crafting-utilities.js";
+import * as TradeOfferUtilities from "./helpers/trade-offer-utilities.js";
 import { isValidItemPile } from "./helpers/pile-utilities.js";
 import ItemPileConfig from "./applications/item-pile-config/item-pile-config.js";
 import ItemEditor from "./applications/item-editor/item-editor.js";
 import SETTINGS from "./constants/settings.js";
 import CONSTANTS from "./constants/constants.js";
 import UserSelectDialog from "./applications/dialogs/user-select-dialog/user-select-dialog.js";
+import CustomDialog from "./applications/components/CustomDialog.svelte";
+import { TJSDialog } from "#runtime/svelte/application";
 
 export let fastToolTip = null;
 
@@ -99,6 +104,22 @@ function insertActorContextMenuItems(html, menuItems) {
 			return Helpers.getSetting(SETTINGS.ENABLE_TRADING)
 				&& (game.user?.character !== actor || Array.from(game.users).find(u => u.character === actor && u.active));
 		}
+	}, {
+		name: "Item Piles: " + game.i18n.localize("ITEM-PILES.ContextMenu.SendTradeOffer"),
+		icon: `<i class="fas fa-paper-plane"></i>`,
+		callback: (html) => {
+			const actorId = html[0].dataset.documentId;
+			const actor = game.actors.get(actorId);
+			return game.itempiles.API.offerTrade(actor);
+		},
+		condition: (html) => {
+			const actorId = html[0].dataset.documentId;
+			const actor = game.actors.get(actorId);
+			const recipient = TradeOfferUtilities.getTradeOfferRecipient(actor);
+			return Helpers.getSetting(SETTINGS.ENABLE_TRADING)
+				&& !!Utilities.getUserCharacter()
+				&& recipient && recipient !== game.user && !recipient.active;
+		}
 	});
 }
 
@@ -122,10 +143,12 @@ function insertActorHeaderButtons(actorSheet, buttons) {
 
 function insertItemHeaderButtons(itemSheet, buttons) {
 
-	if (!game.user.isGM || Helpers.getSetting(SETTINGS.HIDE_ACTOR_HEADER_BUTTON)) return;
-
 	let obj = itemSheet?.object ?? itemSheet?.item;
 
+	insertCraftingHeaderButtons(obj, buttons);
+
+	if (!game.user.isGM || Helpers.getSetting(SETTINGS.HIDE_ACTOR_HEADER_BUTTON)) return;
+
 	buttons.unshift({
 		label: !Helpers.getSetting(SETTINGS.HIDE_ACTOR_HEADER_TEXT) ? game.i18n.localize("ITEM-PILES.HeaderButtons.Configure") : "",
 		icon: "fas fa-box-open",
@@ -145,6 +168,97 @@ function insertItemHeaderButtons(itemSheet, buttons) {
 	})
 }
 
+function insertCraftingHeaderButtons(item, buttons) {
+
+	const actor = item?.parent instanceof Actor ? item.parent : Utilities.getUserCharacter();
+	if (!actor?.isOwner) return;
+
+	const showText = !Helpers.getSetting(SETTINGS.HIDE_ACTOR_HEADER_TEXT);
+
+	if (item.parent === actor && CraftingUtilities.getBreakdownComponents(item).length) {
+		buttons.unshift({
+			label: showText ? game.i18n.localize("ITEM-PILES.Crafting.Breakdown") : "",
+			icon: "fas fa-recycle",
+			class: "item-piles-breakdown-button",
+			onclick: () => promptBreakdownItem(item, actor)
+		});
+	}
+
+	if (CraftingUtilities.getCraftingComponents(item).length) {
+		buttons.unshift({
+			label: showText ? game.i18n.localize("ITEM-PILES.Crafting.Craft") : "",
+			icon: "fas fa-hammer",
+			class: "item-piles-craft-button",
+			onclick: () => promptCraftItem(item, actor)
+		});
+	}
+
+}
+
+async function promptCraftItem(item, actor) {
+
+	const requirements = CraftingUtilities.getComponentRequirements(actor, CraftingUtilities.getCraftingComponents(item));
+	if (!requirements.every(requirement => requirement.hasEnough)) {
+		return Helpers.custom_warning(game.i18n.format("ITEM-PILES.Crafting.MissingComponents", {
+			actor_name: actor.name, item_name: item.name
+		}), true);
+	}
+
+	const doCraft = await TJSDialog.confirm({
+		title: "Item Piles",
+		content: {
+			class: CustomDialog,
+			props: {
+				icon: "fas fa-hammer",
+				header: game.i18n.format("ITEM-PILES.Crafting.CraftTitle", { item_name: item.name }),
+				content: [
+					game.i18n.format("ITEM-PILES.Crafting.Requires", { quantity: 1, item_name: item.name }),
+					...requirements.map(requirement => `${requirement.required}x ${requirement.component.name}`)
+				]
+			}
+		},
+		modal: true
+	});
+	if (!doCraft) return;
+
+	const result = await game.itempiles.API.craftItem(actor, item, 1);
+	if (!result) return;
+
+	Helpers.custom_notify(game.i18n.format("ITEM-PILES.Crafting.Crafted", {
+		actor_name: actor.name, quantity: 1, item_name: item.name
+	}));
+
+}
+
+async function promptBreakdownItem(item, actor) {
+
+	const doBreakdown = await TJSDialog.confirm({
+		title: "Item Piles",
+		content: {
+			class: CustomDialog,
+			props: {
+				icon: "fas fa-recycle",
+				header: game.i18n.format("ITEM-PILES.Crafting.BreakdownTitle", { item_name: item.name }),
+				content: [
+					game.i18n.format("ITEM-PILES.Crafting.Yields", { quantity: 1, item_name: item.name }),
+					...CraftingUtilities.getBreakdownComponents(item).map(component => `${component.quantity}x ${component.name}`)
+				]
+			}
+		},
+		modal: true
+	});
+	if (!doBreakdown) return;
+
+	const itemName = item.name;
+	const result = await game.itempiles.API.breakdownItem(actor, item, 1);
+	if (!result) return;
+
+	Helpers.custom_notify(game.i18n.format("ITEM-PILES.Crafting.BrokeDown", {
+		actor_name: actor.name, quantity: 1, item_name: itemName
+	}));
+
+}
+
 function renderPileHUD(app, html) {
 
 	const document = app?.object?.document;
@@ -0,0 +1,117 @@
+import CONSTANTS from "../constants/constants.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+
+export function getAuctionLots(auctioneer) {
+	const lots = foundry.utils.getProperty(Utilities.getActor(auctioneer), CONSTANTS.FLAGS.AUCTION_LOTS) ?? {};
+	return Object.values(foundry.utils.deepClone(lots)).sort((a, b) => a.expires - b.expires);
+}
+
+export function getAuctionLot(auctioneer, lotId) {
+	return getAuctionLots(auctioneer).find(lot => lot.id === lotId) ?? false;
+}
+
+/**
+ * Gets the current time in milliseconds, either from the world's game time or from the real world clock
+ *
+ * @param {boolean} useWorldTime
+ * @returns {number}
+ */
+export function getAuctionTime(useWorldTime) {
+	return useWorldTime ? game.time.worldTime * 1000 : Date.now();
+}
+
+/**
+ * Gets the value of a currency string in the auctioneer's primary currency, or 0 if it is empty
+ *
+ * @param {Actor} auctioneer
+ * @param {string} currencies
+ * @returns {number}
+ */
+export function getCurrencyValue(auctioneer, currencies) {
+	if (!currencies) return 0;
+	return PileUtilities.getPriceFromString(currencies, PileUtilities.getCurrencyList(auctioneer)).overallCost;
+}
+
+export function getCurrencyString(auctioneer, value) {
+	const currencyList = PileUtilities.getCurrencyList(auctioneer).filter(currency => !currency.secondary);
+	return PileUtilities.getStringFromCurrencies(PileUtilities.getPriceArray(value, currencyList));
+}
+
+export function createAuctionLot(auctioneer, seller, {
+	item, quantity, startingBid, buyout = "", reserve = "", duration
+} = {}) {
+	const pileData = PileUtilities.getActorFlagData(auctioneer);
+	const sellerActor = Utilities.getActor(seller);
+	const itemData = item instanceof Item ? item.toObject() : foundry.utils.deepClone(item);
+	Utilities.setItemQuantity(itemData, quantity);
+	const created = getAuctionTime(pileData.auctionUseWorldTime);
+	return {
+		id: foundry.utils.randomID(),
+		item: itemData,
+		quantity,
+		sellerUuid: Utilities.getUuid(sellerActor),
+		sellerName: sellerActor.name,
+		startingBid: getCurrencyValue(auctioneer, startingBid),
+		buyout: getCurrencyValue(auctioneer, buyout),
+		reserve: getCurrencyValue(auctioneer, reserve),
+		useWorldTime: pileData.auctionUseWorldTime,
+		created,
+		expires: created + (duration * 3600000),
+		bids: []
+	};
+}
+
+export function updateAuctionLot(auctioneer, lot) {
+	return Utilities.getActor(auctioneer).update({
+		[`${CONSTANTS.FLAGS.AUCTION_LOTS}.${lot.id}`]: lot
+	});
+}
+
+export function removeAuctionLot(auctioneer, lotId) {
+	return Utilities.getActor(auctioneer).update({
+		[`${CONSTANTS.FLAGS.AUCTION_LOTS}.-=${lotId}`]: null
+	});
+}
+
+export function getHighestBid(lot) {
+	return lot.bids[lot.bids.length - 1] ?? false;
+}
+
+/**
+ * Whether a bid of the given value would be accepted on a lot - the first bid must meet the starting bid, and every
+ * bid after that must be higher than the current highest bid
+ *
+ * @param {object} lot
+ * @param {number} value
+ * @returns {boolean}
+ */
+export function isValidBid(lot, value) {
+	const highestBid = getHighestBid(lot);
+	if (!highestBid) return value > 0 && value >= lot.startingBid;
+	return value > highestBid.value;
+}
+
+export function isBuyout(lot, value) {
+	return lot.buyout > 0 && value >= lot.buyout;
+}
+
+export function getLotTimeLeft(lot) {
+	return Math.max(0, lot.expires - getAuctionTime(lot.useWorldTime));
+}
+
+export function isLotExpired(lot) {
+	return getLotTimeLeft(lot) <= 0;
+}
+
+export function getTimeLeftString(milliseconds) {
+	const totalMinutes = Math.ceil(milliseconds / 60000);
+	const days = Math.floor(totalMinutes / 1440);
+	const hours = Math.floor((totalMinutes % 1440) / 60);
+	const minutes = totalMinutes % 60;
+	return [
+		days ? `${days}d` : "",
+		hours ? `${hours}h` : "",
+		minutes || (!days && !hours) ? `${minutes}m` : ""
+	].filter(Boolean).join(" ");
+}
@@ -0,0 +1,115 @@
+import CONSTANTS from "../constants/constants.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+import * as Helpers from "./helpers.js";
+
+export function getBankAccounts(banker) {
+	return foundry.utils.getProperty(Utilities.getActor(banker), CONSTANTS.FLAGS.BANK_ACCOUNTS) ?? {};
+}
+
+export function getBankAccount(banker, actor) {
+	const actorDocument = Utilities.getActor(actor);
+	if (!actorDocument) return false;
+	return getBankAccounts(banker)[actorDocument.id] ?? false;
+}
+
+export function createBankAccount(actor) {
+	const actorDocument = Utilities.getActor(actor);
+	return {
+		actorUuid: Utilities.getUuid(actorDocument),
+		name: actorDocument.name,
+		opened: Date.now(),
+		value: 0,
+		items: []
+	};
+}
+
+export function updateBankAccount(banker, actor, account) {
+	const actorDocument = Utilities.getActor(actor);
+	return Utilities.getActor(banker).update({
+		[`${CONSTANTS.FLAGS.BANK_ACCOUNTS}.${actorDocument.id}`]: account
+	});
+}
+
+/**
+ * Gets the balance of a bank account, with its currency value broken down into the banker's currencies
+ *
+ * @param {Actor} banker
+ * @param {object} account
+ * @returns {{value: number, currencies: Array<object>, string: string, items: Array<object>}}
+ */
+export function getAccountBalance(banker, account) {
+	const currencyList = PileUtilities.getCurrencyList(banker).filter(currency => !currency.secondary);
+	const currencies = PileUtilities.getPriceArray(account.value, currencyList).filter(currency => currency.cost);
+	return {
+		value: account.value,
+		currencies,
+		string: PileUtilities.getStringFromCurrencies(currencies),
+		items: account.items
+	};
+}
+
+export function addItemsToAccount(account, itemDeltas) {
+	const items = foundry.utils.deepClone(account.items);
+	for (const { item, quantity } of itemDeltas) {
+		const similarItem = Utilities.findSimilarItem(items, item);
+		if (similarItem && PileUtilities.canItemStack(similarItem)) {
+			Utilities.setItemQuantity(similarItem, Utilities.getItemQuantity(similarItem) + Math.abs(quantity));
+			continue;
+		}
+		const itemData = foundry.utils.deepClone(item);
+		if (!itemData._id || items.some(existingItem => existingItem._id === itemData._id)) {
+			itemData._id = foundry.utils.randomID();
+		}
+		Utilities.setItemQuantity(itemData, Math.abs(quantity));
+		items.push(itemData);
+	}
+	return items;
+}
+
+export function removeItemsFromAccount(account, itemsToRemove) {
+	return foundry.utils.deepClone(account.items).map(item => {
+		const itemToRemove = itemsToRemove.find(entry => entry._id === item._id);
+		if (!itemToRemove) return item;
+		return Utilities.setItemQuantity(item, Utilities.getItemQuantity(item) - itemToRemove.quantity);
+	}).filter(item => Utilities.getItemQuantity(item) > 0);
+}
+
+/**
+ * Applies the banker's interest and fee rates to a bank account's currency value for a number of days
+ *
+ * @param {object} account
+ * @param {object} pileData
+ * @param {number} days
+ * @returns {number}
+ */
+export function getValueAfterRates(account, pileData, days) {
+	const dailyRate = (pileData.bankInterestRate - pileData.bankFeeRate) / 100;
+	return Math.max(0, account.value * Math.pow(1 + dailyRate, days));
+}
+
+/**
+ * Turns the result of a currency dialog into a currency string (eg, "5gp 25sp") based on the actor's currencies
+ *
+ * @param {Actor} actor
+ * @param {object} attributes
+ * @param {Array<object>} items
+ * @returns {string}
+ */
+export function getCurrencyString(actor, { attributes = {}, items = [] } = {}) {
+	const actorCurrencies = PileUtilities.getActorCurrencies(actor, { getAll: true });
+	const prices = Object.entries(attributes).map(([path, quantity]) => {
+		const currency = actorCurrencies.find(currency => currency.path === path);
+		return { cost: quantity, abbreviation: currency?.abbreviation };
+	}).concat(items.map(entry => {
+		const currency = entry._id
+			? actorCurrencies.find(currency => currency.id === entry._id)
+			: actorCurrencies.find(currency => currency.data?.item?.name === entry.item?.name);
+		return { cost: entry.quantity, abbreviation: currency?.abbreviation };
+	})).filter(price => price.cost && price.abbreviation);
+	return PileUtilities.getStringFromCurrencies(prices);
+}
+
+export function canAffordWithdrawal(account, value) {
+	return Helpers.roundToDecimals(account.value - value, 5) >= 0;
+}
@@ -0,0 +1,117 @@
+import * as Helpers from "./helpers.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+import * as EscrowUtilities from "./escrow-utilities.js";
+import SETTINGS from "../constants/settings.js";
+
+let claimQueue = Promise.resolve();
+
+export function getClaims() {
+	return Helpers.getSetting(SETTINGS.CLAIMS) ?? [];
+}
+
+export function getClaim(claimId) {
+	return getClaims().find(claim => claim.id === claimId);
+}
+
+/**
+ * Determines whether a user taking something out of the given source has to wait for a GM to approve it first
+ *
+ * @param {string} sourceUuid
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function requiresApproval(sourceUuid, userId) {
+	const user = game.users.get(userId);
+	if (!user || user.isGM) return false;
+	const sourceActor = Utilities.getActor(sourceUuid);
+	if (!PileUtilities.isItemPileLootable(sourceActor)) return false;
+	return !!PileUtilities.getActorFlagData(sourceActor).requireApproval;
+}
+
+/**
+ * Creates a claim for the given items and attributes, snapshotting their names and images so that the claim can
+ * still be displayed if the source changes while it is waiting in the queue
+ *
+ * @param {string} sourceUuid
+ * @param {string} targetUuid
+ * @param {string} userId
+ * @param {Array<object>} [items=[]]
+ * @param {Array<string>/object} [attributes={}]
+ * @param {string/boolean} [interactionId=false]
+ * @param {string/boolean} [containerId=false]
+ * @returns {object}
+ */
+export function createClaim(sourceUuid, targetUuid, userId, {
+	items = [], attributes = {}, interactionId = false, containerId = false
+} = {}) {
+
+	const sourceActor = Utilities.getActor(sourceUuid);
+	const targetActor = Utilities.getActor(targetUuid);
+
+	const claimItems = items.map(data => {
+		const item = sourceActor.items.get(data._id ?? data.id);
+		if (!item) return false;
+		return {
+			_id: item.id,
+			name: item.name,
+			img: item.img,
+			quantity: Math.min(
+				Math.max(0, data.quantity ?? Utilities.getItemQuantity(item)),
+				EscrowUtilities.getAvailableItemQuantity(item)
+			)
+		};
+	}).filter(item => item?.quantity);
+
+	const attributeEntries = Array.isArray(attributes)
+		? attributes.map(path => [path, Number(foundry.utils.getProperty(sourceActor, path) ?? 0)])
+		: Object.entries(attributes);
+
+	const currencyList = PileUtilities.getCurrencyList(sourceActor);
+	const claimAttributes = attributeEntries.map(([path, quantity]) => {
+		const currency = currencyList.find(currency => currency.type === "attribute" && currency.data.path === path);
+		return {
+			path,
+			name: currency?.name ?? path,
+			img: currency?.img ?? "",
+			quantity: Math.min(
+				Math.max(0, Number(quantity) || 0),
+				EscrowUtilities.getAvailableAttributeQuantity(sourceActor, path)
+			)
+		};
+	}).filter(attribute => attribute.quantity);
+
+	return {
+		id: foundry.utils.randomID(),
+		interactionId: interactionId || foundry.utils.randomID(),
+		user: userId,
+		source: { uuid: sourceUuid, name: sourceActor?.name ?? "" },
+		target: { uuid: targetUuid, name: targetActor?.name ?? "" },
+		items: claimItems,
+		attributes: claimAttributes,
+		containerId,
+		date: Date.now()
+	};
+
+}
+
+export function addClaim(claim) {
+	return updateClaims(claims => claims.concat(claim));
+}
+
+export function updateClaim(claim) {
+	return updateClaims(claims => claims.map(other => other.id === claim.id ? claim : other));
+}
+
+export function removeClaim(claimId) {
+	return updateClaims(claims => claims.filter(claim => claim.id !== claimId));
+}
+
+function updateClaims(callback) {
+	claimQueue = claimQueue.then(() => {
+		return Helpers.setSetting(SETTINGS.CLAIMS, callback(getClaims()));
+	}).catch(err => {
+		Helpers.custom_warning(`Failed to update the claim queue: ${err}`);
+	});
+	return claimQueue;
+}
@@ -0,0 +1,86 @@
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+
+/**
+ * Gets the crafting components of an item, as defined in its item pile flags
+ *
+ * @param {Item/object} item
+ * @returns {Array<object>}
+ */
+export function getCraftingComponents(item) {
+	return PileUtilities.getItemFlagData(item).craftingComponents ?? [];
+}
+
+/**
+ * Gets the components that an item breaks down into, as defined in its item pile flags
+ *
+ * @param {Item/object} item
+ * @returns {Array<object>}
+ */
+export function getBreakdownComponents(item) {
+	return PileUtilities.getItemFlagData(item).breakdownComponents ?? [];
+}
+
+/**
+ * Determines how many of each component an actor needs for a given quantity, how many they have, and which of their
+ * items would be consumed to cover the cost. An item can match more than one component, so what it has been used for
+ * already is not counted again, and the components that match the fewest items get to use them first.
+ *
+ * @param {Actor} actor
+ * @param {Array<object>} components
+ * @param {number} quantity
+ * @returns {Array<object>}
+ */
+export function getComponentRequirements(actor, components, quantity = 1) {
+	const actorItems = PileUtilities.getActorItems(actor);
+	const usedQuantities = new Map();
+	const getAvailableQuantity = (item) => Utilities.getItemQuantity(item) - (usedQuantities.get(item.id) ?? 0);
+
+	const matches = components.map((component, index) => ({
+		component,
+		index,
+		similarItems: component.data?.item
+			? Utilities.findSimilarItem(actorItems, component.data.item, { returnOne: false })
+			: []
+	}));
+
+	const requirements = [];
+	for (const { component, index, similarItems } of matches.slice().sort((a, b) => a.similarItems.length - b.similarItems.length)) {
+		const required = Math.max(0, component.quantity ?? 1) * quantity;
+		const owned = similarItems.reduce((acc, item) => acc + getAvailableQuantity(item), 0);
+		let remaining = required;
+		const itemsToRemove = [];
+		for (const item of similarItems) {
+			if (remaining <= 0) break;
+			const itemQuantity = getAvailableQuantity(item);
+			if (itemQuantity <= 0) continue;
+			const quantityToRemove = Math.min(itemQuantity, remaining);
+			itemsToRemove.push({ item, quantity: quantityToRemove });
+			usedQuantities.set(item.id, (usedQuantities.get(item.id) ?? 0) + quantityToRemove);
+			remaining -= quantityToRemove;
+		}
+		requirements[index] = {
+			component,
+			required,
+			owned,
+			itemsToRemove,
+			hasEnough: remaining <= 0
+		};
+	}
+
+	return requirements;
+}
+
+/**
+ * Determines whether an actor has all the components required to craft a given quantity of an item
+ *
+ * @param {Actor} actor
+ * @param {Item/object} item
+ * @param {number} quantity
+ * @returns {boolean}
+ */
+export function canCraftItem(actor, item, quantity = 1) {
+	const components = getCraftingComponents(item);
+	if (!components.length) return false;
+	return getComponentRequirements(actor, components, quantity).every(requirement => requirement.hasEnough);
+}
@@ -0,0 +1,173 @@
+import * as Helpers from "./helpers.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+import SETTINGS from "../constants/settings.js";
+import { SYSTEMS } from "../systems.js";
+
+/**
+ * Gets the weight of a single unit of an item, based on the system's item weight attribute
+ *
+ * @param {Item/object} item
+ * @returns {number}
+ */
+export function getItemWeight(item) {
+	const weightAttribute = game.itempiles.API.ITEM_WEIGHT_ATTRIBUTE;
+	if (!weightAttribute) return 0;
+	const itemData = item instanceof Item ? item.toObject() : item;
+	return Math.max(0, Number(foundry.utils.getProperty(itemData, weightAttribute)) || 0);
+}
+
+/**
+ * Gets the total weight of a list of items, which can either be items or objects containing an item and a quantity
+ *
+ * @param {Array<Item/object>} items
+ * @returns {number}
+ */
+export function getItemsWeight(items) {
+	return items.reduce((acc, data) => {
+		const item = data?.item ?? data;
+		const quantity = data?.quantity ?? Utilities.getItemQuantity(item);
+		return acc + getItemWeight(item) * Math.max(0, quantity);
+	}, 0);
+}
+
+/**
+ * Gets how much an actor is currently carrying, and how much it can carry at most, as determined by the system's
+ * actor capacity handler
+ *
+ * @param {Actor} actor
+ * @returns {boolean/{ value: number, max: number, remaining: number }}
+ */
+export function getActorCapacity(actor) {
+	if (!SYSTEMS.DATA.ACTOR_CAPACITY || !actor || PileUtilities.isValidItemPile(actor)) return false;
+	const capacity = SYSTEMS.DATA.ACTOR_CAPACITY({ actor });
+	if (capacity === false || capacity === null || capacity === undefined) return false;
+	const max = Number(typeof capacity === "object" ? capacity.max : capacity);
+	if (!Number.isFinite(max)) return false;
+	const value = typeof capacity === "object" && capacity.value !== undefined
+		? Number(capacity.value) || 0
+		: getItemsWeight(Array.from(actor.items));
+	return { value, max, remaining: Math.max(0, max - value) };
+}
+
+/**
+ * Determines whether an actor can receive the given items based on the encumbrance setting. When the setting is set to
+ * warn, a warning is shown but the items are still allowed through.
+ *
+ * @param {Actor} actor
+ * @param {Array<Item/object>} items
+ * @param {boolean} [warn=true] Whether to show the warning when the setting is set to warn
+ * @returns {boolean}
+ */
+export function canActorCarryItems(actor, items, { warn = true } = {}) {
+	const mode = Helpers.getSetting(SETTINGS.ENCUMBRANCE_MODE);
+	if (mode === SETTINGS.ENCUMBRANCE_MODE_OPTIONS.OFF) return true;
+	const capacity = getActorCapacity(actor);
+	if (!capacity) return true;
+	const incomingWeight = getItemsWeight(items);
+	if (!incomingWeight || capacity.value + incomingWeight <= capacity.max) return true;
+	if (mode === SETTINGS.ENCUMBRANCE_MODE_OPTIONS.BLOCK) return false;
+	if (!warn) return true;
+	Helpers.custom_warning(game.i18n.format("ITEM-PILES.Warnings.OverCapacity", {
+		actor_name: actor.name,
+		weight: Helpers.roundToDecimals(incomingWeight, 2),
+		remaining: Helpers.roundToDecimals(capacity.remaining, 2)
+	}), true);
+	return true;
+}
+
+/**
+ * Gets the bulk of a single unit of an item, based on the given attribute path
+ *
+ * @param {Item/object} item
+ * @param {string} bulkAttribute
+ * @returns {number}
+ */
+export function getItemBulk(item, bulkAttribute) {
+	if (!bulkAttribute) return 0;
+	const itemData = item instanceof Item ? item.toObject() : item;
+	return Math.max(0, Number(foundry.utils.getProperty(itemData, bulkAttribute)) || 0);
+}
+
+/**
+ * Gets the total of a list of items for a given type of item pile capacity
+ *
+ * @param {Array<Item/object>} items
+ * @param {string} type
+ * @param {object} pileData
+ * @returns {number}
+ */
+function getItemsCapacityValue(items, type, pileData) {
+	return items.reduce((acc, data) => {
+		const item = data?.item ?? data;
+		const quantity = Math.max(0, data?.quantity ?? Utilities.getItemQuantity(item));
+		switch (type) {
+			case "weight":
+				return acc + getItemWeight(item) * quantity;
+			case "bulk":
+				return acc + getItemBulk(item, pileData.bulkAttribute) * quantity;
+			default:
+				return acc + quantity;
+		}
+	}, 0);
+}
+
+/**
+ * Gets the limits configured on a pile or container, and how much of each limit its current contents take up
+ *
+ * @param {Actor/TokenDocument} target
+ * @param {object/boolean} [pileData=false]
+ * @returns {Array<{ type: string, value: number, max: number }>}
+ */
+export function getItemPileCapacity(target, { pileData = false } = {}) {
+	const targetActor = Utilities.getActor(target);
+	if (!targetActor) return [];
+	pileData = PileUtilities.getActorFlagData(targetActor, { data: pileData });
+	if (!PileUtilities.isItemPileLootable(targetActor, pileData)) return [];
+	const limits = {
+		items: Number(pileData.maxItems) || 0,
+		weight: game.itempiles.API.ITEM_WEIGHT_ATTRIBUTE ? Number(pileData.maxWeight) || 0 : 0,
+		bulk: pileData.bulkAttribute ? Number(pileData.maxBulk) || 0 : 0
+	};
+	const items = PileUtilities.getActorItems(targetActor);
+	return Object.entries(limits)
+		.filter(([, max]) => max > 0)
+		.map(([type, max]) => ({ type, max, value: getItemsCapacityValue(items, type, pileData) }));
+}
+
+/**
+ * Determines which of a pile or container's limits would be exceeded if the given items were added to it, if any
+ *
+ * @param {Actor/TokenDocument} target
+ * @param {Array<Item/object>} items
+ * @param {object/boolean} [pileData=false]
+ * @returns {boolean/{ type: string, value: number, max: number, incoming: number }}
+ */
+export function getExceededItemPileCapacity(target, items, { pileData = false } = {}) {
+	const targetActor = Utilities.getActor(target);
+	if (!targetActor) return false;
+	pileData = PileUtilities.getActorFlagData(targetActor, { data: pileData });
+	const incomingItems = items.filter(data => !PileUtilities.isItemCurrency(data?.item ?? data, { target: targetActor }));
+	for (const capacity of getItemPileCapacity(targetActor, { pileData })) {
+		const incoming = getItemsCapacityValue(incomingItems, capacity.type, pileData);
+		if (incoming > 0 && capacity.value + incoming > capacity.max) {
+			return { ...capacity, incoming };
+		}
+	}
+	return false;
+}
+
+/**
+ * Localizes the warning for when items do not fit within a pile or container's limits
+ *
+ * @param {Actor} target
+ * @param {object} capacity
+ * @returns {string}
+ */
+export function getItemPileCapacityWarning(target, capacity) {
+	return game.i18n.format("ITEM-PILES.Errors.PileCapacityExceeded", {
+		name: target.name,
+		limit: game.i18n.localize(`ITEM-PILES.Inspect.Capacity.${capacity.type}`),
+		remaining: Helpers.roundToDecimals(Math.max(0, capacity.max - capacity.value), 2)
+	});
+}
@@ -0,0 +1,144 @@
+import CONSTANTS from "../constants/constants.js";
+import ItemPileSocket from "../socket.js";
+import * as Utilities from "./utilities.js";
+
+/**
+ * Gets the escrows on an actor, which are the items and attributes reserved for a trade, give, trade offer, or claim
+ * that has not been settled yet, oldest first
+ *
+ * @param {Actor/TokenDocument/string} target
+ * @returns {Array<object>}
+ */
+export function getEscrows(target) {
+	const actor = Utilities.getActor(target);
+	if (!actor) return [];
+	const escrows = foundry.utils.getProperty(actor, CONSTANTS.FLAGS.ESCROW) ?? {};
+	return Object.values(foundry.utils.deepClone(escrows)).sort((a, b) => a.date - b.date);
+}
+
+export function getEscrow(target, escrowId) {
+	return getEscrows(target).find(escrow => escrow.id === escrowId);
+}
+
+/**
+ * Gets how much of each item and attribute on an actor is held in escrow
+ *
+ * @param {Actor/TokenDocument/string} target
+ * @param {Array<string>} [ignore=[]]       The IDs of escrows to leave out, such as the ones being released
+ * @returns {{ items: object, attributes: object }}
+ */
+export function getEscrowedQuantities(target, { ignore = [] } = {}) {
+	const quantities = { items: {}, attributes: {} };
+	for (const escrow of getEscrows(target)) {
+		if (ignore.includes(escrow.id)) continue;
+		for (const entry of escrow.items) {
+			quantities.items[entry._id] = (quantities.items[entry._id] ?? 0) + entry.quantity;
+		}
+		for (const entry of escrow.attributes) {
+			quantities.attributes[entry.path] = (quantities.attributes[entry.path] ?? 0) + entry.quantity;
+		}
+	}
+	return quantities;
+}
+
+/**
+ * Gets how much of an item can still be used, which is its quantity minus what is held in escrow
+ *
+ * @param {Item} item
+ * @param {Array<string>} [ignore=[]]
+ * @returns {number}
+ */
+export function getAvailableItemQuantity(item, { ignore = [] } = {}) {
+	const escrowed = item.parent ? (getEscrowedQuantities(item.parent, { ignore }).items[item.id] ?? 0) : 0;
+	return Math.max(0, Utilities.getItemQuantity(item) - escrowed);
+}
+
+/**
+ * Gets how much of an attribute on an actor can still be used, which is its value minus what is held in escrow
+ *
+ * @param {Actor/TokenDocument/string} target
+ * @param {string} path
+ * @param {Array<string>} [ignore=[]]
+ * @returns {number}
+ */
+export function getAvailableAttributeQuantity(target, path, { ignore = [] } = {}) {
+	const actor = Utilities.getActor(target);
+	const escrowed = getEscrowedQuantities(actor, { ignore }).attributes[path] ?? 0;
+	return Math.max(0, Number(foundry.utils.getProperty(actor, path) ?? 0) - escrowed);
+}
+
+/**
+ * Creates an escrow for the given items and attributes
+ *
+ * @param {string} type                                     One of CONSTANTS.ESCROW_TYPES
+ * @param {string} userId
+ * @param {string/boolean} [id=false]                       Defaults to a random ID
+ * @param {Array<{ _id: string, quantity: number }>} [items=[]]
+ * @param {Array<{ path: string, quantity: number }>} [attributes=[]]
+ * @param {string/boolean} [reference=false]               What the escrow is for, such as the ID of a trade
+ * @returns {object}
+ */
+export function createEscrow(type, userId, { id = false, items = [], attributes = [], reference = false } = {}) {
+	return {
+		id: id || foundry.utils.randomID(),
+		type,
+		user: userId,
+		reference,
+		items: items.filter(entry => entry.quantity > 0),
+		attributes: attributes.filter(entry => entry.quantity > 0),
+		date: Date.now()
+	};
+}
+
+/**
+ * Adds an escrow to an actor, replacing any existing escrow with the same ID
+ *
+ * @param {Actor/TokenDocument/string} target
+ * @param {object} escrow
+ * @returns {Promise}
+ */
+export function addEscrow(target, escrow) {
+	return updateEscrows(target, {
+		[`${CONSTANTS.FLAGS.ESCROW}.${escrow.id}`]: escrow
+	});
+}
+
+/**
+ * Releases an escrow on an actor, without moving anything that was held in it
+ *
+ * @param {Actor/TokenDocument/string} target
+ * @param {string} escrowId
+ * @returns {Promise}
+ */
+export function removeEscrow(target, escrowId) {
+	if (!getEscrow(target, escrowId)) return Promise.resolve();
+	return updateEscrows(target, {
+		[`${CONSTANTS.FLAGS.ESCROW}.-=${escrowId}`]: null
+	});
+}
+
+/**
+ * Releases the trade and give escrows the current user left behind on their actors, which can only happen if they
+ * disconnected before the trade or give was settled
+ *
+ * @returns {Promise}
+ */
+export async function releaseStaleEscrows() {
+	const staleTypes = [CONSTANTS.ESCROW_TYPES.TRADE, CONSTANTS.ESCROW_TYPES.GIVE];
+	for (const actor of game.actors.filter(actor => actor.isOwner)) {
+		for (const escrow of getEscrows(actor)) {
+			if (escrow.user !== game.user.id || !staleTypes.includes(escrow.type)) continue;
+			await removeEscrow(actor, escrow.id);
+		}
+	}
+}
+
+function updateEscrows(target, update) {
+	const actor = Utilities.getActor(target);
+	if (actor.isOwner) {
+		return actor.update(update);
+	}
+	return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.COMMIT_DOCUMENT_CHANGES, Utilities.getUuid(actor), {
+		documentChanges: update
+	});
+}
@@ -0,0 +1,98 @@
+import * as Helpers from "./helpers.js";
+import * as Utilities from "./utilities.js";
+import CONSTANTS from "../constants/constants.js";
+import SETTINGS from "../constants/settings.js";
+
+/**
+ * Gets all of the factions configured in the module's settings
+ *
+ * @returns {Array<object>}
+ */
+export function getFactions() {
+	return Helpers.getSetting(SETTINGS.FACTIONS) ?? [];
+}
+
+/**
+ * Finds a faction by its ID or its name
+ *
+ * @param {string} faction
+ * @returns {object/undefined}
+ */
+export function getFaction(faction) {
+	if (!faction) return undefined;
+	if (typeof faction === "object") return faction;
+	const factions = getFactions();
+	return factions.find(entry => entry.id === faction)
+		?? factions.find(entry => entry.name.toLowerCase() === faction.toLowerCase());
+}
+
+/**
+ * Gets an actor's reputation with every faction, keyed by faction ID
+ *
+ * @param {Actor} actor
+ * @returns {object}
+ */
+export function getActorReputations(actor) {
+	const actorDocument = Utilities.getActor(actor);
+	return foundry.utils.deepClone(foundry.utils.getProperty(actorDocument ?? {}, CONSTANTS.FLAGS.REPUTATION) ?? {});
+}
+
+/**
+ * Gets an actor's reputation with a single faction
+ *
+ * @param {Actor} actor
+ * @param {string/object} faction
+ * @returns {number}
+ */
+export function getActorReputation(actor, faction) {
+	const factionData = getFaction(faction);
+	if (!factionData) return 0;
+	return Number(getActorReputations(actor)[factionData.id] ?? 0);
+}
+
+/**
+ * Works out the price modifiers a faction grants for a given reputation. The faction's curve is a list of reputation
+ * points with the modifiers at each point, and reputations between points are linearly interpolated. Reputations
+ * beyond either end of the curve use the modifiers of the closest point.
+ *
+ * @param {string/object} faction
+ * @param {number} reputation
+ * @returns {{buyPriceModifier: number, sellPriceModifier: number}}
+ */
+export function getFactionPriceModifiers(faction, reputation = 0) {
+
+	const factionData = getFaction(faction);
+	const curve = (factionData?.curve ?? [])
+		.map(point => ({
+			reputation: Number(point.reputation),
+			buyPriceModifier: Number(point.buyPriceModifier ?? 1),
+			sellPriceModifier: Number(point.sellPriceModifier ?? 1)
+		}))
+		.sort((a, b) => a.reputation - b.reputation);
+
+	if (!curve.length) {
+		return { buyPriceModifier: 1, sellPriceModifier: 1 };
+	}
+
+	const first = curve[0];
+	const last = curve[curve.length - 1];
+
+	if (reputation <= first.reputation) {
+		return { buyPriceModifier: first.buyPriceModifier, sellPriceModifier: first.sellPriceModifier };
+	}
+
+	if (reputation >= last.reputation) {
+		return { buyPriceModifier: last.buyPriceModifier, sellPriceModifier: last.sellPriceModifier };
+	}
+
+	const upperIndex = curve.findIndex(point => point.reputation >= reputation);
+	const lower = curve[upperIndex - 1];
+	const upper = curve[upperIndex];
+	const progress = (reputation - lower.reputation) / (upper.reputation - lower.reputation);
+
+	return {
+		buyPriceModifier: lower.buyPriceModifier + (upper.buyPriceModifier - lower.buyPriceModifier) * progress,
+		sellPriceModifier: lower.sellPriceModifier + (upper.sellPriceModifier - lower.sellPriceModifier) * progress
+	};
+
+}
@@ -0,0 +1,58 @@
+import * as PileUtilities from "./pile-utilities.js";
+import { SYSTEMS } from "../systems.js";
+
+/**
+ * Determines whether an item is identified, based on the system's identification handler. Systems without one treat
+ * every item as identified.
+ *
+ * @param {Item/object} item
+ * @returns {boolean}
+ */
+export function isItemIdentified(item) {
+	if (!SYSTEMS.DATA.IS_ITEM_IDENTIFIED || !item) return true;
+	return SYSTEMS.DATA.IS_ITEM_IDENTIFIED({ item }) !== false;
+}
+
+/**
+ * Determines whether an item's true name, image, and description should be hidden from the current user
+ *
+ * @param {Item/object} item
+ * @returns {boolean}
+ */
+export function isItemIdentityHidden(item) {
+	return !game.user.isGM && !isItemIdentified(item);
+}
+
+/**
+ * Gets what the current user should see of an item, which is the unidentified name, image, and description from the
+ * system's handler if the item is unidentified and the user is not a GM
+ *
+ * @param {Item/object} item
+ * @returns {{ name: string, img: string, description: string, identified: boolean }}
+ */
+export function getItemDisplayData(item) {
+	const description = foundry.utils.getProperty(item, "system.description.value") ?? "";
+	if (!isItemIdentityHidden(item)) {
+		return { name: item.name, img: item.img, description, identified: true };
+	}
+	const unidentifiedData = SYSTEMS.DATA.UNIDENTIFIED_ITEM_DATA?.({ item }) ?? {};
+	return {
+		name: unidentifiedData.name || game.i18n.localize("ITEM-PILES.Identification.UnidentifiedItem"),
+		img: unidentifiedData.img || item.img,
+		description: unidentifiedData.description ?? "",
+		identified: false
+	};
+}
+
+/**
+ * Gets the price a merchant charges to identify an item, if it offers that service
+ *
+ * @param {Actor} merchant
+ * @param {object/boolean} [pileData=false]
+ * @returns {string/boolean}
+ */
+export function getIdentifyServicePrice(merchant, { pileData = false } = {}) {
+	pileData = PileUtilities.getActorFlagData(merchant, { data: pileData });
+	if (!PileUtilities.isItemPileMerchant(merchant, pileData) || !pileData.identifyServiceEnabled) return false;
+	return pileData.identifyServicePrice || "";
+}
@@ -0,0 +1,189 @@
+import * as Helpers from "./helpers.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+import SETTINGS from "../constants/settings.js";
+
+export const REVERT_ENTRY_TYPE = "revertInteraction";
+
+let ledgerQueue = Promise.resolve();
+
+export function getLedger() {
+	return Helpers.getSetting(SETTINGS.LEDGER) ?? [];
+}
+
+export function clearLedger() {
+	ledgerQueue = ledgerQueue.then(() => Helpers.setSetting(SETTINGS.LEDGER, []));
+	return ledgerQueue;
+}
+
+/**
+ * Filters the ledger based on the given parameters, newest entries first
+ *
+ * @param {string/boolean} [actorUuid=false]
+ * @param {string/boolean} [userId=false]
+ * @param {number/boolean} [since=false]
+ * @param {Array<string>/boolean} [types=false]
+ * @returns {Array<object>}
+ */
+export function queryLedger({ actorUuid = false, userId = false, since = false, types = false } = {}) {
+	return getLedger().filter(entry => {
+		if (actorUuid && !entry.changes.some(change => change.uuid === actorUuid)) return false;
+		if (userId && entry.user !== userId) return false;
+		if (since && entry.date < since) return false;
+		return !types || types.includes(entry.type);
+	});
+}
+
+export function getLedgerEntries(interactionId) {
+	return getLedger().filter(entry => entry.interactionId === interactionId);
+}
+
+/**
+ * Records the committed changes of a set of transactions into the world ledger as a single entry
+ *
+ * @param {string} type
+ * @param {Array<Transaction>} transactions
+ * @param {string/boolean} [userId=false]
+ * @param {string/boolean} [interactionId=false]
+ * @param {string/boolean} [source=false]
+ * @param {string/boolean} [target=false]
+ * @returns {Promise}
+ */
+export function recordTransactions(type, transactions, {
+	userId = false, interactionId = false, source = false, target = false
+} = {}) {
+
+	const maxEntries = Helpers.getSetting(SETTINGS.LEDGER_MAX_ENTRIES);
+	if (!game.user.isGM || !maxEntries) return ledgerQueue;
+
+	const changes = transactions
+		.filter(transaction => transaction?.committed)
+		.map(getTransactionChanges)
+		.filter(change => change.items.length || change.currencies.length || change.attributes.length);
+
+	if (!changes.length) return ledgerQueue;
+
+	return addEntry({
+		id: foundry.utils.randomID(),
+		interactionId: interactionId || foundry.utils.randomID(),
+		type,
+		user: userId,
+		source: source ? getDocumentSummary(source) : false,
+		target: target ? getDocumentSummary(target) : false,
+		changes,
+		reverted: false,
+		date: Date.now()
+	});
+
+}
+
+/**
+ * Marks the given ledger entries as reverted, and records the revert itself as a new entry with the opposite changes
+ *
+ * @param {string} interactionId
+ * @param {Array<object>} entries
+ * @param {string} userId
+ * @returns {Promise}
+ */
+export function recordRevert(interactionId, entries, userId) {
+
+	const entryIds = new Set(entries.map(entry => entry.id));
+
+	const negate = (deltas) => deltas.map(delta => ({ ...delta, quantity: -delta.quantity }));
+
+	const changes = entries.map(entry => entry.changes).flat().map(change => ({
+		uuid: change.uuid,
+		name: change.name,
+		items: negate(change.items),
+		currencies: negate(change.currencies),
+		attributes: negate(change.attributes)
+	}));
+
+	return addEntry({
+		id: foundry.utils.randomID(),
+		interactionId: foundry.utils.randomID(),
+		revertedInteractionId: interactionId,
+		type: REVERT_ENTRY_TYPE,
+		user: userId,
+		source: false,
+		target: false,
+		changes,
+		reverted: false,
+		date: Date.now()
+	}, (ledger) => ledger.map(entry => {
+		if (!entryIds.has(entry.id)) return entry;
+		return { ...entry, reverted: true };
+	}));
+
+}
+
+function addEntry(entry, updateLedger = (ledger) => ledger) {
+
+	const maxEntries = Helpers.getSetting(SETTINGS.LEDGER_MAX_ENTRIES);
+	if (!game.user.isGM || !maxEntries) return ledgerQueue;
+
+	ledgerQueue = ledgerQueue.then(() => {
+		const ledger = [entry].concat(updateLedger(getLedger())).slice(0, maxEntries);
+		return Helpers.setSetting(SETTINGS.LEDGER, ledger);
+	}).catch(err => {
+		Helpers.custom_warning(`Failed to record interaction in the ledger: ${err}`);
+	});
+
+	return ledgerQueue;
+
+}
+
+function getDocumentSummary(target) {
+	const document = Utilities.getDocument(target);
+	return {
+		uuid: Utilities.getUuid(target),
+		name: document?.name ?? ""
+	};
+}
+
+function getTransactionChanges(transaction) {
+
+	const { itemDeltas = [], attributeDeltas = {} } = transaction.committed;
+
+	const currencyList = PileUtilities.getCurrencyList(transaction.document);
+
+	const items = [];
+	const currencies = [];
+	for (const delta of itemDeltas) {
+		const item = delta.item;
+		const entry = {
+			id: item._id ?? item.id,
+			name: item.name,
+			img: item.img,
+			type: "item",
+			quantity: delta.quantity
+		};
+		if (delta.type === "currency" || PileUtilities.isItemCurrency(item, { target: transaction.document })) {
+			currencies.push(entry);
+		} else {
+			items.push(entry);
+		}
+	}
+
+	const attributes = [];
+	for (const [path, quantity] of Object.entries(attributeDeltas)) {
+		if (!quantity) continue;
+		const currency = currencyList.find(currency => currency.type === "attribute" && currency.data.path === path);
+		if (currency || transaction.attributeTypeMap.get(path) === "currency") {
+			currencies.push({
+				name: currency?.name ?? path, img: currency?.img ?? "", type: "attribute", path, quantity
+			});
+		} else {
+			attributes.push({ path, quantity });
+		}
+	}
+
+	return {
+		...getDocumentSummary(transaction.document),
+		items,
+		currencies,
+		attributes,
+		inverse: transaction.revertChanges
+	};
+
+}
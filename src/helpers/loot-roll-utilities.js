@@ -0,0 +1,55 @@
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+
+export const VOTES = {
+	NEED: "need",
+	GREED: "greed",
+	PASS: "pass"
+};
+
+/**
+ * Gets the items in an item pile that can be put up for a loot roll, optionally limited to a set of item IDs
+ *
+ * @param {Actor} itemPile
+ * @param {Array<string>/boolean} itemIds
+ * @returns {Array<Item>}
+ */
+export function getLootRollItems(itemPile, itemIds = false) {
+	return PileUtilities.getActorItems(itemPile)
+		.filter(item => !itemIds || itemIds.includes(item.id))
+		.filter(item => Utilities.getItemQuantity(item) > 0);
+}
+
+/**
+ * Rolls off between the actors that voted on an item. Only the actors with the strongest vote roll - need beats greed,
+ * and nobody gets an item everyone passed on. Ties are rerolled between the tied actors until there is a winner.
+ *
+ * @param {Array<{actorUuid: string, name: string, vote: string}>} votes
+ * @returns {Promise<{rolls: Array<object>, winner: object/null}>}
+ */
+export async function rollForItem(votes) {
+
+	const rolls = votes.map(vote => ({ ...vote, total: null }));
+
+	const bestVote = [VOTES.NEED, VOTES.GREED].find(type => rolls.some(roll => roll.vote === type));
+	if (!bestVote) {
+		return { rolls, winner: null };
+	}
+
+	let contenders = rolls.filter(roll => roll.vote === bestVote);
+	while (contenders.length > 1) {
+		for (const contender of contenders) {
+			contender.total = (await new Roll("1d100").evaluate({ allowInteractive: false })).total;
+		}
+		const highest = Math.max(...contenders.map(contender => contender.total));
+		contenders = contenders.filter(contender => contender.total === highest);
+	}
+
+	const winner = contenders[0];
+	if (winner.total === null) {
+		winner.total = (await new Roll("1d100").evaluate({ allowInteractive: false })).total;
+	}
+
+	return { rolls, winner };
+
+}
@@ -12,6 +12,8 @@ import { hotkeyActionState } from "../hotkeys.js";
 import * as Utilities from "./utilities.js"
 import * as Helpers from "./helpers.js";
 import * as CompendiumUtilities from "./compendium-utilities.js";
+import * as FactionUtilities from "./faction-utilities.js";
+import * as EncumbranceUtilities from "./encumbrance-utilities.js";
 
 export function getPileDefaults() {
 	return foundry.utils.mergeObject({}, CONSTANTS.PILE_DEFAULTS, Helpers.getSetting(SETTINGS.PILE_DEFAULTS) ?? {});
@@ -180,13 +182,36 @@ export function isItemPileClosed(target, data = false) {
 	return pileData.closed;
 }
 
+export function isItemPileLockable(target, data = false) {
+	return isItemPileContainer(target, data) || isItemPileVault(target, data);
+}
+
 export function isItemPileLocked(target, data = false) {
 	const targetActor = Utilities.getActor(target);
 	const pileData = getActorFlagData(targetActor, { data });
-	if (!pileData?.enabled || pileData?.type !== CONSTANTS.PILE_TYPES.CONTAINER) return false;
+	if (!isItemPileLockable(targetActor, pileData)) return false;
 	return pileData.locked;
 }
 
+/**
+ * Finds an item on the actor that is one of the keys to a container or vault, either by its name or by the UUID of the
+ * item it was created from
+ *
+ * @param {Actor/TokenDocument} target
+ * @param {Actor} actor
+ * @param {object/boolean} [data=false]
+ * @returns {Item/boolean}
+ */
+export function findItemPileKey(target, actor, data = false) {
+	const pileData = getActorFlagData(target, { data });
+	const keys = (pileData.keys ?? []).map(key => key.trim().toLowerCase()).filter(Boolean);
+	if (!keys.length || !actor) return false;
+	return actor.items.find(item => {
+		const sourceUuid = item._stats?.compendiumSource ?? item.flags?.core?.sourceId ?? "";
+		return keys.includes(item.name.toLowerCase()) || keys.includes(sourceUuid.toLowerCase());
+	}) ?? false;
+}
+
 export function isItemPileEmpty(target) {
 
 	const targetActor = Utilities.getActor(target);
@@ -545,6 +570,24 @@ export async function checkItemType(targetActor, item, {
 		}
 	}
 
+	const exceededCapacity = EncumbranceUtilities.getExceededItemPileCapacity(targetActor, [{ item, quantity: 1 }]);
+	if (exceededCapacity) {
+		const capacityWarning = EncumbranceUtilities.getItemPileCapacityWarning(Utilities.getActor(targetActor), exceededCapacity);
+		if (!game.user.isGM) {
+			return Helpers.custom_warning(capacityWarning, true);
+		}
+		if (!hotkeyActionState.forceDropItem) {
+			const force = await Dialog.confirm({
+				title: game.i18n.localize("ITEM-PILES.Dialogs.CapacityWarning.Title"),
+				content: `<p class="item-piles-dialog">${capacityWarning}</p><p class="item-piles-dialog">${game.i18n.localize("ITEM-PILES.Dialogs.CapacityWarning.Content")}</p>`,
+				defaultYes: false
+			});
+			if (!force) {
+				return false;
+			}
+		}
+	}
+
 	return item;
 
 }
@@ -844,13 +887,133 @@ export function updateItemData(item, update, { returnUpdate = false, version = f
 
 /* -------------------------- Merchant Methods ------------------------- */
 
+/**
+ * Gets the supply and demand modifier of an item on a merchant with dynamic pricing, based on how the merchant's stock
+ * of the item compares to its baseline, and on how many of it has recently been bought and sold from the merchant
+ *
+ * @param {Actor/TokenDocument} merchant
+ * @param {Item/object} item
+ * @param {object/boolean} pileFlagData
+ * @returns {number}
+ */
+export function getDynamicPriceModifier(merchant, item, pileFlagData = false) {
+
+	const flags = getActorFlagData(merchant, { data: pileFlagData });
+	if (!flags.dynamicPricing) return 1;
+
+	const actor = Utilities.getActor(merchant);
+	const itemFlagData = getItemFlagData(item);
+
+	// Scarce items become more expensive, and items the merchant is flooded with become cheaper
+	let supplyModifier = 1;
+	const infiniteQuantity = {
+		"default": flags.infiniteQuantity, "yes": true, "no": false
+	}[itemFlagData.infiniteQuantity ?? "default"];
+	if (!infiniteQuantity) {
+		const merchantItem = Utilities.findSimilarItem(actor.items, item);
+		const stock = merchantItem ? Utilities.getItemQuantity(merchantItem) : 0;
+		supplyModifier = 1 + (flags.dynamicPricingBaseline - stock) * flags.dynamicPricingStockFactor;
+	}
+
+	// Items bought from the merchant raise the price, items sold to it lower it, with each sale fading out over game time
+	const decaySeconds = Math.max(0, flags.dynamicPricingDecayDays) * getSecondsPerDay();
+	const now = game.time.worldTime;
+	const sales = getMerchantSales(actor).find(entry => entry.item === item.name)?.sales ?? [];
+	const demand = decaySeconds ? sales.reduce((acc, sale) => {
+		const weight = 1 - Math.max(0, now - sale.worldTime) / decaySeconds;
+		if (weight <= 0) return acc;
+		return acc + sale.qty * weight;
+	}, 0) : 0;
+	const demandModifier = 1 + demand * flags.dynamicPricingSalesFactor;
+
+	return Math.min(flags.dynamicPricingMaxModifier, Math.max(flags.dynamicPricingMinModifier, supplyModifier * demandModifier));
+
+}
+
+export function getMerchantSales(merchant) {
+	return foundry.utils.getProperty(Utilities.getActor(merchant), CONSTANTS.FLAGS.SALES) || [];
+}
+
+/**
+ * Records items bought from or sold to a merchant with dynamic pricing, grouped by item, and prunes the sales that are
+ * older than the merchant's sales memory so that only the sales that still affect prices are kept
+ *
+ * @param {Actor/TokenDocument} merchant
+ * @param {Array<{ name: string, quantity: number }>} items
+ * @param {boolean} sold Whether the items were sold to the merchant, rather than bought from it
+ * @param {object/boolean} pileFlagData
+ * @returns {Promise}
+ */
+export function updateMerchantSales(merchant, items, sold, pileFlagData = false) {
+
+	const actor = Utilities.getActor(merchant);
+	const flags = getActorFlagData(actor, { data: pileFlagData });
+	const decaySeconds = Math.max(0, flags.dynamicPricingDecayDays) * getSecondsPerDay();
+	const now = game.time.worldTime;
+
+	const merchantSales = foundry.utils.deepClone(getMerchantSales(actor));
+	for (const { name, quantity } of items) {
+		let entry = merchantSales.find(entry => entry.item === name);
+		if (!entry) {
+			entry = { item: name, sales: [] };
+			merchantSales.push(entry);
+		}
+		entry.sales.push({ qty: (sold ? -1 : 1) * quantity, worldTime: now });
+	}
+
+	const prunedSales = merchantSales.map(entry => ({
+		...entry, sales: entry.sales.filter(sale => now - sale.worldTime < decaySeconds)
+	})).filter(entry => entry.sales.length);
+
+	return actor.update({
+		[CONSTANTS.FLAGS.SALES]: prunedSales
+	});
+
+}
+
+/**
+ * Gets the price modifier an actor last haggled for with a merchant, which may have expired
+ *
+ * @param {Actor/TokenDocument} merchant
+ * @param {Actor} actor
+ * @param {object/boolean} pileFlagData
+ * @returns {object/boolean}
+ */
+export function getHaggleData(merchant, actor, pileFlagData = false) {
+	const { actorPriceModifiers } = getActorFlagData(merchant, { data: pileFlagData });
+	const actorUuid = Utilities.getUuid(actor);
+	return actorPriceModifiers?.find(data => data.haggle && data.actorUuid === actorUuid) ?? false;
+}
+
+/**
+ * Gets how many seconds of game time remain until an actor can haggle with a merchant again
+ *
+ * @param {Actor/TokenDocument} merchant
+ * @param {Actor} actor
+ * @param {object/boolean} pileFlagData
+ * @returns {number}
+ */
+export function getHaggleCooldown(merchant, actor, pileFlagData = false) {
+	const haggleData = getHaggleData(merchant, actor, pileFlagData);
+	if (!haggleData) return 0;
+	return Math.max(0, haggleData.haggle.cooldown - game.time.worldTime);
+}
+
+function getSecondsPerDay() {
+	return game.modules.get("foundryvtt-simple-calendar")?.active
+		? window.SimpleCalendar.api.timestampPlusInterval(0, { day: 1 })
+		: 86400;
+}
+
 export function getMerchantModifiersForActor(merchant, {
 	item = false, actor = false, pileFlagData = false, itemFlagData = false, absolute = false
 } = {}) {
 
+	const merchantFlagData = getActorFlagData(merchant, { data: pileFlagData });
+
 	let {
 		buyPriceModifier, sellPriceModifier, itemTypePriceModifiers, actorPriceModifiers
-	} = getActorFlagData(merchant, { data: pileFlagData });
+	} = merchantFlagData;
 
 	if (item) {
 		if (!itemFlagData) {
@@ -880,7 +1043,7 @@ export function getMerchantModifiersForActor(merchant, {
 	}
 
 	if (actor && actorPriceModifiers) {
-		const actorSpecificModifiers = actorPriceModifiers?.find(data => data.actorUuid === Utilities.getUuid(actor) || data.actor === actor.id);
+		const actorSpecificModifiers = actorPriceModifiers?.find(data => !data.haggle && (data.actorUuid === Utilities.getUuid(actor) || data.actor === actor.id));
 		if (actorSpecificModifiers) {
 			buyPriceModifier = actorSpecificModifiers.override || absolute
 				? actorSpecificModifiers.buyPriceModifier ?? buyPriceModifier
@@ -889,6 +1052,27 @@ export function getMerchantModifiersForActor(merchant, {
 				? actorSpecificModifiers.sellPriceModifier ?? sellPriceModifier
 				: sellPriceModifier * actorSpecificModifiers.sellPriceModifier;
 		}
+		const haggleData = getHaggleData(merchant, actor, merchantFlagData);
+		if (haggleData && haggleData.haggle.expires > game.time.worldTime && !absolute) {
+			buyPriceModifier *= haggleData.buyPriceModifier;
+			sellPriceModifier *= haggleData.sellPriceModifier;
+		}
+	}
+
+	if (actor && merchantFlagData.faction && !absolute) {
+		const faction = FactionUtilities.getFaction(merchantFlagData.faction);
+		if (faction) {
+			const reputation = FactionUtilities.getActorReputation(actor, faction);
+			const factionModifiers = FactionUtilities.getFactionPriceModifiers(faction, reputation);
+			buyPriceModifier *= factionModifiers.buyPriceModifier;
+			sellPriceModifier *= factionModifiers.sellPriceModifier;
+		}
+	}
+
+	if (item && merchantFlagData.dynamicPricing && !absolute) {
+		const dynamicPriceModifier = getDynamicPriceModifier(merchant, item, merchantFlagData);
+		buyPriceModifier *= dynamicPriceModifier;
+		sellPriceModifier *= dynamicPriceModifier;
 	}
 
 	if (SYSTEMS.DATA.PRICE_MODIFIER_TRANSFORMER && !absolute) {
@@ -2029,6 +2213,59 @@ export function fitItemsIntoVault(items, vaultActor, {
 	}
 }
 
+/**
+ * Sorts items by one of the vault sort strategies, in the order they should be fitted into the vault
+ *
+ * @param {Actor} vaultActor
+ * @param {Array<Item/object>} items
+ * @param {string} [strategy="size"]
+ * @returns {Array<Item/object>}
+ */
+export function sortVaultItems(vaultActor, items, strategy = CONSTANTS.VAULT_SORT_STRATEGIES.SIZE) {
+
+	const sortByName = (a, b) => a.name.localeCompare(b.name);
+
+	switch (strategy) {
+
+		case CONSTANTS.VAULT_SORT_STRATEGIES.TYPE: {
+			const getType = (item) => (getItemFlagData(item).customCategory || item.type).toLowerCase();
+			return [...items].sort((a, b) => getType(a).localeCompare(getType(b)) || sortByName(a, b));
+		}
+
+		case CONSTANTS.VAULT_SORT_STRATEGIES.VALUE: {
+			const values = new Map(items.map(item => [item, getCostOfItem(item) || 0]));
+			return [...items].sort((a, b) => (values.get(b) - values.get(a)) || sortByName(a, b));
+		}
+
+		case CONSTANTS.VAULT_SORT_STRATEGIES.NAME:
+			return [...items].sort(sortByName);
+
+		case CONSTANTS.VAULT_SORT_STRATEGIES.RECENT: {
+			// Older log entries only know the name of what was deposited, and items that were never logged go last
+			const depositDates = { ids: {}, names: {} };
+			for (const log of getActorLog(vaultActor)) {
+				const deposited = log.action ? log.action === "deposited" : log.qty > 0;
+				if (!deposited) continue;
+				const dates = log.id ? depositDates.ids : depositDates.names;
+				const key = log.id ?? log.name;
+				dates[key] = Math.max(dates[key] ?? 0, log.date ?? 0);
+			}
+			const getDepositDate = (item) => depositDates.ids[item.id] ?? depositDates.names[item.name] ?? 0;
+			return [...items].sort((a, b) => (getDepositDate(b) - getDepositDate(a)) || sortByName(a, b));
+		}
+
+		default: {
+			const sizes = new Map(items.map(item => {
+				const { width, height } = getVaultItemDimensions(item);
+				return [item, Math.max(width, height)];
+			}));
+			return [...items].sort((a, b) => sizes.get(b) - sizes.get(a));
+		}
+
+	}
+
+}
+
 export function canItemFitInVault(item, vaultActor, {
 	mergeItems = true,
 	gridData = null,
@@ -2164,7 +2401,7 @@ export async function updateVaultLog(itemPile, {
 			});
 		} else {
 			const item = new Item.implementation(itemData.item);
-			formattedItems.push({
+			const logEntry = {
 				actor: actor?.name ?? false,
 				user: userId,
 				name: item.name,
@@ -2175,7 +2412,10 @@ export async function updateVaultLog(itemPile, {
 					? "withdrew"
 					: "deposited"),
 				date
-			});
+			};
+			// Deposited items are the vault's own, so their ID can tell them apart from others with the same name
+			if (!withdrawal) logEntry.id = itemData.item._id;
+			formattedItems.push(logEntry);
 		}
 	}
 
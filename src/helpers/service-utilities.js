@@ -0,0 +1,130 @@
+import CONSTANTS from "../constants/constants.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+import { SYSTEMS } from "../systems.js";
+
+/**
+ * Determines whether the current system can restore an actor's resources through a service
+ *
+ * @returns {boolean}
+ */
+export function canRestoreResources() {
+	return !!SYSTEMS.DATA.RESTORE_RESOURCES;
+}
+
+/**
+ * Gets the active effects on a service item that are granted to the actor who buys it
+ *
+ * @param {Item} item
+ * @param {object/boolean} [itemFlagData=false]
+ * @returns {Array<ActiveEffect>}
+ */
+export function getServiceEffects(item, itemFlagData = false) {
+	itemFlagData = itemFlagData || PileUtilities.getItemFlagData(item);
+	if (!item?.effects) return [];
+	return itemFlagData.serviceEffects.map(effectId => item.effects.get(effectId)).filter(Boolean);
+}
+
+/**
+ * Gets the items a service delivers when purchased, multiplied by the quantity purchased
+ *
+ * @param {Item} item
+ * @param {number} quantity
+ * @param {object/boolean} [itemFlagData=false]
+ * @returns {Array<{ item: object, quantity: number }>}
+ */
+export function getServiceDeliveryItems(item, quantity, itemFlagData = false) {
+	itemFlagData = itemFlagData || PileUtilities.getItemFlagData(item);
+	return itemFlagData.serviceDeliveryItems.map(component => ({
+		item: foundry.utils.deepClone(component.data.item),
+		quantity: component.quantity * quantity
+	}));
+}
+
+/**
+ * Gets the actor update data for restoring an actor's resources through a service. When the service has no restore
+ * formula, the actor is restored fully.
+ *
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {number} quantity
+ * @param {object/boolean} [itemFlagData=false]
+ * @returns {Promise<{ updates: object, amount: number/null }>}
+ */
+export async function getServiceRestoreData(actor, item, quantity, itemFlagData = false) {
+	itemFlagData = itemFlagData || PileUtilities.getItemFlagData(item);
+	let amount = null;
+	if (itemFlagData.serviceRestoreFormula) {
+		const roll = await new Roll(`(${itemFlagData.serviceRestoreFormula}) * ${quantity}`).evaluate({ allowInteractive: false });
+		amount = roll.total;
+	}
+	const updates = SYSTEMS.DATA.RESTORE_RESOURCES({ actor, item, amount }) ?? {};
+	return { updates, amount };
+}
+
+/**
+ * Advances the world's time by a number of hours, through Simple Calendar if it is active
+ *
+ * @param {number} hours
+ * @returns {Promise}
+ */
+export function advanceTime(hours) {
+	const seconds = Math.round(hours * 3600);
+	if (game.modules.get("foundryvtt-simple-calendar")?.active) {
+		return window.SimpleCalendar.api.changeDate({ seconds });
+	}
+	return game.time.advance(seconds);
+}
+
+export function getServiceDeliveries(merchant) {
+	const deliveries = foundry.utils.getProperty(Utilities.getActor(merchant), CONSTANTS.FLAGS.SERVICE_DELIVERIES) ?? {};
+	return Object.values(foundry.utils.deepClone(deliveries)).sort((a, b) => a.deliverAt - b.deliverAt);
+}
+
+/**
+ * Creates a delivery of items that a merchant will hand over to a buyer once enough world time has passed
+ *
+ * @param {Actor} merchant
+ * @param {Actor} buyer
+ * @param {Item} item
+ * @param {Array<{ item: object, quantity: number }>} items
+ * @param {number} delay
+ * @returns {object}
+ */
+export function createServiceDelivery(merchant, buyer, item, items, delay) {
+	return {
+		id: foundry.utils.randomID(),
+		buyerUuid: Utilities.getUuid(buyer),
+		buyerName: buyer.name,
+		serviceName: item.name,
+		items,
+		created: game.time.worldTime,
+		deliverAt: game.time.worldTime + Math.round(delay * 3600)
+	};
+}
+
+export function addServiceDelivery(merchant, delivery) {
+	return Utilities.getActor(merchant).update({
+		[`${CONSTANTS.FLAGS.SERVICE_DELIVERIES}.${delivery.id}`]: delivery
+	});
+}
+
+export function removeServiceDelivery(merchant, deliveryId) {
+	return Utilities.getActor(merchant).update({
+		[`${CONSTANTS.FLAGS.SERVICE_DELIVERIES}.-=${deliveryId}`]: null
+	});
+}
+
+export function isDeliveryDue(delivery) {
+	return game.time.worldTime >= delivery.deliverAt;
+}
+
+/**
+ * Formats a list of items into a readable string, such as "Longsword (x2), Rope"
+ *
+ * @param {Array<{ item: object, quantity: number }>} items
+ * @returns {string}
+ */
+export function getItemListString(items) {
+	return items.map(entry => entry.quantity > 1 ? `${entry.item.name} (x${entry.quantity})` : entry.item.name).join(", ");
+}
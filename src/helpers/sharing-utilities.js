@@ -1,6 +1,7 @@
 import CONSTANTS from "../constants/constants.js";
 import * as Utilities from "./utilities.js"
 import * as PileUtilities from "./pile-utilities.js"
+import * as Helpers from "./helpers.js";
 import { SYSTEMS } from "../systems.js";
 
 export function getActivePlayers(onlyActive = false) {
@@ -30,6 +31,146 @@ export function getCharactersForItemPile(target) {
 	return getPlayersForItemPile(target).map(player => Utilities.getUserCharacter(player));
 }
 
+/**
+ * Gets the party fund actor of an item pile, if it has one and it is set to receive a percentage of the pile
+ *
+ * @param {Actor|TokenDocument|String} target
+ * @param {Object/Boolean} [pileData=false]
+ * @returns {Actor/Boolean}
+ */
+export function getPartyFundActor(target, pileData = false) {
+	pileData = pileData || PileUtilities.getActorFlagData(target);
+	if (!pileData.partyFundActorUuid || !(Number(pileData.partyFundPercentage) > 0)) return false;
+	return Utilities.getActor(pileData.partyFundActorUuid) ?? false;
+}
+
+/**
+ * Works out what fraction of an item pile's contents each actor should receive when it is split, based on the pile's
+ * split policy. The party fund actor, if any, is always included and receives its fixed percentage first, and the rest
+ * is divided between the other actors - by their weights if the pile uses weighted shares, or evenly if it does not.
+ *
+ * @param {Actor|TokenDocument|String} target
+ * @param {Array<Actor|TokenDocument|String>} actors
+ * @param {Object/Boolean} [pileData=false]
+ * @returns {Array<{uuid: String, fraction: Number}>}
+ */
+export function getSplitShares(target, actors, { pileData = false } = {}) {
+
+	pileData = pileData || PileUtilities.getActorFlagData(target);
+
+	const partyFundActor = getPartyFundActor(target, pileData);
+	const partyFundUuid = partyFundActor ? Utilities.getUuid(partyFundActor) : false;
+	const partyFundFraction = partyFundActor ? Math.min(100, Math.max(0, Number(pileData.partyFundPercentage))) / 100 : 0;
+
+	const recipients = actors.map(actor => Utilities.getUuid(actor))
+		.filter((uuid, index, self) => uuid && uuid !== partyFundUuid && self.indexOf(uuid) === index);
+
+	const weights = recipients.map(uuid => {
+		if (pileData.splitPolicy !== CONSTANTS.SPLIT_POLICIES.WEIGHTED) return 1;
+		const weight = (pileData.splitWeights ?? []).find(entry => entry.actorUuid === uuid)?.weight;
+		return Math.max(0, Number(weight ?? 1));
+	});
+	const totalWeight = weights.reduce((acc, weight) => acc + weight, 0);
+
+	const shares = recipients.map((uuid, index) => ({
+		uuid, fraction: totalWeight ? (1 - partyFundFraction) * weights[index] / totalWeight : 0
+	}));
+
+	if (partyFundUuid) {
+		shares.push({ uuid: partyFundUuid, fraction: recipients.length ? partyFundFraction : 1 });
+	}
+
+	return shares;
+
+}
+
+/**
+ * Gets the fraction of an item pile that a single actor is entitled to. Returns null when the pile is split evenly
+ * without a party fund, in which case each of the players simply gets an equal share.
+ *
+ * @param {Actor|TokenDocument|String} target
+ * @param {Actor|TokenDocument|String} recipient
+ * @returns {Number/null}
+ */
+export function getShareFraction(target, recipient) {
+	const pileData = PileUtilities.getActorFlagData(target);
+	if (pileData.splitPolicy !== CONSTANTS.SPLIT_POLICIES.WEIGHTED && !getPartyFundActor(target, pileData)) {
+		return null;
+	}
+	const recipientUuid = Utilities.getUuid(recipient);
+	return getSplitShares(target, getCharactersForItemPile(target), { pileData })
+		.find(share => share.uuid === recipientUuid)?.fraction ?? null;
+}
+
+/**
+ * Gets how much of a quantity is handed out when it is split between the given shares, as each share is rounded down
+ *
+ * @param {Number} quantity
+ * @param {Array<{uuid: String, fraction: Number}>} shares
+ * @returns {Number}
+ */
+export function getSplitQuantity(quantity, shares) {
+	return shares.reduce((acc, share) => acc + Math.floor(Helpers.roundToDecimals(quantity * share.fraction, 6)), 0);
+}
+
+/**
+ * Gets the value of the items an actor has already taken from a pile, going by its sharing data. Items that are no
+ * longer in the pile cannot be valued, so they are not counted.
+ *
+ * @param {Array<Item>} items
+ * @param {String} actorUuid
+ * @param {Object/Boolean} shareData
+ * @returns {Number}
+ */
+function getTakenItemsValue(items, actorUuid, shareData) {
+	return (shareData?.items ?? []).reduce((acc, entry) => {
+		const quantity = entry.actors?.find(actor => actor.uuid === actorUuid)?.quantity ?? 0;
+		if (!quantity) return acc;
+		const item = Utilities.findSimilarItem(items, entry);
+		return item ? acc + PileUtilities.getCostOfItem(item) * quantity : acc;
+	}, 0);
+}
+
+/**
+ * Distributes whole items between the given shares so that the total value each actor receives is as close to their
+ * share of the overall value as possible. The most valuable items are handed out first, each to whoever is furthest
+ * below their share, counting what they have already taken from the pile.
+ *
+ * @param {Array<Item>} items
+ * @param {Array<{uuid: String, fraction: Number}>} shares
+ * @param {Object/Boolean} [shareData=false]                   The pile's sharing data, of what each actor has already taken
+ * @returns {Object<String, Object<String, Number>>}          The quantity of each item (by ID) that each actor (by UUID) receives
+ */
+export function getValueBalancedAssignments(items, shares, { shareData = false } = {}) {
+
+	const recipients = shares.filter(share => share.fraction > 0)
+		.map(share => ({ ...share, value: getTakenItemsValue(items, share.uuid, shareData), count: 0 }));
+
+	const assignments = Object.fromEntries(items.map(item => [item.id, {}]));
+	if (!recipients.length) return assignments;
+
+	const units = items.map(item => ({
+		item, value: PileUtilities.getCostOfItem(item), quantity: Utilities.getItemQuantity(item)
+	})).sort((a, b) => b.value - a.value);
+
+	for (const { item, value, quantity } of units) {
+		for (let i = 0; i < quantity; i++) {
+			const recipient = recipients.reduce((best, current) => {
+				const bestValue = (best.value + value) / best.fraction;
+				const currentValue = (current.value + value) / current.fraction;
+				if (currentValue !== bestValue) return currentValue < bestValue ? current : best;
+				return (current.count / current.fraction) < (best.count / best.fraction) ? current : best;
+			});
+			recipient.value += value;
+			recipient.count++;
+			assignments[item.id][recipient.uuid] = (assignments[item.id][recipient.uuid] ?? 0) + 1;
+		}
+	}
+
+	return assignments;
+
+}
+
 /**
  * Determines whether a pile can be split
  *
@@ -43,6 +184,9 @@ export function canItemPileBeSplit(target) {
 	if (!playerActors.length) return false;
 	const pileItems = PileUtilities.getActorItems(target);
 	const items = pileData.shareItemsEnabled ? pileItems : [];
+	if (pileData.splitPolicy === CONSTANTS.SPLIT_POLICIES.VALUE_BALANCED && items.length) {
+		return true;
+	}
 	const currencies = pileData.shareCurrenciesEnabled || pileData.splitAllEnabled
 		? PileUtilities.getActorCurrencies(target, { secondary: false })
 		: [];
@@ -308,6 +452,7 @@ export function getItemSharesLeftForActor(pile, item, recipient, {
 	currentQuantity = null,
 	floor = null,
 	players = null,
+	fraction = null,
 	shareData = null
 } = {}) {
 
@@ -329,8 +474,11 @@ export function getItemSharesLeftForActor(pile, item, recipient, {
 		}
 	}
 
+	fraction = fraction ?? getShareFraction(pile, recipient);
 	players = players ?? getPlayersForItemPile(pile).length;
-	let totalActorShare = totalShares / players;
+	let totalActorShare = fraction !== null
+		? Helpers.roundToDecimals(totalShares * fraction, 6)
+		: totalShares / players;
 	if (totalActorShare && !Number.isInteger(totalActorShare) && !floor) {
 		totalActorShare += 1;
 	}
@@ -343,6 +491,7 @@ export function getAttributeSharesLeftForActor(pile, path, recipient, {
 	getAll = true,
 	floor = null,
 	players = null,
+	fraction = null,
 	shareData = null
 } = {}) {
 
@@ -370,8 +519,11 @@ export function getAttributeSharesLeftForActor(pile, path, recipient, {
 		}
 	}
 
+	fraction = fraction ?? getShareFraction(pile, recipient);
 	players = players ?? getPlayersForItemPile(pile).length;
-	let totalActorShare = totalShares / players;
+	let totalActorShare = fraction !== null
+		? Helpers.roundToDecimals(totalShares * fraction, 6)
+		: totalShares / players;
 	if (totalActorShare && !Number.isInteger(totalActorShare) && !floor) {
 		totalActorShare += 1;
 	}
@@ -0,0 +1,124 @@
+import * as Helpers from "./helpers.js";
+import * as Utilities from "./utilities.js";
+import * as PileUtilities from "./pile-utilities.js";
+import * as EscrowUtilities from "./escrow-utilities.js";
+import SETTINGS from "../constants/settings.js";
+
+let tradeOfferQueue = Promise.resolve();
+
+export function getTradeOffers() {
+	return Helpers.getSetting(SETTINGS.TRADE_OFFERS) ?? [];
+}
+
+export function getTradeOffer(offerId) {
+	return getTradeOffers().find(offer => offer.id === offerId);
+}
+
+/**
+ * Gets the pending trade offers that a user can review, which are the ones made to actors they own
+ *
+ * @param {User} [user=game.user]
+ * @returns {Array<object>}
+ */
+export function getIncomingTradeOffers(user = game.user) {
+	return getTradeOffers().filter(offer => offer.recipient === user.id);
+}
+
+/**
+ * Gets the user that should receive trade offers made to an actor, which is the player whose character it is, or
+ * otherwise the first player that owns it
+ *
+ * @param {Actor} actor
+ * @returns {User/boolean}
+ */
+export function getTradeOfferRecipient(actor) {
+	return game.users.find(user => !user.isGM && user.character === actor)
+		?? game.users.find(user => !user.isGM && actor.testUserPermission(user, "OWNER"))
+		?? false;
+}
+
+/**
+ * Determines whether a user can accept or decline a trade offer. The user who made the offer can only withdraw it, by
+ * declining it.
+ *
+ * @param {object} offer
+ * @param {string} userId
+ * @param {boolean} accepted
+ * @returns {boolean}
+ */
+export function canResolveTradeOffer(offer, userId, accepted) {
+	const user = game.users.get(userId);
+	if (!user) return false;
+	if (user.isGM || offer.recipient === userId) return true;
+	if (offer.user === userId) return !accepted;
+	const targetActor = Utilities.getActor(offer.target.uuid);
+	return !!targetActor?.testUserPermission(user, "OWNER");
+}
+
+/**
+ * Creates a trade offer from the items and attributes an actor is offering, capped to what the actor has that is not
+ * already held in escrow. The offered item data is kept in the offer, so that it can be reviewed without the actor.
+ *
+ * @param {Actor} actor
+ * @param {Actor} targetActor
+ * @param {string} userId
+ * @param {string} recipientId
+ * @param {Array<{ id: string, quantity: number }>} [items=[]]
+ * @param {object} [attributes={}]
+ * @returns {object}
+ */
+export function createTradeOffer(actor, targetActor, userId, recipientId, { items = [], attributes = {} } = {}) {
+
+	const offeredQuantities = {};
+	for (const entry of items) {
+		offeredQuantities[entry.id] = (offeredQuantities[entry.id] ?? 0) + Math.max(0, Number(entry.quantity) || 0);
+	}
+
+	const offerItems = Object.entries(offeredQuantities).map(([itemId, quantity]) => {
+		const item = actor.items.get(itemId);
+		if (!item) return false;
+		quantity = Math.min(quantity, EscrowUtilities.getAvailableItemQuantity(item));
+		return { item: item.toObject(), quantity };
+	}).filter(entry => entry?.quantity);
+
+	const currencyList = PileUtilities.getCurrencyList(actor);
+	const offerAttributes = Object.entries(attributes).map(([path, quantity]) => {
+		const currency = currencyList.find(currency => currency.type === "attribute" && currency.data.path === path);
+		const available = EscrowUtilities.getAvailableAttributeQuantity(actor, path);
+		return {
+			path,
+			name: currency?.name ?? path,
+			img: currency?.img ?? "",
+			quantity: Math.min(Math.max(0, Number(quantity) || 0), available)
+		};
+	}).filter(attribute => attribute.quantity);
+
+	return {
+		id: foundry.utils.randomID(),
+		user: userId,
+		recipient: recipientId,
+		actor: { uuid: Utilities.getUuid(actor), name: actor.name, img: actor.img },
+		target: { uuid: Utilities.getUuid(targetActor), name: targetActor.name, img: targetActor.img },
+		items: offerItems,
+		attributes: offerAttributes,
+		date: Date.now()
+	};
+
+}
+
+export function addTradeOffer(offer) {
+	return updateTradeOffers(offers => offers.concat(offer));
+}
+
+export function removeTradeOffer(offerId) {
+	return updateTradeOffers(offers => offers.filter(offer => offer.id !== offerId));
+}
+
+function updateTradeOffers(callback) {
+	tradeOfferQueue = tradeOfferQueue.then(() => {
+		return Helpers.setSetting(SETTINGS.TRADE_OFFERS, callback(getTradeOffers()));
+	}).catch(err => {
+		Helpers.custom_warning(`Failed to update the trade offers: ${err}`);
+	});
+	return tradeOfferQueue;
+}
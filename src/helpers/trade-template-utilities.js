@@ -0,0 +1,79 @@
+import * as Helpers from "./helpers.js";
+import * as Utilities from "./utilities.js";
+import SETTINGS from "../constants/settings.js";
+
+export function getTradeTemplates() {
+	return Helpers.getSetting(SETTINGS.TRADE_TEMPLATES) ?? [];
+}
+
+export function getTradeTemplate(templateId) {
+	return getTradeTemplates().find(template => template.id === templateId);
+}
+
+/**
+ * Creates a trade template from what is being offered in a trade. Items are kept by their similarity properties rather
+ * than their IDs, so that the template can be used by any actor that has similar items.
+ *
+ * @param {string} name
+ * @param {Array<object>} [items=[]]          Offered item entries, as kept in the trade store
+ * @param {Array<object>} [attributes=[]]     Offered attribute entries, as kept in the trade store
+ * @returns {object}
+ */
+export function createTradeTemplate(name, { items = [], attributes = [] } = {}) {
+
+	const templateItems = [];
+	for (const entry of items) {
+		const existingEntry = templateItems.find(other => other.id === entry.id);
+		if (existingEntry) {
+			existingEntry.quantity += entry.quantity;
+			continue;
+		}
+		templateItems.push({
+			id: entry.id,
+			name: entry.name,
+			img: entry.img,
+			currency: entry.currency,
+			quantity: entry.quantity,
+			item: Utilities.setSimilarityProperties({}, entry.data)
+		});
+	}
+
+	const templateAttributes = [];
+	for (const entry of attributes) {
+		const existingEntry = templateAttributes.find(other => other.path === entry.path);
+		if (existingEntry) {
+			existingEntry.quantity += entry.quantity;
+			continue;
+		}
+		templateAttributes.push({
+			path: entry.path,
+			name: entry.name,
+			img: entry.img,
+			quantity: entry.quantity
+		});
+	}
+
+	return {
+		id: foundry.utils.randomID(),
+		name,
+		items: templateItems.map(({ id, ...entry }) => entry),
+		attributes: templateAttributes
+	};
+
+}
+
+/**
+ * Saves a trade template, replacing any existing template with the same name
+ *
+ * @param {object} template
+ * @returns {Promise}
+ */
+export function addTradeTemplate(template) {
+	return Helpers.setSetting(SETTINGS.TRADE_TEMPLATES, getTradeTemplates()
+		.filter(other => other.name !== template.name)
+		.concat(template));
+}
+
+export function removeTradeTemplate(templateId) {
+	return Helpers.setSetting(SETTINGS.TRADE_TEMPLATES, getTradeTemplates().filter(template => template.id !== templateId));
+}
@@ -1,5 +1,7 @@
+import * as Helpers from "./helpers.js";
 import * as Utilities from "./utilities.js";
 import * as PileUtilities from "./pile-utilities.js";
+import * as EscrowUtilities from "./escrow-utilities.js";
 import ItemPileSocket from "../socket.js";
 import PrivateAPI from "../API/private-api.js";
 import { SYSTEMS } from "../systems.js";
@@ -22,11 +24,16 @@ export default class Transaction {
 		this.itemDeltas = new Map();
 		this.itemTypeMap = new Map();
 		this.itemFlagMap = new Map();
+		this.escrowsToRelease = new Set();
+		this.releasedEscrows = [];
 		this.preCommitted = false;
+		this.committed = false;
+		this.inverseChanges = false;
+		this.revertChanges = false;
 	}
 
 	async appendItemChanges(items, {
-		set = false, remove = false, type = "item", keepIfZero = false
+		set = false, remove = false, type = "item", keepIfZero = false, markNotForSale = keepIfZero
 	} = {}) {
 
 		for (let data of items) {
@@ -91,12 +98,12 @@ export default class Transaction {
 
 					if (existingItemUpdate) {
 						Utilities.setItemQuantity(existingItemUpdate, newQuantity);
-						if (keepIfZero && type !== "currency") {
+						if (markNotForSale && type !== "currency") {
 							foundry.utils.setProperty(existingItemUpdate, CONSTANTS.FLAGS.ITEM + ".notForSale", newQuantity === 0);
 						}
 					} else {
 						const update = Utilities.setItemQuantity(documentExistingItem.toObject(), newQuantity);
-						if (keepIfZero && type !== "currency") {
+						if (markNotForSale && type !== "currency") {
 							foundry.utils.setProperty(update, CONSTANTS.FLAGS.ITEM + ".notForSale", newQuantity === 0);
 						}
 						this.itemTypeMap.set(documentExistingItem.id, type)
@@ -198,8 +205,52 @@ export default class Transaction {
 
 	}
 
+	/**
+	 * Releases an escrow on the document as part of this transaction, so that what was held in it can be removed by it
+	 *
+	 * @param {string} escrowId
+	 */
+	releaseEscrow(escrowId) {
+		this.escrowsToRelease.add(escrowId);
+	}
+
+	/**
+	 * Ensures that this transaction does not remove anything that is held in escrow, other than what is held in the
+	 * escrows that it releases
+	 *
+	 * @private
+	 */
+	_validateEscrows() {
+
+		const escrowed = EscrowUtilities.getEscrowedQuantities(this.document, {
+			ignore: Array.from(this.escrowsToRelease)
+		});
+
+		for (const [itemId, delta] of this.itemDeltas) {
+			if (delta >= 0 || !escrowed.items[itemId]) continue;
+			const item = this.document.items.get(itemId);
+			if (Utilities.getItemQuantity(item) + delta < escrowed.items[itemId]) {
+				throw Helpers.custom_error(game.i18n.format("ITEM-PILES.Escrow.ItemHeld", {
+					item_name: item.name, actor_name: this.document.name
+				}), true);
+			}
+		}
+
+		for (const [path, delta] of this.attributeDeltas) {
+			if (delta >= 0 || !escrowed.attributes[path]) continue;
+			if (Number(this.documentChanges[path] ?? foundry.utils.getProperty(this.document, path) ?? 0) < escrowed.attributes[path]) {
+				throw Helpers.custom_error(game.i18n.format("ITEM-PILES.Escrow.AttributeHeld", {
+					actor_name: this.document.name
+				}), true);
+			}
+		}
+
+	}
+
 	prepare() {
 
+		this._validateEscrows();
+
 		this.documentChanges = Object.fromEntries(Object.entries(this.documentChanges).filter(entry => {
 			if (this.attributeDeltas.get(entry[0]) === 0) {
 				this.attributeDeltas.delete(entry[0]);
@@ -257,6 +308,18 @@ export default class Transaction {
 		});
 
 		this.attributeDeltas = Object.fromEntries(this.attributeDeltas);
+		this.inverseChanges = this._getInverseChanges();
+		this.revertChanges = this._getRevertChanges();
+
+		// Escrows are released in the same update as the attribute changes, and are kept out of the inverse changes so
+		// that reverting an interaction does not bring back escrows for trades that are long over
+		this.releasedEscrows = Array.from(this.escrowsToRelease)
+			.map(escrowId => EscrowUtilities.getEscrow(this.document, escrowId))
+			.filter(Boolean);
+		for (const escrow of this.releasedEscrows) {
+			this.documentChanges[`${CONSTANTS.FLAGS.ESCROW}.-=${escrow.id}`] = null;
+		}
+
 		this.preCommitted = true;
 		return {
 			documentChanges: this.documentChanges,
@@ -292,12 +355,159 @@ export default class Transaction {
 			});
 		}
 
-		return {
+		this.inverseChanges.itemsToDelete.push(...itemsCreated.map(item => item._id));
+		this.revertChanges.itemsToDelete.push(...itemsCreated.map(item => item._id));
+
+		this.committed = {
 			attributeDeltas: this.attributeDeltas, itemDeltas: this.itemDeltas.concat(itemsCreated.map(item => {
 				return {
 					item, quantity: PileUtilities.canItemStack(item) ? Utilities.getItemQuantity(item) : 1
 				}
 			}))
 		}
+
+		return this.committed;
+	}
+
+	/**
+	 * Restores the document to the state it was in before this transaction was committed, including if the commit only
+	 * partially went through.
+	 *
+	 * @returns {Promise<boolean>} Whether every change could be rolled back
+	 */
+	async rollback() {
+
+		if (!this.inverseChanges) return false;
+
+		const documentUuid = Utilities.getUuid(this.document);
+		const rolledBack = this.document.isOwner
+			? await PrivateAPI._commitInverseChanges(documentUuid, this.inverseChanges)
+			: await ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.COMMIT_INVERSE_CHANGES, documentUuid, this.inverseChanges);
+
+		for (const escrow of this.releasedEscrows) {
+			await EscrowUtilities.addEscrow(this.document, escrow);
+		}
+
+		this.committed = false;
+
+		return rolledBack;
+	}
+
+	/**
+	 * Commits several transactions as one; if any of them fails to commit, every transaction that was committed before
+	 * it is rolled back, so that items and currencies are never lost or duplicated between the documents.
+	 *
+	 * @param {Array<Transaction>} transactions
+	 * @param {string/boolean} [interactionId=false]
+	 * @returns {Promise<Array<object>>} The committed deltas of each transaction, in the same order as the transactions
+	 */
+	static async commitAll(transactions, { interactionId = false } = {}) {
+
+		const results = [];
+		for (const [index, transaction] of transactions.entries()) {
+			try {
+				results.push(await transaction.commit());
+			} catch (err) {
+				// The failed transaction is rolled back too, as it may have been partially committed
+				for (const committedTransaction of transactions.slice(0, index + 1).reverse()) {
+					try {
+						await committedTransaction.rollback();
+					} catch (rollbackErr) {
+						Helpers.custom_warning(`Failed to roll back changes on "${committedTransaction.document.name}": ${rollbackErr}`);
+					}
+				}
+				const interaction = interactionId ? `Interaction "${interactionId}"` : "Interaction";
+				throw Helpers.custom_error(`${interaction} failed and was rolled back: ${err?.message ?? err}`, true);
+			}
+		}
+
+		return results;
+
+	}
+
+	/**
+	 * Builds the changes that would restore the document to the state it was in before this transaction was committed.
+	 * These are absolute values, so that a rollback right after a failed commit also restores changes that were only
+	 * partially committed. Items created by the transaction are only known once it has been committed, so their deletion
+	 * is added in commit().
+	 *
+	 * @returns {{documentChanges: object, itemsToUpdate: Array<object>, itemsToDelete: Array<string>, itemsToCreate: Array<object>}}
+	 * @private
+	 */
+	_getInverseChanges() {
+
+		const documentChanges = Object.fromEntries(Object.keys(this.documentChanges).map(path => {
+			return [path, Number(foundry.utils.getProperty(this.document, path) ?? 0)];
+		}));
+
+		const itemsToCreate = this.itemsToDelete
+			.map(id => this.document.items.get(id)?.toObject())
+			.filter(Boolean);
+
+		const itemsToUpdate = this.itemsToUpdate
+			.filter(update => !this.itemsToDelete.includes(update._id))
+			.map(update => {
+				const item = this.document.items.get(update._id).toObject();
+				return Object.fromEntries(Object.keys(foundry.utils.flattenObject(update)).map(path => {
+					return [path, foundry.utils.getProperty(item, path)];
+				}));
+			});
+
+		return {
+			documentChanges,
+			itemsToUpdate,
+			itemsToDelete: [],
+			itemsToCreate
+		};
+
+	}
+
+	/**
+	 * Builds the changes that undo this transaction at a later point, such as when its interaction is reverted. These are
+	 * deltas that are applied on top of whatever the document holds by then, so that anything that changed since is kept.
+	 * Only the items that were deleted are kept in full, as they need to be created again.
+	 *
+	 * @returns {{attributeDeltas: object, itemChanges: Array<object>, itemsToDelete: Array<string>, itemsToCreate: Array<object>}}
+	 * @private
+	 */
+	_getRevertChanges() {
+
+		const attributeDeltas = Object.fromEntries(Object.entries(this.documentChanges).map(([path, value]) => {
+			return [path, Number(foundry.utils.getProperty(this.document, path) ?? 0) - Number(value)];
+		}).filter(([, delta]) => delta));
+
+		// Numeric fields are kept as deltas, while anything else, such as flags, can only be restored to what it was
+		const itemChanges = this.itemsToUpdate
+			.filter(update => !this.itemsToDelete.includes(update._id))
+			.map(update => {
+				const item = this.document.items.get(update._id).toObject();
+				const deltas = {};
+				const values = {};
+				for (const [path, value] of Object.entries(foundry.utils.flattenObject(update))) {
+					if (path === "_id") continue;
+					const previousValue = foundry.utils.getProperty(item, path);
+					if (previousValue === value) continue;
+					if (typeof value === "number" && typeof previousValue === "number") {
+						deltas[path] = previousValue - value;
+					} else if (typeof value !== "object" || !foundry.utils.objectsEqual(previousValue ?? {}, value ?? {})) {
+						values[path] = previousValue;
+					}
+				}
+				return { _id: update._id, deltas, values };
+			})
+			.filter(change => !foundry.utils.isEmpty(change.deltas) || !foundry.utils.isEmpty(change.values));
+
+		const itemsToCreate = this.itemsToDelete
+			.map(id => this.document.items.get(id)?.toObject())
+			.filter(Boolean)
+			.map(({ _stats, ...item }) => item);
+
+		return {
+			attributeDeltas,
+			itemChanges,
+			itemsToDelete: [],
+			itemsToCreate
+		};
+
 	}
 }
@@ -471,6 +471,39 @@ export function getItemTypeHandler(handler, itemType = "GLOBAL") {
 }
 
 
+/**
+ * Places the given items into a container, leaving any items that are already inside one of the other given items
+ * where they are, so that the contents of a transferred container stay inside it
+ *
+ * @param {Array<Item/object>} items
+ * @param {string/boolean} containerId
+ * @returns {Array<Item/object>}
+ */
+export function setItemsContainer(items, containerId) {
+	const path = getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED_PATH);
+	if (!path) return items;
+	const itemIds = new Set(items.map(data => (data?.item ?? data)?._id));
+	return items.map(data => {
+		const item = data?.item ?? data;
+		const currentContainerId = foundry.utils.getProperty(item, path);
+		if (currentContainerId && itemIds.has(currentContainerId)) return data;
+		const itemData = item instanceof Item ? item.toObject() : foundry.utils.deepClone(item);
+		foundry.utils.setProperty(itemData, path, containerId || null);
+		return data?.item ? { ...data, item: itemData } : itemData;
+	});
+}
+
+/**
+ * Gets the items on an actor that can contain other items
+ *
+ * @param {Actor} actor
+ * @returns {Array<Item>}
+ */
+export function getActorContainers(actor) {
+	if (!actor || !hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED)) return [];
+	return actor.items.filter(item => hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.CONTENTS, item.type));
+}
+
 export function createUniqueId(actor) {
 	let newId = foundry.utils.randomID();
 	let i = 0;
@@ -486,6 +519,11 @@ export function ensureValidIds(actor, itemsToCreate) {
 
 	const containerIdMap = {};
 
+	const createdContainerIds = new Set(itemsToCreate
+		.map(data => data?.item ?? data)
+		.filter(item => item.type && hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.CONTENTS, item.type))
+		.map(item => item._id));
+
 	return itemsToCreate.map(data => {
 		const item = data?.item ?? data;
 		if (!item.system || !item.type) return data;
@@ -493,8 +531,13 @@ export function ensureValidIds(actor, itemsToCreate) {
 		if (handler && handler({ item })) {
 			const path = getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED_PATH);
 			const containerId = foundry.utils.getProperty(item, path);
-			containerIdMap[containerId] ??= createUniqueId(actor);
-			foundry.utils.setProperty(item, path, containerIdMap[containerId]);
+			if (createdContainerIds.has(containerId)) {
+				containerIdMap[containerId] ??= createUniqueId(actor);
+				foundry.utils.setProperty(item, path, containerIdMap[containerId]);
+			} else if (!actor.items.get(containerId)) {
+				// The container was not brought along, so the item would otherwise end up inside a container that does not exist
+				foundry.utils.setProperty(item, path, null);
+			}
 			item._id = createUniqueId(actor);
 		} else if (hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.CONTENTS, item.type)) {
 			containerIdMap[item._id] ??= createUniqueId(actor);
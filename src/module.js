@@ -20,6 +20,8 @@ import runMigrations from "./migrations.js"
 
 import ItemPileConfig from "./applications/item-pile-config/item-pile-config.js";
 import ItemEditor from "./applications/item-editor/item-editor.js";
+import LedgerApp from "./applications/ledger-app/ledger-app.js";
+import ClaimQueueApp from "./applications/claim-queue-app/claim-queue-app.js";
 import { setupPlugins } from "./plugins/main.js";
 import { setupCaches } from "./helpers/caches.js";
 import { initializeCompendiumCache } from "./helpers/compendium-utilities.js";
@@ -45,7 +47,9 @@ Hooks.once("init", async () => {
 		Transaction,
 		apps: {
 			ItemPileConfig,
-			ItemEditor
+			ItemEditor,
+			LedgerApp,
+			ClaimQueueApp
 		}
 	};
 	window.ItemPiles = {
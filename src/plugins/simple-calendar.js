@@ -3,7 +3,8 @@ import ItemPileStore from "../stores/item-pile-store.js";
 import * as PileUtilities from "../helpers/pile-utilities.js";
 import CONSTANTS from "../constants/constants.js";
 import Transaction from "../helpers/transaction.js";
-import { debug, isResponsibleGM } from "../helpers/helpers.js";
+import PrivateAPI from "../API/private-api.js";
+import { custom_warning, debug, isResponsibleGM } from "../helpers/helpers.js";
 
 let previousState;
 
@@ -51,6 +52,10 @@ export default class SimpleCalendarPlugin extends BasePlugin {
 			return PileUtilities.isItemPileMerchant(token);
 		});
 		this.validTokensOnScenes = validTokensOnScenes;
+
+		this.bankers = PileUtilities.getItemPileActors((actor) => {
+			return PileUtilities.isItemPileBanker(actor);
+		});
 	}
 
 	handleTimePassed() {
@@ -126,6 +131,12 @@ export default class SimpleCalendarPlugin extends BasePlugin {
 
 		this.hideMerchantTokens();
 		this.refreshMerchantInventories(newState, previousState, categories, notes);
+		this.applyBankRates(newState, previousState).catch(err => {
+			custom_warning(`Failed to apply bank interest and fees: ${err?.message ?? err}`, true);
+		});
+		this.restockMerchantItems(newState, previousState).catch(err => {
+			custom_warning(`Failed to restock merchant items: ${err?.message ?? err}`, true);
+		});
 
 		previousState = newState;
 
@@ -206,6 +217,40 @@ export default class SimpleCalendarPlugin extends BasePlugin {
 		}
 	}
 
+	async applyBankRates(newState, previousState) {
+
+		const dayLength = SimpleCalendar.api.timestampPlusInterval(0, { day: 1 });
+		const daysPassed = Math.floor(newState.timestamp / dayLength) - Math.floor(previousState.timestamp / dayLength);
+		if (daysPassed <= 0) return;
+
+		const bankers = this.bankers.filter((actor) => {
+			const flags = PileUtilities.getActorFlagData(actor);
+			return flags.bankInterestRate || flags.bankFeeRate;
+		});
+
+		if (bankers.length) debug(`Applying ${daysPassed} days of interest and fees to ${bankers.length} bankers`);
+		for (const banker of bankers) {
+			await PrivateAPI._applyBankRates(banker.uuid, daysPassed);
+		}
+
+	}
+
+	async restockMerchantItems(newState, previousState) {
+
+		const dayLength = SimpleCalendar.api.timestampPlusInterval(0, { day: 1 });
+		const daysPassed = Math.floor(newState.timestamp / dayLength) - Math.floor(previousState.timestamp / dayLength);
+		if (daysPassed <= 0) return;
+
+		const merchantUuids = this.actors.map(actor => actor.uuid)
+			.concat(this.validTokensOnScenes.map(([_, tokens]) => tokens.map(token => token.uuid)).deepFlatten());
+
+		if (merchantUuids.length) debug(`Restocking items of ${merchantUuids.length} merchants after ${daysPassed} days`);
+		for (const uuid of merchantUuids) {
+			await PrivateAPI._restockMerchantItems(uuid, daysPassed);
+		}
+
+	}
+
 	async refreshActorItems(actor, notes) {
 
 		const actorTransaction = new Transaction(actor);
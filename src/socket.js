@@ -2,6 +2,7 @@ import CONSTANTS from "./constants/constants.js";
 import * as Helpers from "./helpers/helpers.js";
 import { debug } from "./helpers/helpers.js";
 import { stringIsUuid } from "./helpers/utilities.js";
+import * as ClaimUtilities from "./helpers/claim-utilities.js";
 import PrivateAPI from "./API/private-api.js";
 import TradeAPI from "./API/trade-api.js";
 import ChatAPI from "./API/chat-api.js";
@@ -36,6 +37,7 @@ export default class ItemPileSocket {
 		REVERT_FROM_PILE: "revertFromPiles",
 		REFRESH_PILE: "refreshItemPile",
 		SPLIT_PILE: "splitItemPileContent",
+		ATTEMPT_UNLOCK_PILE: "attemptUnlockItemPile",
 
 		/**
 		 * UI sockets
@@ -69,31 +71,84 @@ export default class ItemPileSocket {
 		TRANSFER_EVERYTHING: "transferEverything",
 		COMBINE_ITEM_PILES: "combineItemPiles",
 		COMMIT_DOCUMENT_CHANGES: "commitActorChanges",
+		COMMIT_INVERSE_CHANGES: "commitInverseChanges",
 		ROLL_ITEM_TABLE: "rollItemTable",
 		REFRESH_MERCHANT_INVENTORY: "refreshMerchantInventory",
+		REVERT_INTERACTION: "revertInteraction",
+		IDENTIFY_ITEM: "identifyItem",
+		SORT_VAULT: "sortVault",
 
 		/**
 		 * Trading sockets
 		 */
 		TRADE_REQUEST_PROMPT: "tradePrompt",
 		TRADE_REQUEST_CANCELLED: "tradeCancelled",
+		START_TRADE: "startTrade",
 		REQUEST_TRADE_DATA: "requestTradeData",
 		TRADE_CLOSED: "publicTradeClosed",
 		PUBLIC_TRADE_UPDATE_ITEMS: "publicTradeUpdateItems",
 		PUBLIC_TRADE_UPDATE_ITEM_CURRENCIES: "publicTradeUpdateItemCurrencies",
 		PUBLIC_TRADE_UPDATE_CURRENCIES: "publicTradeUpdateCurrencies",
+		PUBLIC_TRADE_UPDATE_REQUESTS: "publicTradeUpdateRequests",
 		PUBLIC_TRADE_STATE: "publicTradeAcceptedState",
 		PRIVATE_TRADE_UPDATE_ITEMS: "privateTradeUpdateItems",
 		PRIVATE_TRADE_UPDATE_ITEM_CURRENCIES: "privateTradeUpdateItemCurrencies",
 		PRIVATE_TRADE_UPDATE_CURRENCIES: "privateTradeUpdateCurrencies",
+		PRIVATE_TRADE_UPDATE_REQUESTS: "privateTradeUpdateRequests",
 		PRIVATE_TRADE_STATE: "privateTradeAcceptedState",
 		EXECUTE_TRADE: "executeTrade",
 		TRADE_COMPLETED: "tradeCompleted",
+		SEND_TRADE_OFFER: "sendTradeOffer",
+		RESOLVE_TRADE_OFFER: "resolveTradeOffer",
+		TRADE_OFFER_NOTIFICATION: "tradeOfferNotification",
 
 		/**
 		 * Merchant sockets
 		 */
-		TRADE_ITEMS: "tradeItems"
+		TRADE_ITEMS: "tradeItems",
+
+		/**
+		 * Banker sockets
+		 */
+		OPEN_BANK_ACCOUNT: "openBankAccount",
+		DEPOSIT_TO_BANK: "depositToBank",
+		WITHDRAW_FROM_BANK: "withdrawFromBank",
+
+		/**
+		 * Auctioneer sockets
+		 */
+		CREATE_AUCTION_LOT: "createAuctionLot",
+		BID_ON_AUCTION_LOT: "bidOnAuctionLot",
+		SETTLE_AUCTION_LOT: "settleAuctionLot",
+
+		/**
+		 * Crafting sockets
+		 */
+		CRAFT_ITEM: "craftItem",
+		BREAKDOWN_ITEM: "breakdownItem",
+
+		/**
+		 * Merchant sockets
+		 */
+		HAGGLE: "haggle",
+
+		/**
+		 * Faction sockets
+		 */
+		UPDATE_REPUTATION: "updateReputation",
+
+		/**
+		 * Loot roll sockets
+		 */
+		START_LOOT_ROLL: "startLootRoll",
+		LOOT_ROLL_PROMPT: "lootRollPrompt",
+
+		/**
+		 * Claim sockets
+		 */
+		RESOLVE_CLAIM: "resolveClaim",
+		RENDER_CLAIM_QUEUE: "renderClaimQueue",
+		CLAIM_NOTIFICATION: "claimNotification"
 	}
 
 	static BINDINGS = {
@@ -108,8 +163,18 @@ export default class ItemPileSocket {
 		[this.HANDLERS.GIVE_ITEMS_RESPONSE]: (...args) => PrivateAPI._giveItemsResponse(...args),
 		[this.HANDLERS.ADD_ITEMS]: (...args) => PrivateAPI._addItems(...args),
 		[this.HANDLERS.REMOVE_ITEMS]: (...args) => PrivateAPI._removeItems(...args),
-		[this.HANDLERS.TRANSFER_ITEMS]: (...args) => PrivateAPI._transferItems(...args),
-		[this.HANDLERS.TRANSFER_ALL_ITEMS]: (...args) => PrivateAPI._transferAllItems(...args),
+		[this.HANDLERS.TRANSFER_ITEMS]: (sourceUuid, targetUuid, items, userId, options) => {
+			if (ClaimUtilities.requiresApproval(sourceUuid, userId)) {
+				return PrivateAPI._queueClaim(sourceUuid, targetUuid, userId, { ...options, items });
+			}
+			return PrivateAPI._transferItems(sourceUuid, targetUuid, items, userId, options);
+		},
+		[this.HANDLERS.TRANSFER_ALL_ITEMS]: (sourceUuid, targetUuid, userId, options) => {
+			if (ClaimUtilities.requiresApproval(sourceUuid, userId)) {
+				return PrivateAPI._queueClaim(sourceUuid, targetUuid, userId, { ...options, allItems: true });
+			}
+			return PrivateAPI._transferAllItems(sourceUuid, targetUuid, userId, options);
+		},
 		[this.HANDLERS.UPDATE_CURRENCIES]: (...args) => PrivateAPI._updateCurrencies(...args),
 		[this.HANDLERS.ADD_CURRENCIES]: (...args) => PrivateAPI._addCurrencies(...args),
 		[this.HANDLERS.REMOVE_CURRENCIES]: (...args) => PrivateAPI._removeCurrencies(...args),
@@ -118,13 +183,32 @@ export default class ItemPileSocket {
 		[this.HANDLERS.SET_ATTRIBUTES]: (...args) => PrivateAPI._setAttributes(...args),
 		[this.HANDLERS.ADD_ATTRIBUTES]: (...args) => PrivateAPI._addAttributes(...args),
 		[this.HANDLERS.REMOVE_ATTRIBUTES]: (...args) => PrivateAPI._removeAttributes(...args),
-		[this.HANDLERS.TRANSFER_ATTRIBUTES]: (...args) => PrivateAPI._transferAttributes(...args),
-		[this.HANDLERS.TRANSFER_ALL_ATTRIBUTES]: (...args) => PrivateAPI._transferAllAttributes(...args),
-		[this.HANDLERS.TRANSFER_EVERYTHING]: (...args) => PrivateAPI._transferEverything(...args),
+		[this.HANDLERS.TRANSFER_ATTRIBUTES]: (sourceUuid, targetUuid, attributes, userId, options) => {
+			if (ClaimUtilities.requiresApproval(sourceUuid, userId)) {
+				return PrivateAPI._queueClaim(sourceUuid, targetUuid, userId, { ...options, attributes });
+			}
+			return PrivateAPI._transferAttributes(sourceUuid, targetUuid, attributes, userId, options);
+		},
+		[this.HANDLERS.TRANSFER_ALL_ATTRIBUTES]: (sourceUuid, targetUuid, userId, options) => {
+			if (ClaimUtilities.requiresApproval(sourceUuid, userId)) {
+				return PrivateAPI._queueClaim(sourceUuid, targetUuid, userId, { ...options, allAttributes: true });
+			}
+			return PrivateAPI._transferAllAttributes(sourceUuid, targetUuid, userId, options);
+		},
+		[this.HANDLERS.TRANSFER_EVERYTHING]: (sourceUuid, targetUuid, userId, options) => {
+			if (ClaimUtilities.requiresApproval(sourceUuid, userId)) {
+				return PrivateAPI._queueClaim(sourceUuid, targetUuid, userId, { ...options, everything: true });
+			}
+			return PrivateAPI._transferEverything(sourceUuid, targetUuid, userId, options);
+		},
 		[this.HANDLERS.COMBINE_ITEM_PILES]: (...args) => PrivateAPI._combineItemPiles(...args),
 		[this.HANDLERS.COMMIT_DOCUMENT_CHANGES]: (...args) => PrivateAPI._commitDocumentChanges(...args),
+		[this.HANDLERS.COMMIT_INVERSE_CHANGES]: (...args) => PrivateAPI._commitInverseChanges(...args),
 		[this.HANDLERS.ROLL_ITEM_TABLE]: (...args) => PrivateAPI._rollItemTable(...args),
 		[this.HANDLERS.REFRESH_MERCHANT_INVENTORY]: (...args) => PrivateAPI._refreshMerchantInventory(...args),
+		[this.HANDLERS.REVERT_INTERACTION]: (...args) => PrivateAPI._revertInteraction(...args),
+		[this.HANDLERS.IDENTIFY_ITEM]: (...args) => PrivateAPI._identifyItem(...args),
+		[this.HANDLERS.SORT_VAULT]: (...args) => PrivateAPI._sortVault(...args),
 
 		[this.HANDLERS.CREATE_PILE]: (...args) => PrivateAPI._createItemPile(...args),
 		[this.HANDLERS.UPDATE_PILE]: (...args) => PrivateAPI._updateItemPile(...args),
@@ -132,23 +216,34 @@ export default class ItemPileSocket {
 		[this.HANDLERS.DELETE_PILE]: (...args) => PrivateAPI._deleteItemPile(...args),
 		[this.HANDLERS.TURN_INTO_PILE]: (...args) => PrivateAPI._turnTokensIntoItemPiles(...args),
 		[this.HANDLERS.REVERT_FROM_PILE]: (...args) => PrivateAPI._revertTokensFromItemPiles(...args),
-		[this.HANDLERS.SPLIT_PILE]: (...args) => PrivateAPI._splitItemPileContents(...args),
+		[this.HANDLERS.SPLIT_PILE]: (itemPileUuid, actorUuids, userId, instigator) => {
+			// Splitting hands everything out at once, which cannot wait for a GM to approve it
+			if (ClaimUtilities.requiresApproval(itemPileUuid, userId)) return false;
+			return PrivateAPI._splitItemPileContents(itemPileUuid, actorUuids, userId, instigator);
+		},
+		[this.HANDLERS.ATTEMPT_UNLOCK_PILE]: (...args) => PrivateAPI._attemptUnlockItemPile(...args),
 
 		[this.HANDLERS.TRADE_REQUEST_PROMPT]: (...args) => TradeAPI._respondPrompt(...args),
 		[this.HANDLERS.TRADE_REQUEST_CANCELLED]: (...args) => TradeAPI._tradeCancelled(...args),
+		[this.HANDLERS.START_TRADE]: (...args) => TradeAPI._startTrade(...args),
 		[this.HANDLERS.EXECUTE_TRADE]: (...args) => TradeAPI._executeTrade(...args),
 		[this.HANDLERS.TRADE_COMPLETED]: (...args) => TradeAPI._tradeCompleted(...args),
 		[this.HANDLERS.REQUEST_TRADE_DATA]: (...args) => TradeAPI._respondActiveTradeData(...args),
 		[this.HANDLERS.TRADE_CLOSED]: (...args) => TradeAPI._tradeClosed(...args),
+		[this.HANDLERS.SEND_TRADE_OFFER]: (...args) => TradeAPI._sendTradeOffer(...args),
+		[this.HANDLERS.RESOLVE_TRADE_OFFER]: (...args) => TradeAPI._resolveTradeOffer(...args),
+		[this.HANDLERS.TRADE_OFFER_NOTIFICATION]: (...args) => TradeAPI._tradeOfferNotification(...args),
 
 		[this.HANDLERS.PUBLIC_TRADE_UPDATE_ITEMS]: (...args) => TradeAPI._updateItems(...args),
 		[this.HANDLERS.PUBLIC_TRADE_UPDATE_ITEM_CURRENCIES]: (...args) => TradeAPI._updateItemCurrencies(...args),
 		[this.HANDLERS.PUBLIC_TRADE_UPDATE_CURRENCIES]: (...args) => TradeAPI._updateCurrencies(...args),
+		[this.HANDLERS.PUBLIC_TRADE_UPDATE_REQUESTS]: (...args) => TradeAPI._updateRequests(...args),
 		[this.HANDLERS.PUBLIC_TRADE_STATE]: (...args) => TradeAPI._updateAcceptedState(...args),
 
 		[this.HANDLERS.PRIVATE_TRADE_UPDATE_ITEMS]: (...args) => TradeAPI._updateItems(...args),
 		[this.HANDLERS.PRIVATE_TRADE_UPDATE_ITEM_CURRENCIES]: (...args) => TradeAPI._updateItemCurrencies(...args),
 		[this.HANDLERS.PRIVATE_TRADE_UPDATE_CURRENCIES]: (...args) => TradeAPI._updateCurrencies(...args),
+		[this.HANDLERS.PRIVATE_TRADE_UPDATE_REQUESTS]: (...args) => TradeAPI._updateRequests(...args),
 		[this.HANDLERS.PRIVATE_TRADE_STATE]: (...args) => TradeAPI._updateAcceptedState(...args),
 
 		[this.HANDLERS.PICKUP_CHAT_MESSAGE]: (...args) => ChatAPI._outputPickupToChat(...args),
@@ -164,6 +259,23 @@ export default class ItemPileSocket {
 
 		[this.HANDLERS.TRADE_ITEMS]: (...args) => PrivateAPI._tradeItems(...args),
 
+		[this.HANDLERS.OPEN_BANK_ACCOUNT]: (...args) => PrivateAPI._openBankAccount(...args),
+		[this.HANDLERS.DEPOSIT_TO_BANK]: (...args) => PrivateAPI._depositToBank(...args),
+		[this.HANDLERS.WITHDRAW_FROM_BANK]: (...args) => PrivateAPI._withdrawFromBank(...args),
+
+		[this.HANDLERS.CREATE_AUCTION_LOT]: (...args) => PrivateAPI._createAuctionLot(...args),
+		[this.HANDLERS.BID_ON_AUCTION_LOT]: (...args) => PrivateAPI._bidOnAuctionLot(...args),
+		[this.HANDLERS.SETTLE_AUCTION_LOT]: (...args) => PrivateAPI._settleAuctionLot(...args),
+		[this.HANDLERS.CRAFT_ITEM]: (...args) => PrivateAPI._craftItem(...args),
+		[this.HANDLERS.BREAKDOWN_ITEM]: (...args) => PrivateAPI._breakdownItem(...args),
+		[this.HANDLERS.HAGGLE]: (...args) => PrivateAPI._haggle(...args),
+		[this.HANDLERS.UPDATE_REPUTATION]: (...args) => PrivateAPI._updateReputation(...args),
+		[this.HANDLERS.START_LOOT_ROLL]: (...args) => PrivateAPI._startLootRoll(...args),
+		[this.HANDLERS.LOOT_ROLL_PROMPT]: (...args) => PrivateAPI._lootRollPrompt(...args),
+		[this.HANDLERS.RESOLVE_CLAIM]: (...args) => PrivateAPI._resolveClaim(...args),
+		[this.HANDLERS.RENDER_CLAIM_QUEUE]: (...args) => PrivateAPI._renderClaimQueue(...args),
+		[this.HANDLERS.CLAIM_NOTIFICATION]: (...args) => PrivateAPI._claimNotification(...args),
+
 	}
 
 	static socket;
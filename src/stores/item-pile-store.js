@@ -4,8 +4,9 @@ import CONSTANTS from "../constants/constants.js";
 import * as Utilities from "../helpers/utilities.js";
 import * as PileUtilities from "../helpers/pile-utilities.js";
 import * as SharingUtilities from "../helpers/sharing-utilities.js";
+import * as EscrowUtilities from "../helpers/escrow-utilities.js";
 import * as Helpers from "../helpers/helpers.js";
-import { InterfaceTracker } from "../socket.js";
+import ItemPileSocket, { InterfaceTracker } from "../socket.js";
 import { PileAttribute, PileItem } from "./pile-item.js";
 import DropCurrencyDialog from "../applications/dialogs/drop-currency-dialog/drop-currency-dialog.js";
 import { SYSTEMS } from "../systems.js";
@@ -31,6 +32,7 @@ export default class ItemPileStore {
 
 		this.pileData = writable({});
 		this.shareData = writable({});
+		this.escrowData = writable({ items: {}, attributes: {} });
 
 		this.recipientPileData = writable({})
 		this.recipientShareData = writable({});
@@ -59,6 +61,9 @@ export default class ItemPileStore {
 		this.numItems = writable(0);
 		this.numCurrencies = writable(0);
 
+		this.openedContainers = writable([]);
+		this.recipientContainer = writable("");
+
 		this.name = writable("");
 		this.img = writable("");
 
@@ -109,6 +114,7 @@ export default class ItemPileStore {
 
 		this.pileData.set(PileUtilities.getActorFlagData(this.actor));
 		this.shareData.set(SharingUtilities.getItemPileSharingData(this.actor));
+		this.escrowData.set(EscrowUtilities.getEscrowedQuantities(this.actor));
 
 		this.recipientPileData.set(this.recipient ? PileUtilities.getActorFlagData(this.recipient) : {});
 		this.recipientShareData.set(this.recipient ? SharingUtilities.getItemPileSharingData(this.recipient) : {});
@@ -137,6 +143,9 @@ export default class ItemPileStore {
 		this.numItems.set(0);
 		this.numCurrencies.set(0);
 
+		this.openedContainers.set([]);
+		this.recipientContainer.set("");
+
 		this.name.set("");
 		this.img.set("");
 
@@ -160,6 +169,9 @@ export default class ItemPileStore {
 				this.pileCurrencies.set(PileUtilities.getActorCurrencies(this.actor, { getAll: true }));
 				this.refreshItems();
 			}
+			if (foundry.utils.hasProperty(renderData, CONSTANTS.FLAGS.ESCROW)) {
+				this.escrowData.set(EscrowUtilities.getEscrowedQuantities(this.actor));
+			}
 			this.name.set(this.actor.name);
 			this.img.set(this.getActorImage());
 		});
@@ -253,6 +265,7 @@ export default class ItemPileStore {
 	updateUnlinkedToken() {
 		this.pileData.set(PileUtilities.getActorFlagData(this.actor));
 		this.shareData.set(SharingUtilities.getItemPileSharingData(this.actor));
+		this.escrowData.set(EscrowUtilities.getEscrowedQuantities(this.actor));
 		this.refreshItems();
 	}
 
@@ -284,6 +297,36 @@ export default class ItemPileStore {
 		return (b.item.name > a.item.name ? -1 : 1) * (inverse ? -1 : 1);
 	}
 
+	/**
+	 * Gets the container that is currently being browsed, dropping any containers from the trail that no longer exist
+	 *
+	 * @param {Array<PileItem>} [allItems]
+	 * @returns {PileItem/boolean}
+	 */
+	getOpenedContainer(allItems = get(this.allItems)) {
+		const openedContainers = get(this.openedContainers);
+		const existingContainers = [];
+		for (const container of openedContainers) {
+			if (!container.id || !allItems.includes(container)) break;
+			existingContainers.push(container);
+		}
+		if (existingContainers.length !== openedContainers.length) {
+			this.openedContainers.set(existingContainers);
+		}
+		return existingContainers.at(-1) ?? false;
+	}
+
+	browseContainer(pileItem) {
+		if (!pileItem.isContainer || !pileItem.id) return;
+		this.openedContainers.update(containers => containers.concat(pileItem));
+		this.refreshItems();
+	}
+
+	browseParent(depth = 0) {
+		this.openedContainers.update(containers => containers.slice(0, depth));
+		this.refreshItems();
+	}
+
 	refreshItems() {
 		const allItems = get(this.allItems);
 		const allAttributes = get(this.attributes);
@@ -335,7 +378,10 @@ export default class ItemPileStore {
 				return acc;
 			}, []);
 
-		const visibleItems = groupedItems.filter(entry => this.visibleItemFilterFunction(entry, actorIsMerchant, pileData, recipientPileData));
+		const openedContainer = this.getOpenedContainer(allItems);
+		const listedItems = openedContainer ? get(openedContainer.subItems) : groupedItems;
+
+		const visibleItems = listedItems.filter(entry => this.visibleItemFilterFunction(entry, actorIsMerchant, pileData, recipientPileData));
 		const itemCurrencies = groupedItems.filter(entry => entry.isCurrency && !entry.isSecondaryCurrency);
 		const secondaryItemCurrencies = groupedItems.filter(entry => entry.isSecondaryCurrency);
 
@@ -560,6 +606,20 @@ export default class ItemPileStore {
 		return game.itempiles.API.splitItemPileContents(this.actor, { instigator: this.recipient });
 	}
 
+	startLootRoll() {
+		return game.itempiles.API.startLootRoll(this.actor, { interactionId: this.interactionId });
+	}
+
+	/**
+	 * Puts the items in the pile that have not been rolled for yet up for a loot roll when the pile is opened
+	 */
+	startLootRollOnOpen() {
+		if (game.user.isGM || !get(this.pileData).lootRollEnabled || !PileUtilities.isItemPileLootable(this.actor)) return;
+		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.START_LOOT_ROLL, Utilities.getUuid(this.actor), false, game.user.id, {
+			interactionId: this.interactionId, onOpen: true
+		});
+	}
+
 	closeContainer() {
 		if (!InterfaceTracker.isOpened(this.application.id)) {
 			return game.itempiles.API.closeItemPile(this.actor, this.recipient);
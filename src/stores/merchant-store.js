@@ -240,7 +240,8 @@ export default class MerchantStore extends ItemPileStore {
 		if (this.recipient && pileData.actorPriceModifiers && Array.isArray(pileData.actorPriceModifiers)) {
 			change = true;
 			const recipientUuid = Utilities.getUuid(this.recipient);
-			const actorSpecificModifiers = pileData.actorPriceModifiers?.find(data => data.actorUuid === recipientUuid);
+			// Haggles are kept alongside the actor price modifiers, but are applied on their own when prices are worked out
+			const actorSpecificModifiers = pileData.actorPriceModifiers?.find(data => !data.haggle && data.actorUuid === recipientUuid);
 			if (actorSpecificModifiers) {
 				this.priceModifiersForActor.set(actorSpecificModifiers);
 			}
@@ -499,6 +500,12 @@ class PileMerchantItem extends PileItem {
 		this.filtered.set(searchFiltered || typeFiltered);
 	}
 
+	identify() {
+		return game.itempiles.API.identifyItem(this.item, {
+			merchant: this.store.recipient, interactionId: this.store.interactionId
+		});
+	}
+
 	async toggleProperty(property) {
 
 		this.itemFlagData.update((data) => {
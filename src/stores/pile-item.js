@@ -7,6 +7,7 @@ import CONSTANTS from "../constants/constants.js";
 import { Plugins } from "../plugins/main.js";
 import { SYSTEMS } from "../systems.js";
 import * as CompendiumUtilities from "../helpers/compendium-utilities.js";
+import * as IdentificationUtilities from "../helpers/identification-utilities.js";
 
 class PileBaseItem {
 
@@ -25,6 +26,7 @@ class PileBaseItem {
 		this.quantity = writable(1);
 		this.currentQuantity = writable(1);
 		this.quantityLeft = writable(1);
+		this.escrowed = writable(0);
 		this.filtered = writable(true);
 		this.presentFromTheStart = writable(false);
 		this.rarityColor = writable(false);
@@ -67,9 +69,11 @@ export class PileItem extends PileBaseItem {
 		this.currentQuantity.set(Math.min(get(this.currentQuantity), get(this.quantityLeft), get(this.quantity)));
 		this.id = this.item.id;
 		this.type = this.item.type;
-		const itemData = CompendiumUtilities.findSimilarItemInCompendiumSync(this.item);
-		this.name = writable(itemData?.name ?? this.item.name);
-		this.img = writable(itemData?.img ?? this.item.img);
+		this.isContainer = Utilities.hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.CONTENTS, this.type);
+		const displayData = this.getDisplayData();
+		this.name = writable(displayData.name);
+		this.img = writable(displayData.img);
+		this.identified = writable(IdentificationUtilities.isItemIdentified(this.item));
 		this.abbreviation = writable("");
 		this.identifier = foundry.utils.randomID();
 		this.itemFlagData = writable(PileUtilities.getItemFlagData(this.item));
@@ -86,23 +90,25 @@ export class PileItem extends PileBaseItem {
 		});
 
 		this.subscribeTo(this.store.shareData, () => {
-			if (!this.toShare) {
-				this.quantityLeft.set(get(this.quantity));
-				return;
-			}
-			const quantityLeft = SharingUtilities.getItemSharesLeftForActor(this.store.actor, this.item, this.store.recipient);
-			this.quantityLeft.set(quantityLeft);
+			this.updateQuantityLeft();
+		});
+
+		this.subscribeTo(this.store.escrowData, (escrowData) => {
+			this.escrowed.set(escrowData.items[this.id] ?? 0);
+			this.updateQuantityLeft();
 		});
 
 		this.subscribeTo(this.itemDocument, () => {
 			const updateData = this.itemDocument.updateOptions;
 			const renderData = updateData?.renderData ?? updateData?.data ?? {};
-			const itemData = CompendiumUtilities.findSimilarItemInCompendiumSync(this.item);
-			this.name.set(itemData?.name ?? this.item.name);
-			this.img.set(itemData?.img ?? this.item.img);
+			const displayData = this.getDisplayData();
+			this.name.set(displayData.name);
+			this.img.set(displayData.img);
+			this.identified.set(IdentificationUtilities.isItemIdentified(this.item));
 			this.similarities = Utilities.setSimilarityProperties({}, this.item);
 			if (PileUtilities.canItemStack(this.item, this.store.actor) && Utilities.hasItemQuantity(renderData)) {
 				this.quantity.set(Utilities.getItemQuantity(renderData));
+				this.updateQuantityLeft();
 				const quantity = Math.min(get(this.currentQuantity), get(this.quantityLeft), get(this.quantity));
 				this.currentQuantity.set(quantity);
 			}
@@ -115,7 +121,11 @@ export class PileItem extends PileBaseItem {
 				this.rarityColor.set(Plugins["rarity-colors"].data.getItemColor(this.item));
 			}
 			if (Utilities.hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED)) {
-				this.containerID.set(Utilities.getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED)({ item: this.item }));
+				const containerID = this.getContainerID();
+				if (containerID !== get(this.containerID)) {
+					this.containerID.set(containerID);
+					if (!foundry.utils.isEmpty(renderData)) this.store.refreshItems();
+				}
 			}
 			if (!foundry.utils.isEmpty(renderData) && Utilities.hasItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.HAS_CURRENCY, this.item.type)) {
 				this.store.populateItems();
@@ -146,13 +156,40 @@ export class PileItem extends PileBaseItem {
 		this.isSecondaryCurrency = !!currency?.secondary;
 		this.abbreviation.set(currency?.abbreviation ?? "");
 		this.similarities = Utilities.setSimilarityProperties({}, this.item);
-		this.name.set(this.isCurrency ? currency.name : this.item.name);
-		this.img.set(this.isCurrency ? currency.img : this.item.img);
+		const displayData = IdentificationUtilities.getItemDisplayData(this.item);
+		this.name.set(this.isCurrency ? currency.name : displayData.name);
+		this.img.set(this.isCurrency ? currency.img : displayData.img);
 		this.toShare = this.isCurrency
 			? get(pileActorData).shareCurrenciesEnabled && !!this.store.recipient
 			: get(pileActorData).shareItemsEnabled && !!this.store.recipient;
 	}
 
+	/**
+	 * What is left to take is what is not held in escrow, and when sharing is enabled, no more than the actor's share
+	 */
+	updateQuantityLeft() {
+		let quantityLeft = Math.max(0, get(this.quantity) - get(this.escrowed));
+		if (this.toShare) {
+			quantityLeft = Math.min(quantityLeft, SharingUtilities.getItemSharesLeftForActor(this.store.actor, this.item, this.store.recipient));
+		}
+		this.quantityLeft.set(quantityLeft);
+	}
+
+	getDisplayData() {
+		if (IdentificationUtilities.isItemIdentityHidden(this.item)) {
+			return IdentificationUtilities.getItemDisplayData(this.item);
+		}
+		const itemData = CompendiumUtilities.findSimilarItemInCompendiumSync(this.item);
+		return { name: itemData?.name ?? this.item.name, img: itemData?.img ?? this.item.img };
+	}
+
+	getContainerID() {
+		const isContained = Utilities.getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED)({ item: this.item });
+		if (!isContained) return "";
+		const path = Utilities.getItemTypeHandler(CONSTANTS.ITEM_TYPE_METHODS.IS_CONTAINED_PATH);
+		return (path && foundry.utils.getProperty(this.item, path)) || "";
+	}
+
 	updateCategory() {
 		const pileData = get(this.store.pileData);
 		const itemFlagData = get(this.itemFlagData);
@@ -195,7 +232,7 @@ export class PileItem extends PileBaseItem {
 			this.store.actor,
 			this.store.recipient,
 			[{ _id: this.id, quantity }],
-			{ interactionId: this.store.interactionId }
+			{ interactionId: this.store.interactionId, containerId: get(this.store.recipientContainer) || false }
 		);
 	}
 
@@ -231,6 +268,13 @@ export class PileItem extends PileBaseItem {
 		}
 		const itemData = this.item.toObject();
 		itemData.ownership[game.user.id] = 1;
+		if (IdentificationUtilities.isItemIdentityHidden(this.item)) {
+			// The sheet is built from a copy, so the true name and description never reach the player
+			const displayData = IdentificationUtilities.getItemDisplayData(this.item);
+			itemData.name = displayData.name;
+			itemData.img = displayData.img;
+			foundry.utils.setProperty(itemData, "system.description.value", displayData.description);
+		}
 		const newItem = new Item.implementation(itemData);
 		const cls = newItem._getSheetClass();
 		const sheet = new cls(newItem, { editable: false });
@@ -260,14 +304,13 @@ export class PileAttribute extends PileBaseItem {
 
 		this.subscribeTo(this.store.pileData, this.setupProperties.bind(this));
 
-		this.subscribeTo(this.store.shareData, (val) => {
-			const quantity = get(this.quantity);
-			if (!this.toShare) {
-				this.quantityLeft.set(quantity);
-				return;
-			}
-			const quantityLeft = SharingUtilities.getAttributeSharesLeftForActor(this.store.actor, this.path, this.store.recipient);
-			this.quantityLeft.set(Math.min(quantity, quantityLeft));
+		this.subscribeTo(this.store.shareData, () => {
+			this.updateQuantityLeft();
+		});
+
+		this.subscribeTo(this.store.escrowData, (escrowData) => {
+			this.escrowed.set(escrowData.attributes[this.path] ?? 0);
+			this.updateQuantityLeft();
 		});
 
 		this.subscribeTo(this.parentDoc, () => {
@@ -279,12 +322,7 @@ export class PileAttribute extends PileBaseItem {
 			if (foundry.utils.hasProperty(renderData, this.path)) {
 				const newQuantity = Number(foundry.utils.getProperty(renderData, this.path) ?? 0);
 				this.quantity.set(newQuantity);
-				if (!this.toShare) {
-					this.quantityLeft.set(newQuantity);
-				} else {
-					const quantityLeft = SharingUtilities.getAttributeSharesLeftForActor(this.store.actor, this.path, this.store.recipient);
-					this.quantityLeft.set(Math.min(newQuantity, quantityLeft));
-				}
+				this.updateQuantityLeft();
 				this.currentQuantity.set(Math.min(get(this.currentQuantity), get(this.quantityLeft), newQuantity));
 				this.store.refreshItems();
 			}
@@ -298,6 +336,14 @@ export class PileAttribute extends PileBaseItem {
 		this.toShare = get(this.store.pileData).shareCurrenciesEnabled && !!this.store.recipient;
 	}
 
+	updateQuantityLeft() {
+		let quantityLeft = Math.max(0, get(this.quantity) - get(this.escrowed));
+		if (this.toShare) {
+			quantityLeft = Math.min(quantityLeft, SharingUtilities.getAttributeSharesLeftForActor(this.store.actor, this.path, this.store.recipient));
+		}
+		this.quantityLeft.set(quantityLeft);
+	}
+
 	filter() {
 		const name = get(this.name);
 		const search = get(this.store.search);
@@ -27,6 +27,8 @@ export class VaultStore extends ItemPileStore {
 		this.vaultLog = writable([]);
 		this.visibleLogItems = writable(18);
 		this.highlightedGridItems = writable([]);
+		this.typeFilter = writable("all");
+		this.sortStrategy = writable(CONSTANTS.VAULT_SORT_STRATEGIES.SIZE);
 		this.vaultExpanderItems = writable([]);
 		this.dragPosition = writable({ x: 0, y: 0, w: 1, h: 1, active: false, flipped: false });
 		this.mainContainer = false;
@@ -49,6 +51,8 @@ export class VaultStore extends ItemPileStore {
 		this.vaultLog.set([]);
 		this.visibleLogItems.set(18);
 		this.highlightedGridItems.set([]);
+		this.typeFilter.set("all");
+		this.sortStrategy.set(get(this.pileData).vaultSortStrategy);
 		this.vaultExpanderItems.set([]);
 		this.dragPosition.set({ x: 0, y: 0, w: 1, h: 1, active: false, flipped: false });
 
@@ -75,6 +79,10 @@ export class VaultStore extends ItemPileStore {
 
 		this.subscribeTo(this.logSearch, this.filterLogEntries.bind(this));
 
+		this.subscribeTo(this.typeFilter, () => {
+			this.refreshItems();
+		});
+
 		this.refreshGrid();
 		this.processLogEntries();
 	}
@@ -200,13 +208,15 @@ export class VaultStore extends ItemPileStore {
 	refreshItems() {
 		super.refreshItems();
 		const pileData = get(this.pileData);
+		const typeFilter = get(this.typeFilter);
 		this.validGridItems.set(get(this.allItems).filter(entry => {
 			const itemFlagData = get(entry.itemFlagData);
 			return (!pileData.vaultExpansion || !itemFlagData.vaultExpander) && !entry.isCurrency;
 		}));
 		this.highlightedGridItems.set(get(this.items).filter(entry => {
 			const itemFlagData = get(entry.itemFlagData);
-			return !pileData.vaultExpansion || !itemFlagData.vaultExpander;
+			const typeFiltered = typeFilter !== "all" && get(entry.category).type !== typeFilter;
+			return (!pileData.vaultExpansion || !itemFlagData.vaultExpander) && !typeFiltered;
 		}).map(item => item.id));
 		this.vaultExpanderItems.set(get(this.allItems).filter(entry => {
 			const itemFlagData = get(entry.itemFlagData);
@@ -225,13 +235,17 @@ export class VaultStore extends ItemPileStore {
 		this.refreshGrid();
 	}
 
+	get isFiltering() {
+		return !!get(this.search) || get(this.typeFilter) !== "all";
+	}
+
 	refreshGrid() {
 		this.refreshFreeSpaces();
 		this.gridItems.set(this.placeItemsOnGrid());
 	}
 
 	placeItemsOnGrid() {
-		const search = get(this.search)
+		const filtering = this.isFiltering;
 		const highlightedItems = get(this.highlightedGridItems);
 		const gridData = get(this.gridData);
 		const allItems = [...get(this.validGridItems)];
@@ -271,7 +285,7 @@ export class VaultStore extends ItemPileStore {
 					active: item.active,
 					transform: item.transform,
 					ghostTransform: item.ghostTransform,
-					highlight: search && highlightedItems.includes(item.id),
+					highlight: filtering && highlightedItems.includes(item.id),
 					item,
 				});
 
@@ -315,7 +329,7 @@ export class VaultStore extends ItemPileStore {
 					active: item.active,
 					transform: item.transform,
 					ghostTransform: item.ghostTransform,
-					highlight: search && highlightedItems.includes(item.id),
+					highlight: filtering && highlightedItems.includes(item.id),
 					item
 				};
 			})
@@ -432,40 +446,11 @@ export class VaultStore extends ItemPileStore {
 			if (!doMerge) return;
 		}
 
-		const gridItems = get(this.gridItems).map(item => item.item).sort((a, b) => {
-			return b.size - a.size;
-		});
-
-		const items = gridItems.map(item => item.item);
-
-		const result = PileUtilities.fitItemsIntoVault(items, this.actor, { existingItems: [], mergeItems });
+		const sorted = await game.itempiles.API.sortVault(this.actor, get(this.sortStrategy), { mergeItems });
 
-		if (!result) return Helpers.custom_warning("ITEM-PILES.Warnings.CantSortVault", true);
+		if (!sorted) Helpers.custom_warning(game.i18n.localize("ITEM-PILES.Warnings.CantSortVault"), true);
 
-		const { updates, deletions } = result;
-
-		const itemUpdates = updates.map(item => ({
-			_id: item._id,
-			[game.itempiles.API.ITEM_QUANTITY_ATTRIBUTE]: Utilities.getItemQuantity(item),
-			[CONSTANTS.FLAGS.ITEM]: PileUtilities.cleanItemFlagData(PileUtilities.getItemFlagData(item))
-		}));
-
-		for (const gridItem of gridItems) {
-			const update = updates.find(item => item._id === gridItem.id);
-			if (!gridItem) continue;
-			const flagData = PileUtilities.getItemFlagData(update);
-			gridItem.transform.update(val => {
-				val.x = flagData.x;
-				val.y = flagData.y;
-				val.flipped = flagData.flipped;
-				return val;
-			});
-		}
-
-		return ItemPileSocket.executeAsGM(ItemPileSocket.HANDLERS.COMMIT_DOCUMENT_CHANGES, this.actor.uuid, {
-			itemsToUpdate: itemUpdates,
-			itemsToDelete: deletions
-		});
+		return sorted;
 
 	}
 
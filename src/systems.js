@@ -12,6 +12,7 @@ export const SYSTEMS = {
 		ITEM_QUANTITY_ATTRIBUTE: "",
 		ITEM_PRICE_ATTRIBUTE: "",
 		QUANTITY_FOR_PRICE_ATTRIBUTE: "flags.item-piles.system.quantityForPrice",
+		ITEM_WEIGHT_ATTRIBUTE: "",
 		ITEM_FILTERS: [],
 		ITEM_SIMILARITIES: [],
 		VAULT_STYLES: [],
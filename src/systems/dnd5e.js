@@ -24,6 +24,9 @@ export default {
 	// The item price attribute is the path to the attribute on each item that determine how much it costs
 	"ITEM_PRICE_ATTRIBUTE": "system.price.value",
 
+	// The item weight attribute is the path to the attribute on each item that determine how much it weighs
+	"ITEM_WEIGHT_ATTRIBUTE": "system.weight.value",
+
 	// Item filters actively remove items from the item pile inventory UI that users cannot loot, such as spells, feats, and classes
 	"ITEM_FILTERS": [
 		{
@@ -107,7 +110,9 @@ export default {
 
 		if (!actor) return modifiers;
 
+		// Haggles are made by individual actors and are already applied, so only the group's own modifiers are used
 		const groupModifiers = actorPriceModifiers
+			.filter(data => !data.haggle)
 			.map(data => ({ ...data, actor: fromUuidSync(data.actorUuid) }))
 			.filter(data => {
 				return data.actor && data.actor.type === "group" && data.actor.system.members.some(member => member === actor)
@@ -125,6 +130,72 @@ export default {
 
 	},
 
+	// Haggling with merchants uses the Persuasion skill, and is rolled by the GM without a dialog
+	"HAGGLE_ROLL": async ({ actor }) => {
+		if (foundry.utils.isNewerVersion("4.0.0", game.system.version)) {
+			return actor.rollSkill("per", { fastForward: true });
+		}
+		const rolls = await actor.rollSkill({ skill: "per" }, { configure: false });
+		return rolls?.[0] ?? false;
+	},
+
+	// Unlock checks are written as "skill:slt", "ability:str", or "tool:thief", and are rolled by the GM without a dialog
+	"UNLOCK_ROLL": async ({ actor, check }) => {
+		const [type, key] = check.split(":");
+		const isLegacy = foundry.utils.isNewerVersion("4.0.0", game.system.version);
+		let rolls;
+		switch (type) {
+			case "skill":
+				if (isLegacy) return actor.rollSkill(key, { fastForward: true });
+				rolls = await actor.rollSkill({ skill: key }, { configure: false });
+				break;
+			case "ability":
+				if (isLegacy) return actor.rollAbilityTest(key, { fastForward: true });
+				rolls = await actor.rollAbilityCheck({ ability: key }, { configure: false });
+				break;
+			case "tool":
+				if (isLegacy) {
+					const tool = actor.items.find(item => item.type === "tool" && item.system.type?.baseItem === key);
+					return tool ? tool.rollToolCheck({ fastForward: true }) : false;
+				}
+				rolls = await actor.rollToolCheck({ tool: key }, { configure: false });
+				break;
+		}
+		return rolls?.[0] ?? false;
+	},
+
+	// Carrying capacity uses the encumbrance the system already calculates for the actor
+	"ACTOR_CAPACITY": ({ actor }) => {
+		const encumbrance = actor.system?.attributes?.encumbrance;
+		if (!encumbrance?.max) return false;
+		return { value: encumbrance.value, max: encumbrance.max };
+	},
+
+	// Unidentified items show their unidentified name and description to players
+	"IS_ITEM_IDENTIFIED": ({ item }) => {
+		return foundry.utils.getProperty(item, "system.identified") !== false;
+	},
+
+	"UNIDENTIFIED_ITEM_DATA": ({ item }) => ({
+		name: foundry.utils.getProperty(item, "system.unidentified.name"),
+		description: foundry.utils.getProperty(item, "system.unidentified.description")
+	}),
+
+	"IDENTIFY_ITEM": () => ({ "system.identified": true }),
+
+	// Services restore hit points, and a full restore also recovers expended spell slots
+	"RESTORE_RESOURCES": ({ actor, amount }) => {
+		const hp = actor.system.attributes.hp;
+		if (amount !== null) {
+			return { "system.attributes.hp.value": Math.min(hp.max, hp.value + amount) };
+		}
+		const updates = { "system.attributes.hp.value": hp.max };
+		for (const [key, slot] of Object.entries(actor.system.spells ?? {})) {
+			if (slot?.max) updates[`system.spells.${key}.value`] = slot.max;
+		}
+		return updates;
+	},
+
 	"PILE_DEFAULTS": {
 		merchantColumns: [{
 			label: "<i class=\"fa-solid fa-shield\"></i>",
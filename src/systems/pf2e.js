@@ -61,6 +61,27 @@ export default {
 		return false;
 	},
 
+	// Mystified items show their mystified name, image, and description to players
+	"IS_ITEM_IDENTIFIED": ({ item }) => {
+		return foundry.utils.getProperty(item, "system.identification.status") !== "unidentified";
+	},
+
+	"UNIDENTIFIED_ITEM_DATA": ({ item }) => {
+		const unidentifiedData = foundry.utils.getProperty(item, "system.identification.unidentified") ?? {};
+		return {
+			name: unidentifiedData.name,
+			img: unidentifiedData.img,
+			description: unidentifiedData.data?.description?.value
+		};
+	},
+
+	"IDENTIFY_ITEM": () => ({ "system.identification.status": "identified" }),
+
+	"RESTORE_RESOURCES": ({ actor, amount }) => {
+		const hp = actor.system.attributes.hp;
+		return { "system.attributes.hp.value": amount === null ? hp.max : Math.min(hp.max, hp.value + amount) };
+	},
+
 	"PILE_DEFAULTS": {
 		merchantColumns: [{
 			"label": "Rarity",